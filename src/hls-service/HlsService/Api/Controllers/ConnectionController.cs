@@ -519,20 +519,40 @@ namespace HlsService.Api.Controllers
                 {
                     errors.Add($"Invalid access mode '{dp.Access}' for data point {dp.Name}");
                 }
+
+                if (dp.Scale == 0)
+                {
+                    errors.Add($"Scale must not be zero for data point {dp.Name}");
+                }
+
+                if (dp.RawMin > dp.RawMax || dp.EngMin > dp.EngMax)
+                {
+                    errors.Add($"Minimum is greater than maximum for data point {dp.Name}");
+                }
             }
 
             return errors;
         }
 
         /// <summary>
-        /// 验证数据类型
+        /// 验证数据类型，数组类型如 "Int16[50]"，raw为不转换的原始寄存器
         /// </summary>
         private bool IsValidDataType(string dataType)
         {
+            var bracket = dataType?.IndexOf('[') ?? -1;
+            if (bracket > 0 && dataType.EndsWith("]"))
+            {
+                if (!int.TryParse(dataType[(bracket + 1)..^1], out var length) || length <= 0)
+                {
+                    return false;
+                }
+                dataType = dataType[..bracket];
+            }
+
             return dataType?.ToLower() switch
             {
                 "bool" or "boolean" or "int16" or "uint16" or "int32" or "uint32" 
-                or "int64" or "uint64" or "float" or "double" or "string" => true,
+                or "int64" or "uint64" or "float" or "double" or "string" or "raw" => true,
                 _ => false
             };
         }
@@ -647,6 +667,18 @@ namespace HlsService.Api.Controllers
 
         [JsonPropertyName("offset")]
         public double? Offset { get; set; }
+
+        [JsonPropertyName("rawMin")]
+        public double? RawMin { get; set; }
+
+        [JsonPropertyName("rawMax")]
+        public double? RawMax { get; set; }
+
+        [JsonPropertyName("engMin")]
+        public double? EngMin { get; set; }
+
+        [JsonPropertyName("engMax")]
+        public double? EngMax { get; set; }
     }
 
     #endregion
@@ -75,7 +75,7 @@ namespace HlsService.Api.Controllers
                     results = results.Select(r => new
                     {
                         address = r.Address,
-                        value = r.Value,
+                        value = WireValue.From(r.Value),
                         dataType = r.DataType ?? "unknown",
                         quality = "good", // 默认质量，因为ReadResult没有Quality属性
                         success = r.Success,
@@ -186,7 +186,7 @@ namespace HlsService.Api.Controllers
                     results = results.Select(r => new
                     {
                         address = r.Address,
-                        value = r.Value,
+                        value = WireValue.From(r.Value),
                         dataType = "unknown", // WriteResult没有DataType属性
                         success = r.Success,
                         timestamp = r.Timestamp,
@@ -95,6 +95,22 @@ namespace HlsService.Models
         String
     }
 
+    /// <summary>
+    /// 数据值在IPC消息中的表示
+    /// </summary>
+    public static class WireValue
+    {
+        /// <summary>
+        /// 64位整数以十进制字符串发送，JavaScript按双精度解析超过2^53的数值会丢失精度
+        /// </summary>
+        public static object? From(object? value)
+        {
+            return value is long or ulong
+                ? Convert.ToString(value, System.Globalization.CultureInfo.InvariantCulture)
+                : value;
+        }
+    }
+
     /// <summary>
     /// 数据点位访问模式
     /// </summary>
@@ -113,6 +113,8 @@ namespace HlsService.Models
         public const string DATA_CONVERSION_ERROR = "3007";
         public const string UNSUPPORTED_DATA_TYPE = "3008";
         public const string DATA_OUT_OF_RANGE = "3009";
+        public const string WRITE_LIMIT_EXCEEDED = "3010";
+        public const string WRITE_NOT_ARMED = "3011";
 
         // 配置相关错误 (4xxx)
         public const string INVALID_CONFIGURATION = "4001";
@@ -175,6 +177,8 @@ namespace HlsService.Models
                 DATA_CONVERSION_ERROR => "数据转换错误",
                 UNSUPPORTED_DATA_TYPE => "不支持的数据类型",
                 DATA_OUT_OF_RANGE => "数据超出范围",
+                WRITE_LIMIT_EXCEEDED => "写入值超出数据点限制",
+                WRITE_NOT_ARMED => "写入未经预备确认",
 
                 // 配置相关错误
                 INVALID_CONFIGURATION => "配置无效",
@@ -384,6 +388,22 @@ namespace HlsService.Models
             };
         }
 
+        /// <summary>
+        /// 创建消息过大错误
+        /// </summary>
+        public static ErrorResponse CreateMessageTooLargeError(int size, int maxSize)
+        {
+            return new ErrorResponse
+            {
+                Code = ErrorCodes.MESSAGE_TOO_LARGE,
+                Message = ErrorCodes.GetErrorDescription(ErrorCodes.MESSAGE_TOO_LARGE),
+                Details = new List<string> { $"Message size: {size} bytes", $"Max size: {maxSize} bytes" },
+                Type = ErrorType.Validation,
+                Retryable = ErrorCodes.IsRetryable(ErrorCodes.MESSAGE_TOO_LARGE),
+                RetryDelayMs = ErrorCodes.GetRetryDelay(ErrorCodes.MESSAGE_TOO_LARGE)
+            };
+        }
+
         /// <summary>
         /// 创建内部服务器错误
         /// </summary>
@@ -95,6 +95,10 @@ namespace HlsService.Models
         // 服务器管理命令
         public const string SERVER_STATUS = "serverStatus";
         public const string PROTOCOL_INFO = "protocolInfo";
+
+        // 数据订阅命令
+        public const string SUBSCRIBE = "subscribe";
+        public const string UNSUBSCRIBE = "unsubscribe";
         
         /// <summary>
         /// 获取所有支持的命令
@@ -102,7 +106,8 @@ namespace HlsService.Models
         public static readonly string[] ALL_COMMANDS = {
             CONNECT, DISCONNECT, STATUS, LIST_CONNECTIONS,
             READ, WRITE, READ_BATCH, WRITE_BATCH,
-            SERVER_STATUS, PROTOCOL_INFO
+            SERVER_STATUS, PROTOCOL_INFO,
+            SUBSCRIBE, UNSUBSCRIBE
         };
         
         /// <summary>
@@ -130,6 +135,8 @@ namespace HlsService.Models
                 WRITE_BATCH => "批量写入数据点",
                 SERVER_STATUS => "获取服务器状态",
                 PROTOCOL_INFO => "获取协议信息",
+                SUBSCRIBE => "订阅数据变化",
+                UNSUBSCRIBE => "取消数据订阅",
                 _ => "未知命令"
             };
         }
@@ -290,6 +297,16 @@ namespace HlsService.Models
         /// 批量操作最大数据点数量
         /// </summary>
         public const int MAX_BATCH_SIZE = 100;
+
+        /// <summary>
+        /// 订阅最小采样间隔（毫秒）
+        /// </summary>
+        public const int MIN_SAMPLING_INTERVAL_MS = 100;
+
+        /// <summary>
+        /// 订阅默认采样间隔（毫秒）
+        /// </summary>
+        public const int DEFAULT_SAMPLING_INTERVAL_MS = 1000;
         
         /// <summary>
         /// 默认超时时间（毫秒）
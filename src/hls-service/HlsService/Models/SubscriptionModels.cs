@@ -0,0 +1,88 @@
+using System.Text.Json.Serialization;
+
+namespace HlsService.Models
+{
+    /// <summary>
+    /// 订阅请求数据
+    /// </summary>
+    public class SubscribeRequestData
+    {
+        /// <summary>
+        /// 设备连接ID
+        /// </summary>
+        [JsonPropertyName("connectionId")]
+        public string ConnectionId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 订阅的数据点地址
+        /// </summary>
+        [JsonPropertyName("addresses")]
+        public string[] Addresses { get; set; } = Array.Empty<string>();
+
+        /// <summary>
+        /// 采样间隔（毫秒）
+        /// </summary>
+        [JsonPropertyName("samplingInterval")]
+        public int SamplingInterval { get; set; } = ProtocolConstants.DEFAULT_SAMPLING_INTERVAL_MS;
+
+        /// <summary>
+        /// 死区：数值变化的绝对值不超过死区时不推送，0表示任何变化都推送
+        /// </summary>
+        [JsonPropertyName("deadband")]
+        public double Deadband { get; set; } = 0;
+    }
+
+    /// <summary>
+    /// 取消订阅请求数据
+    /// </summary>
+    public class UnsubscribeRequestData
+    {
+        /// <summary>
+        /// 订阅ID
+        /// </summary>
+        [JsonPropertyName("subscriptionId")]
+        public string SubscriptionId { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// 通知事件类型
+    /// </summary>
+    public static class NotificationEvents
+    {
+        /// <summary>
+        /// 订阅的数据点值发生变化
+        /// </summary>
+        public const string DATA_CHANGE = "dataChange";
+    }
+
+    /// <summary>
+    /// 服务端主动推送的通知消息
+    /// 没有对应的请求，客户端按event字段识别，按data.subscriptionId分发
+    /// </summary>
+    public class IpcNotification
+    {
+        /// <summary>
+        /// 协议版本
+        /// </summary>
+        [JsonPropertyName("version")]
+        public string Version { get; set; } = "1.0";
+
+        /// <summary>
+        /// 事件类型
+        /// </summary>
+        [JsonPropertyName("event")]
+        public string Event { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 事件数据
+        /// </summary>
+        [JsonPropertyName("data")]
+        public object? Data { get; set; }
+
+        /// <summary>
+        /// 时间戳
+        /// </summary>
+        [JsonPropertyName("timestamp")]
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+    }
+}
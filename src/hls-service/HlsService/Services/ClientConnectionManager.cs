@@ -174,6 +174,11 @@ namespace HlsService.Services
         public long MessageCount => _messageCount;
         public bool IsConnected => _tcpClient.Connected;
 
+        /// <summary>
+        /// 向客户端推送通知，由IPC服务器设置，与响应共用同一写入锁
+        /// </summary>
+        public Func<IpcNotification, Task>? NotificationSender { get; set; }
+
         /// <summary>
         /// 更新最后活动时间和消息计数
         /// </summary>
@@ -13,6 +13,11 @@ namespace HlsService.Services.Devices
         private ModbusTcpNet? _modbusClient;
         private readonly object _clientLock = new object();
 
+        /// <summary>
+        /// Modbus单次读取保持寄存器的最大数量
+        /// </summary>
+        private const int MAX_REGISTERS_PER_READ = 125;
+
         public ModbusTcpConnection(string deviceId) : base(deviceId, DeviceType.ModbusTcp)
         {
         }
@@ -150,13 +155,22 @@ namespace HlsService.Services.Devices
                     }).ToArray();
                 }
 
-                // 对于Modbus TCP，可以尝试批量读取连续地址
-                // 这里简化实现，逐个读取每个地址
-                foreach (var address in request.Addresses)
+                // 连续的寄存器地址合并为一次读取，其他地址逐个读取
+                var resultsByAddress = new Dictionary<string, ReadResult>();
+                foreach (var range in GroupContiguousRegisters(request.Addresses))
                 {
-                    var result = await ReadFromDeviceAsync<object>(address, cancellationToken);
-                    results.Add(result);
+                    var rangeResults = range.Count == 1
+                        ? new[] { await ReadFromDeviceAsync<object>(range[0].Address, cancellationToken) }
+                        : await ReadRegisterRangeAsync(range, cancellationToken);
+
+                    foreach (var result in rangeResults)
+                    {
+                        resultsByAddress[result.Address] = result;
+                    }
                 }
+
+                // 按请求顺序返回结果
+                results.AddRange(request.Addresses.Select(address => resultsByAddress[address]));
             }
             catch (Exception ex)
             {
@@ -174,6 +188,71 @@ namespace HlsService.Services.Devices
             return results.ToArray();
         }
 
+        /// <summary>
+        /// 把纯数字的寄存器地址按数值分成连续段（每段不超过单次读取上限），其他格式的地址各自成段
+        /// </summary>
+        private static List<List<(string Address, int Register)>> GroupContiguousRegisters(string[] addresses)
+        {
+            var ranges = new List<List<(string Address, int Register)>>();
+            var registers = new List<(string Address, int Register)>();
+
+            foreach (var address in addresses.Distinct())
+            {
+                if (address.All(char.IsDigit) && int.TryParse(address, out var register))
+                {
+                    registers.Add((address, register));
+                }
+                else
+                {
+                    ranges.Add(new List<(string Address, int Register)> { (address, -1) });
+                }
+            }
+
+            List<(string Address, int Register)>? current = null;
+            foreach (var item in registers.OrderBy(r => r.Register))
+            {
+                if (current == null ||
+                    item.Register != current[^1].Register + 1 ||
+                    current.Count >= MAX_REGISTERS_PER_READ)
+                {
+                    current = new List<(string Address, int Register)>();
+                    ranges.Add(current);
+                }
+                current.Add(item);
+            }
+
+            return ranges;
+        }
+
+        /// <summary>
+        /// 一次读取连续的寄存器并拆分为各地址的结果；整段读取失败时逐个读取，避免一个地址的错误影响整段
+        /// </summary>
+        private async Task<ReadResult[]> ReadRegisterRangeAsync(List<(string Address, int Register)> range, CancellationToken cancellationToken)
+        {
+            var stopwatch = Stopwatch.StartNew();
+            var readResult = await Task.Run(() => _modbusClient!.ReadInt16(range[0].Address, (ushort)range.Count), cancellationToken);
+            stopwatch.Stop();
+
+            if (!readResult.IsSuccess)
+            {
+                var results = new List<ReadResult>();
+                foreach (var item in range)
+                {
+                    results.Add(await ReadFromDeviceAsync<object>(item.Address, cancellationToken));
+                }
+                return results.ToArray();
+            }
+
+            return range.Select((item, index) => new ReadResult
+            {
+                Success = true,
+                Address = item.Address,
+                Value = readResult.Content[index],
+                DataType = typeof(object).Name,
+                ResponseTimeMs = stopwatch.Elapsed.TotalMilliseconds
+            }).ToArray();
+        }
+
         protected override async Task<WriteResult> WriteToDeviceAsync<T>(string address, T value, CancellationToken cancellationToken)
         {
             var stopwatch = Stopwatch.StartNew();
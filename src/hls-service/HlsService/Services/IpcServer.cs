@@ -17,6 +17,7 @@ namespace HlsService.Services
         private readonly MessageProcessor _messageProcessor;
         private readonly ServerStatistics _statistics;
         private readonly DeviceManager _deviceManager;
+        private readonly SubscriptionManager _subscriptionManager;
         
         private TcpListener? _tcpListener;
         private CancellationTokenSource? _cancellationTokenSource;
@@ -31,7 +32,8 @@ namespace HlsService.Services
             _connectionManager = new ClientConnectionManager();
             _deviceManager = new DeviceManager();
             _statistics = new ServerStatistics(_connectionManager);
-            _messageProcessor = new MessageProcessor(_config, _statistics, _deviceManager);
+            _subscriptionManager = new SubscriptionManager(_deviceManager);
+            _messageProcessor = new MessageProcessor(_config, _statistics, _deviceManager, _subscriptionManager);
         }
 
         /// <summary>
@@ -190,6 +192,12 @@ namespace HlsService.Services
             {
                 var stream = connection.GetStream();
                 var buffer = new byte[_config.BufferSize];
+                var framer = new MessageFramer();
+
+                // 订阅通知由后台任务发送，与响应共用写入锁，避免两条消息的字节交错
+                var writeLock = new SemaphoreSlim(1, 1);
+                connection.NotificationSender = notification =>
+                    SendMessageAsync(stream, clientId, framer.Mode, notification, writeLock, cancellationToken);
 
                 while (connection.IsConnected && !cancellationToken.IsCancellationRequested)
                 {
@@ -200,29 +208,35 @@ namespace HlsService.Services
                         break;
                     }
 
-                    var message = Encoding.UTF8.GetString(buffer, 0, bytesRead);
-                    
-                    if (_config.EnableVerboseLogging)
-                    {
-                        Console.WriteLine($"[IPC服务器] 收到消息 {clientId}: {message}");
-                    }
+                    framer.Append(buffer, 0, bytesRead);
 
-                    // 处理消息
-                    var response = await _messageProcessor.ProcessMessageAsync(message, connection);
-                    
-                    // 发送响应
-                    var responseJson = JsonSerializer.Serialize(response, new JsonSerializerOptions
+                    try
                     {
-                        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                        WriteIndented = !_config.EnableVerboseLogging // 生产环境使用紧凑格式
-                    });
-
-                    var responseBytes = Encoding.UTF8.GetBytes(responseJson);
-                    await stream.WriteAsync(responseBytes, 0, responseBytes.Length, cancellationToken);
-
-                    if (_config.EnableVerboseLogging)
+                        // 一个数据块可能包含多条消息，也可能只是一条消息的一部分
+                        while (framer.TryReadMessage(out var message))
+                        {
+                            if (_config.EnableVerboseLogging)
+                            {
+                                Console.WriteLine($"[IPC服务器] 收到消息 {clientId}: {message}");
+                            }
+
+                            // 处理消息
+                            var response = await _messageProcessor.ProcessMessageAsync(message, connection);
+
+                            // 发送响应
+                            await SendMessageAsync(stream, clientId, framer.Mode, response, writeLock, cancellationToken);
+                        }
+                    }
+                    catch (MessageTooLargeException ex)
                     {
-                        Console.WriteLine($"[IPC服务器] 发送响应 {clientId}: {responseJson}");
+                        // 超长消息无法再与后续数据分开，返回错误后关闭连接
+                        Console.WriteLine($"[IPC服务器] 客户端 {clientId} 消息过大: {ex.Size} 字节");
+                        await SendMessageAsync(stream, clientId, framer.Mode, new IpcResponse
+                        {
+                            Success = false,
+                            Error = ErrorFactory.CreateMessageTooLargeError(ex.Size, ProtocolConstants.MAX_MESSAGE_SIZE)
+                        }, writeLock, cancellationToken);
+                        break;
                     }
                 }
             }
@@ -236,7 +250,9 @@ namespace HlsService.Services
             }
             finally
             {
-                // 清理连接
+                // 清理连接和该客户端的订阅
+                connection.NotificationSender = null;
+                _subscriptionManager.RemoveClient(clientId);
                 _connectionManager.RemoveConnection(clientId);
                 
                 if (_config.EnableVerboseLogging)
@@ -246,6 +262,35 @@ namespace HlsService.Services
             }
         }
 
+        /// <summary>
+        /// 按客户端使用的分帧模式发送响应或通知
+        /// </summary>
+        private async Task SendMessageAsync(NetworkStream stream, string clientId, FramingMode mode,
+            object message, SemaphoreSlim writeLock, CancellationToken cancellationToken)
+        {
+            // 换行分帧要求消息内不含换行符，统一使用紧凑格式
+            var messageJson = JsonSerializer.Serialize(message, message.GetType(), new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+
+            var messageBytes = MessageFramer.Encode(messageJson, mode);
+            await writeLock.WaitAsync(cancellationToken);
+            try
+            {
+                await stream.WriteAsync(messageBytes, 0, messageBytes.Length, cancellationToken);
+            }
+            finally
+            {
+                writeLock.Release();
+            }
+
+            if (_config.EnableVerboseLogging)
+            {
+                Console.WriteLine($"[IPC服务器] 发送消息 {clientId}: {messageJson}");
+            }
+        }
+
         /// <summary>
         /// 定期清理断开的连接
         /// </summary>
@@ -289,6 +334,7 @@ namespace HlsService.Services
             if (!_disposed)
             {
                 StopAsync().Wait(5000);
+                _subscriptionManager?.Dispose();
                 _deviceManager?.Dispose();
                 _connectionManager?.Dispose();
                 _tcpListener?.Stop();
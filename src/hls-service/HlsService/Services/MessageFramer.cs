@@ -0,0 +1,205 @@
+using System.Buffers.Binary;
+using System.Text;
+using System.Text.Json;
+using HlsService.Models;
+
+namespace HlsService.Services
+{
+    /// <summary>
+    /// 消息分帧模式
+    /// </summary>
+    public enum FramingMode
+    {
+        /// <summary>
+        /// 每条JSON消息以换行符结尾
+        /// </summary>
+        Newline,
+
+        /// <summary>
+        /// 每条JSON消息前带4字节大端长度
+        /// </summary>
+        LengthPrefixed
+    }
+
+    /// <summary>
+    /// 消息超出最大长度
+    /// </summary>
+    public class MessageTooLargeException : Exception
+    {
+        public int Size { get; }
+
+        public MessageTooLargeException(int size)
+            : base($"Message size {size} exceeds limit {ProtocolConstants.MAX_MESSAGE_SIZE}")
+        {
+            Size = size;
+        }
+    }
+
+    /// <summary>
+    /// 消息分帧器
+    /// 从TCP字节流中拆分出完整的JSON消息，处理消息被拆分到多个数据块或多条消息合并到一个数据块的情况。
+    /// 以0x00开头的帧按长度前缀解析（消息不超过1MB，长度的最高字节总是0），其余按换行符分隔。
+    /// 未加分隔符的旧版客户端消息在缓冲区恰好是完整JSON时也会被接受。
+    /// </summary>
+    public class MessageFramer
+    {
+        private const int LENGTH_PREFIX_SIZE = 4;
+
+        private byte[] _buffer = new byte[8192];
+        private int _count = 0;
+
+        /// <summary>
+        /// 当前消息使用的分帧模式，响应使用相同模式发送
+        /// </summary>
+        public FramingMode Mode { get; private set; } = FramingMode.Newline;
+
+        /// <summary>
+        /// 追加收到的数据
+        /// </summary>
+        public void Append(byte[] data, int offset, int count)
+        {
+            if (_count + count > _buffer.Length)
+            {
+                var newBuffer = new byte[Math.Max(_buffer.Length * 2, _count + count)];
+                Buffer.BlockCopy(_buffer, 0, newBuffer, 0, _count);
+                _buffer = newBuffer;
+            }
+
+            Buffer.BlockCopy(data, offset, _buffer, _count, count);
+            _count += count;
+        }
+
+        /// <summary>
+        /// 尝试取出一条完整消息
+        /// </summary>
+        /// <exception cref="MessageTooLargeException">消息超出最大长度</exception>
+        public bool TryReadMessage(out string message)
+        {
+            message = string.Empty;
+            SkipWhitespace();
+
+            if (_count == 0)
+            {
+                return false;
+            }
+
+            return _buffer[0] == 0
+                ? TryReadLengthPrefixed(out message)
+                : TryReadNewlineDelimited(out message);
+        }
+
+        /// <summary>
+        /// 按分帧模式编码消息
+        /// </summary>
+        public static byte[] Encode(string message, FramingMode mode)
+        {
+            var payload = Encoding.UTF8.GetBytes(message);
+
+            if (mode == FramingMode.LengthPrefixed)
+            {
+                var frame = new byte[LENGTH_PREFIX_SIZE + payload.Length];
+                BinaryPrimitives.WriteUInt32BigEndian(frame, (uint)payload.Length);
+                Buffer.BlockCopy(payload, 0, frame, LENGTH_PREFIX_SIZE, payload.Length);
+                return frame;
+            }
+
+            var line = new byte[payload.Length + 1];
+            Buffer.BlockCopy(payload, 0, line, 0, payload.Length);
+            line[payload.Length] = (byte)'\n';
+            return line;
+        }
+
+        private bool TryReadLengthPrefixed(out string message)
+        {
+            message = string.Empty;
+            Mode = FramingMode.LengthPrefixed;
+            if (_count < LENGTH_PREFIX_SIZE)
+            {
+                return false;
+            }
+
+            var length = BinaryPrimitives.ReadUInt32BigEndian(_buffer.AsSpan(0, LENGTH_PREFIX_SIZE));
+            if (length > ProtocolConstants.MAX_MESSAGE_SIZE)
+            {
+                throw new MessageTooLargeException((int)Math.Min(length, int.MaxValue));
+            }
+
+            if (_count < LENGTH_PREFIX_SIZE + length)
+            {
+                return false;
+            }
+
+            message = Encoding.UTF8.GetString(_buffer, LENGTH_PREFIX_SIZE, (int)length);
+            Consume(LENGTH_PREFIX_SIZE + (int)length);
+            return true;
+        }
+
+        private bool TryReadNewlineDelimited(out string message)
+        {
+            message = string.Empty;
+            Mode = FramingMode.Newline;
+            var index = Array.IndexOf(_buffer, (byte)'\n', 0, _count);
+
+            if (index >= 0)
+            {
+                if (index > ProtocolConstants.MAX_MESSAGE_SIZE)
+                {
+                    throw new MessageTooLargeException(index);
+                }
+
+                message = Encoding.UTF8.GetString(_buffer, 0, index).TrimEnd('\r');
+                Consume(index + 1);
+                return true;
+            }
+
+            if (_count > ProtocolConstants.MAX_MESSAGE_SIZE)
+            {
+                throw new MessageTooLargeException(_count);
+            }
+
+            // 旧版客户端不发送分隔符，缓冲区是完整JSON时按一条消息处理
+            if (IsCompleteJson())
+            {
+                message = Encoding.UTF8.GetString(_buffer, 0, _count);
+                Consume(_count);
+                return true;
+            }
+
+            return false;
+        }
+
+        private bool IsCompleteJson()
+        {
+            try
+            {
+                using var document = JsonDocument.Parse(new ReadOnlyMemory<byte>(_buffer, 0, _count));
+                return true;
+            }
+            catch (JsonException)
+            {
+                return false;
+            }
+        }
+
+        private void SkipWhitespace()
+        {
+            var index = 0;
+            while (index < _count && (_buffer[index] == (byte)'\n' || _buffer[index] == (byte)'\r' ||
+                                      _buffer[index] == (byte)' ' || _buffer[index] == (byte)'\t'))
+            {
+                index++;
+            }
+
+            if (index > 0)
+            {
+                Consume(index);
+            }
+        }
+
+        private void Consume(int length)
+        {
+            _count -= length;
+            Buffer.BlockCopy(_buffer, length, _buffer, 0, _count);
+        }
+    }
+}
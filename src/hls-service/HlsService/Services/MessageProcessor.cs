@@ -18,13 +18,16 @@ namespace HlsService.Services
         private readonly DeviceManager _deviceManager;
         private readonly ConnectionController _connectionController;
         private readonly DataOperationController _dataOperationController;
+        private readonly SubscriptionManager _subscriptionManager;
         private readonly DateTime _serverStartTime;
 
-        public MessageProcessor(ServerConfiguration config, ServerStatistics statistics, DeviceManager deviceManager)
+        public MessageProcessor(ServerConfiguration config, ServerStatistics statistics, DeviceManager deviceManager,
+            SubscriptionManager subscriptionManager)
         {
             _config = config;
             _statistics = statistics;
             _deviceManager = deviceManager;
+            _subscriptionManager = subscriptionManager;
             _connectionController = new ConnectionController(deviceManager, config);
             _dataOperationController = new DataOperationController(deviceManager, config);
             _serverStartTime = DateTime.UtcNow;
@@ -67,7 +70,7 @@ namespace HlsService.Services
                 _statistics.IncrementMessagesProcessed();
 
                 // 路由到相应的控制器处理命令
-                var response = await RouteCommandAsync(request);
+                var response = await RouteCommandAsync(request, clientConnection);
                 return response;
             }
             catch (JsonException ex)
@@ -88,7 +91,7 @@ namespace HlsService.Services
         /// <summary>
         /// 路由命令到相应的控制器
         /// </summary>
-        private async Task<IpcResponse> RouteCommandAsync(IpcRequest request)
+        private async Task<IpcResponse> RouteCommandAsync(IpcRequest request, ClientConnection clientConnection)
         {
             var command = request.Command.ToLower();
 
@@ -107,6 +110,10 @@ namespace HlsService.Services
                 CommandTypes.WRITE => await _dataOperationController.WriteDataAsync(request),
                 CommandTypes.READ_BATCH => await _dataOperationController.ReadBatchAsync(request),
                 CommandTypes.WRITE_BATCH => await _dataOperationController.WriteBatchAsync(request),
+
+                // 数据订阅API
+                CommandTypes.SUBSCRIBE => await HandleSubscribeAsync(request, clientConnection),
+                CommandTypes.UNSUBSCRIBE => HandleUnsubscribe(request, clientConnection),
                 
                 // 保留旧版本兼容性命令 - 逐步迁移到新API
                 "connect_device" => await _connectionController.ConnectAsync(request),
@@ -120,6 +127,106 @@ namespace HlsService.Services
             };
         }
 
+        /// <summary>
+        /// 处理订阅命令：按采样间隔读取数据点，值变化超过死区时推送dataChange通知
+        /// </summary>
+        private async Task<IpcResponse> HandleSubscribeAsync(IpcRequest request, ClientConnection clientConnection)
+        {
+            var stopwatch = Stopwatch.StartNew();
+
+            var data = DeserializeData<SubscribeRequestData>(request.Data);
+            if (data == null || string.IsNullOrEmpty(data.ConnectionId))
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateMissingParameterError("connectionId"),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            if (data.Addresses.Length == 0 || data.Addresses.Length > ProtocolConstants.MAX_BATCH_SIZE)
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateValidationError("addresses",
+                        $"Address count must be between 1 and {ProtocolConstants.MAX_BATCH_SIZE}"),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            if (data.SamplingInterval < ProtocolConstants.MIN_SAMPLING_INTERVAL_MS || data.Deadband < 0)
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateValidationError("samplingInterval",
+                        $"Sampling interval must be at least {ProtocolConstants.MIN_SAMPLING_INTERVAL_MS}ms and deadband must not be negative"),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            if (await _deviceManager.GetDeviceStatusAsync(data.ConnectionId) == null)
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateDeviceNotFoundError(data.ConnectionId),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            var sender = clientConnection.NotificationSender;
+            if (sender == null)
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateInternalError("Client connection does not accept notifications"),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            var subscription = _subscriptionManager.Subscribe(clientConnection.ClientId, data, sender);
+            return CreateSuccessResponseFromData(request.MessageId, new
+            {
+                subscriptionId = subscription.Id,
+                connectionId = subscription.ConnectionId,
+                addressCount = subscription.Addresses.Length,
+                samplingInterval = subscription.SamplingInterval,
+                deadband = subscription.Deadband
+            }, stopwatch.Elapsed.TotalMilliseconds);
+        }
+
+        /// <summary>
+        /// 处理取消订阅命令
+        /// </summary>
+        private IpcResponse HandleUnsubscribe(IpcRequest request, ClientConnection clientConnection)
+        {
+            var stopwatch = Stopwatch.StartNew();
+
+            var data = DeserializeData<UnsubscribeRequestData>(request.Data);
+            if (data == null || string.IsNullOrEmpty(data.SubscriptionId))
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateMissingParameterError("subscriptionId"),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            if (!_subscriptionManager.Unsubscribe(clientConnection.ClientId, data.SubscriptionId))
+            {
+                return CreateStandardErrorResponse(request.MessageId,
+                    ErrorFactory.CreateValidationError("subscriptionId", $"Subscription not found: {data.SubscriptionId}"),
+                    stopwatch.Elapsed.TotalMilliseconds);
+            }
+
+            return CreateSuccessResponseFromData(request.MessageId,
+                new { subscriptionId = data.SubscriptionId, unsubscribed = true },
+                stopwatch.Elapsed.TotalMilliseconds);
+        }
+
+        /// <summary>
+        /// 将请求数据反序列化为指定类型
+        /// </summary>
+        private static T? DeserializeData<T>(object? data) where T : class
+        {
+            if (data is not JsonElement element || element.ValueKind != JsonValueKind.Object)
+            {
+                return null;
+            }
+
+            return JsonSerializer.Deserialize<T>(element.GetRawText(), new JsonSerializerOptions
+            {
+                PropertyNameCaseInsensitive = true
+            });
+        }
+
         /// <summary>
         /// 执行具体命令（旧版本兼容性）
         /// </summary>
@@ -1032,7 +1139,9 @@ namespace HlsService.Services
                 "configure_datapoints",
                 "validate_configuration",
                 "get_schemas",
-                "batch_datapoint_operation"
+                "batch_datapoint_operation",
+                "subscribe",
+                "unsubscribe"
             };
         }
 
@@ -0,0 +1,234 @@
+using System.Collections.Concurrent;
+using HlsService.Models;
+
+namespace HlsService.Services
+{
+    /// <summary>
+    /// 数据订阅管理器
+    /// 按每个订阅的采样间隔读取设备数据，值变化超过死区时通过客户端连接推送dataChange通知。
+    /// 订阅属于建立它的IPC客户端，客户端断开时随之清除。
+    /// </summary>
+    public class SubscriptionManager : IDisposable
+    {
+        private readonly DeviceManager _deviceManager;
+        private readonly ConcurrentDictionary<string, Subscription> _subscriptions;
+        private bool _disposed = false;
+
+        public SubscriptionManager(DeviceManager deviceManager)
+        {
+            _deviceManager = deviceManager;
+            _subscriptions = new ConcurrentDictionary<string, Subscription>();
+        }
+
+        /// <summary>
+        /// 当前订阅数
+        /// </summary>
+        public int Count => _subscriptions.Count;
+
+        /// <summary>
+        /// 创建订阅并开始采样
+        /// </summary>
+        public Subscription Subscribe(string clientId, SubscribeRequestData request, Func<IpcNotification, Task> notify)
+        {
+            var subscription = new Subscription(Guid.NewGuid().ToString("N")[..12], clientId, request);
+            _subscriptions[subscription.Id] = subscription;
+
+            _ = Task.Run(async () => await SampleAsync(subscription, notify));
+
+            Console.WriteLine($"[订阅] 客户端 {clientId} 订阅 {subscription.Id}: {request.Addresses.Length} 个数据点, 间隔 {request.SamplingInterval}ms");
+            return subscription;
+        }
+
+        /// <summary>
+        /// 取消订阅，只能取消本客户端建立的订阅
+        /// </summary>
+        public bool Unsubscribe(string clientId, string subscriptionId)
+        {
+            if (!_subscriptions.TryGetValue(subscriptionId, out var subscription) || subscription.ClientId != clientId)
+            {
+                return false;
+            }
+
+            if (_subscriptions.TryRemove(subscriptionId, out _))
+            {
+                subscription.Cancel();
+                Console.WriteLine($"[订阅] 已取消订阅: {subscriptionId}");
+            }
+            return true;
+        }
+
+        /// <summary>
+        /// 清除客户端的所有订阅
+        /// </summary>
+        public int RemoveClient(string clientId)
+        {
+            var removed = 0;
+            foreach (var subscription in _subscriptions.Values.Where(s => s.ClientId == clientId).ToList())
+            {
+                if (_subscriptions.TryRemove(subscription.Id, out _))
+                {
+                    subscription.Cancel();
+                    removed++;
+                }
+            }
+            return removed;
+        }
+
+        /// <summary>
+        /// 采样循环：首次采样推送全部数据点的当前值，之后只推送变化的数据点
+        /// </summary>
+        private async Task SampleAsync(Subscription subscription, Func<IpcNotification, Task> notify)
+        {
+            var token = subscription.Token;
+            using var timer = new PeriodicTimer(TimeSpan.FromMilliseconds(subscription.SamplingInterval));
+
+            try
+            {
+                // 第一次采样在一个采样间隔后进行，保证订阅响应先于通知到达客户端
+                while (await timer.WaitForNextTickAsync(token))
+                {
+                    try
+                    {
+                        var results = await _deviceManager.ReadDeviceDataAsync(new DataPointReadRequest
+                        {
+                            DeviceId = subscription.ConnectionId,
+                            Addresses = subscription.Addresses
+                        });
+
+                        var changes = subscription.DetectChanges(results);
+                        if (changes.Count > 0)
+                        {
+                            await notify(CreateDataChangeNotification(subscription, changes));
+                        }
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        Console.WriteLine($"[订阅] {subscription.Id} 采样失败: {ex.Message}");
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // 订阅已取消
+            }
+        }
+
+        /// <summary>
+        /// 创建dataChange通知
+        /// </summary>
+        private static IpcNotification CreateDataChangeNotification(Subscription subscription, List<ReadResult> changes)
+        {
+            return new IpcNotification
+            {
+                Event = NotificationEvents.DATA_CHANGE,
+                Data = new
+                {
+                    subscriptionId = subscription.Id,
+                    connectionId = subscription.ConnectionId,
+                    values = changes.Select(r => new
+                    {
+                        address = r.Address,
+                        value = WireValue.From(r.Value),
+                        dataType = r.DataType,
+                        quality = r.Success ? "good" : "bad",
+                        timestamp = r.Timestamp,
+                        error = r.Success ? null : r.Error
+                    }).ToArray()
+                }
+            };
+        }
+
+        public void Dispose()
+        {
+            if (!_disposed)
+            {
+                foreach (var subscription in _subscriptions.Values)
+                {
+                    subscription.Cancel();
+                }
+                _subscriptions.Clear();
+                _disposed = true;
+            }
+        }
+    }
+
+    /// <summary>
+    /// 单个数据订阅，记录每个数据点最近推送的值用于变化检测
+    /// </summary>
+    public class Subscription
+    {
+        private readonly CancellationTokenSource _cancellation = new CancellationTokenSource();
+        private readonly Dictionary<string, ReadResult> _lastValues = new Dictionary<string, ReadResult>();
+
+        public Subscription(string id, string clientId, SubscribeRequestData request)
+        {
+            Id = id;
+            ClientId = clientId;
+            ConnectionId = request.ConnectionId;
+            Addresses = request.Addresses;
+            SamplingInterval = request.SamplingInterval;
+            Deadband = request.Deadband;
+        }
+
+        public string Id { get; }
+        public string ClientId { get; }
+        public string ConnectionId { get; }
+        public string[] Addresses { get; }
+        public int SamplingInterval { get; }
+        public double Deadband { get; }
+        public CancellationToken Token => _cancellation.Token;
+
+        /// <summary>
+        /// 找出相对上次推送发生变化的数据点，并记为已推送
+        /// </summary>
+        public List<ReadResult> DetectChanges(IEnumerable<ReadResult> results)
+        {
+            var changes = new List<ReadResult>();
+            foreach (var result in results)
+            {
+                if (!_lastValues.TryGetValue(result.Address, out var previous) || HasChanged(previous, result))
+                {
+                    _lastValues[result.Address] = result;
+                    changes.Add(result);
+                }
+            }
+            return changes;
+        }
+
+        /// <summary>
+        /// 读取失败只在状态切换时推送；数值类型按死区比较，其他类型按值比较
+        /// </summary>
+        private bool HasChanged(ReadResult previous, ReadResult current)
+        {
+            if (previous.Success != current.Success)
+            {
+                return true;
+            }
+            if (!current.Success)
+            {
+                return false;
+            }
+
+            if (IsNumeric(previous.Value) && IsNumeric(current.Value))
+            {
+                var delta = Math.Abs(Convert.ToDouble(current.Value) - Convert.ToDouble(previous.Value));
+                return Deadband > 0 ? delta > Deadband : delta != 0;
+            }
+
+            return !Equals(previous.Value, current.Value);
+        }
+
+        private static bool IsNumeric(object? value)
+        {
+            return value is sbyte or byte or short or ushort or int or uint or long or ulong or float or double or decimal;
+        }
+
+        /// <summary>
+        /// 停止采样
+        /// </summary>
+        public void Cancel()
+        {
+            _cancellation.Cancel();
+        }
+    }
+}
@@ -1,64 +1,18 @@
-const net = require('net');
+const HLSIPCClient = require('../nodes/lib/hls-ipc-client');
 
 class Story24Tester {
     constructor() {
-        this.client = null;
-        this.messageId = 1;
+        this.client = new HLSIPCClient({ host: '127.0.0.1', port: 8888, timeout: 10000 });
     }
 
     async connect() {
-        return new Promise((resolve, reject) => {
-            this.client = new net.Socket();
-            
-            this.client.connect(8888, '127.0.0.1', () => {
-                console.log('[测试] 已连接到 HLS 服务');
-                resolve();
-            });
-            
-            this.client.on('error', (error) => {
-                console.error('[测试] 连接错误:', error.message);
-                reject(error);
-            });
-            
-            this.client.on('close', () => {
-                console.log('[测试] 连接已关闭');
-            });
-        });
+        await this.client.connect();
+        console.log('[测试] 已连接到 HLS 服务');
     }
 
-    async sendMessage(command, data = {}) {
-        return new Promise((resolve, reject) => {
-            const message = {
-                messageId: `msg_${this.messageId++}`,
-                command: command,
-                data: data,
-                timestamp: new Date().toISOString()
-            };
-
-            let responseData = '';
-            
-            const onData = (data) => {
-                responseData += data.toString();
-                try {
-                    const response = JSON.parse(responseData);
-                    this.client.removeListener('data', onData);
-                    resolve(response);
-                } catch (e) {
-                    // 数据可能还没接收完整
-                }
-            };
-
-            this.client.on('data', onData);
-
-            console.log(`[测试] 发送命令: ${command}`);
-            this.client.write(JSON.stringify(message) + '\n');
-
-            // 超时处理
-            setTimeout(() => {
-                this.client.removeListener('data', onData);
-                reject(new Error('命令执行超时'));
-            }, 10000);
-        });
+    async sendBatchOperation(request) {
+        console.log('[测试] 发送命令: batch_datapoint_operation');
+        return await this.client.batchDataPointOperation(request);
     }
 
     async testBatchRead() {
@@ -102,7 +56,7 @@ class Story24Tester {
         };
 
         try {
-            const response = await this.sendMessage('batch_datapoint_operation', batchReadRequest);
+            const response = await this.sendBatchOperation(batchReadRequest);
             console.log('[批量读取响应]', JSON.stringify(response, null, 2));
             
             if (response.success && response.data?.data?.results) {
@@ -163,7 +117,7 @@ class Story24Tester {
         };
 
         try {
-            const response = await this.sendMessage('batch_datapoint_operation', batchWriteRequest);
+            const response = await this.sendBatchOperation(batchWriteRequest);
             console.log('[批量写入响应]', JSON.stringify(response, null, 2));
             
             if (response.success && response.data?.data?.results) {
@@ -244,7 +198,7 @@ class Story24Tester {
         };
 
         try {
-            const response = await this.sendMessage('batch_datapoint_operation', batchReadWriteRequest);
+            const response = await this.sendBatchOperation(batchReadWriteRequest);
             console.log('[批量读写响应]', JSON.stringify(response, null, 2));
             
             if (response.success && response.data?.data) {
@@ -330,7 +284,7 @@ class Story24Tester {
         };
 
         try {
-            const response = await this.sendMessage('batch_datapoint_operation', dataTypeTests);
+            const response = await this.sendBatchOperation(dataTypeTests);
             console.log('[数据类型转换响应]', JSON.stringify(response, null, 2));
             
             if (response.success && response.data?.data?.results) {
@@ -388,7 +342,7 @@ class Story24Tester {
         };
 
         try {
-            const response = await this.sendMessage('batch_datapoint_operation', invalidRequest);
+            const response = await this.sendBatchOperation(invalidRequest);
             console.log('[验证错误响应]', JSON.stringify(response, null, 2));
             
             if (response.success && response.data?.code === 'INVALID_PARAMETER') {
@@ -434,16 +388,13 @@ class Story24Tester {
         } catch (error) {
             console.error('测试执行异常:', error.message);
         } finally {
-            if (this.client) {
-                this.client.end();
-            }
+            this.disconnect();
         }
     }
 
     disconnect() {
-        if (this.client) {
-            this.client.end();
-        }
+        this.client.disconnect();
+        console.log('[测试] 连接已关闭');
     }
 }
 
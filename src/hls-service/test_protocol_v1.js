@@ -3,94 +3,7 @@
  * 此文件演示新的标准化协议功能
  */
 
-const net = require('net');
-const { v4: uuidv4 } = require('uuid');
-
-// HLS客户端类
-class HLSProtocolClient {
-    constructor(options = {}) {
-        this.host = options.host || 'localhost';
-        this.port = options.port || 8888;
-        this.timeout = options.timeout || 10000;
-        this.socket = null;
-    }
-
-    // 连接到HLS服务器
-    async connect() {
-        return new Promise((resolve, reject) => {
-            this.socket = net.createConnection(this.port, this.host);
-            this.socket.setTimeout(this.timeout);
-
-            this.socket.on('connect', () => {
-                console.log(`✓ 连接到HLS服务器 ${this.host}:${this.port}`);
-                resolve();
-            });
-
-            this.socket.on('error', (err) => {
-                console.error('❌ 连接失败:', err.message);
-                reject(err);
-            });
-
-            this.socket.on('timeout', () => {
-                console.error('❌ 连接超时');
-                this.socket.destroy();
-                reject(new Error('Connection timeout'));
-            });
-        });
-    }
-
-    // 发送标准化协议消息
-    async sendMessage(command, data = {}) {
-        const request = {
-            version: "1.0",
-            messageId: uuidv4(),
-            timestamp: new Date().toISOString(),
-            command: command,
-            data: data
-        };
-
-        console.log(`📤 发送命令: ${command}`, JSON.stringify(request, null, 2));
-
-        return new Promise((resolve, reject) => {
-            const messageJson = JSON.stringify(request) + '\n';
-            
-            this.socket.write(messageJson, (err) => {
-                if (err) {
-                    console.error('❌ 发送消息失败:', err.message);
-                    reject(err);
-                    return;
-                }
-            });
-
-            // 监听响应
-            this.socket.once('data', (data) => {
-                try {
-                    const responseJson = data.toString().trim();
-                    const response = JSON.parse(responseJson);
-                    
-                    console.log(`📥 收到响应:`, JSON.stringify(response, null, 2));
-                    
-                    if (response.success) {
-                        resolve(response);
-                    } else {
-                        reject(new Error(`Command failed: ${JSON.stringify(response.error)}`));
-                    }
-                } catch (parseError) {
-                    console.error('❌ 响应解析失败:', parseError.message);
-                    reject(parseError);
-                }
-            });
-        });
-    }
-
-    // 断开连接
-    disconnect() {
-        if (this.socket) {
-            this.socket.end();
-            console.log('🔌 已断开连接');
-        }
-    }
-}
+const HLSIPCClient = require('../nodes/lib/hls-ipc-client');
 
 // 测试函数集合
 const tests = {
@@ -98,7 +11,7 @@ const tests = {
     async testProtocolInfo(client) {
         console.log('\n=== 测试协议信息查询 ===');
         try {
-            const response = await client.sendMessage('protocolInfo');
+            const response = await client.getProtocolInfo();
             console.log('✓ 协议信息查询成功');
             return response;
         } catch (error) {
@@ -136,7 +49,7 @@ const tests = {
                 ]
             };
 
-            const response = await client.sendMessage('connect', connectionRequest);
+            const response = await client.connectDevice(connectionRequest.deviceConfig, connectionRequest.dataPoints);
             console.log('✓ 设备连接建立成功');
             console.log('📋 连接信息:', {
                 connectionId: response.data?.connectionId,
@@ -159,9 +72,7 @@ const tests = {
         }
 
         try {
-            const response = await client.sendMessage('status', {
-                connectionId: connectionId
-            });
+            const response = await client.getStatus(connectionId);
             console.log('✓ 连接状态查询成功');
             console.log('📊 状态信息:', {
                 connectionId: response.data?.connectionId,
@@ -196,7 +107,7 @@ const tests = {
                 ]
             };
 
-            const response = await client.sendMessage('validateConnection', validationRequest);
+            const response = await client.validateConnection(validationRequest.deviceConfig, validationRequest.dataPoints);
             console.log('✓ 连接参数验证成功');
             console.log('📋 验证结果:', {
                 valid: response.data?.valid,
@@ -214,7 +125,7 @@ const tests = {
     async testListConnections(client) {
         console.log('\n=== 测试连接列表查询 ===');
         try {
-            const response = await client.sendMessage('listConnections');
+            const response = await client.listConnections();
             console.log('✓ 连接列表查询成功');
             console.log('📋 连接统计:', {
                 totalCount: response.data?.totalCount,
@@ -244,9 +155,7 @@ const tests = {
         }
 
         try {
-            const response = await client.sendMessage('disconnect', {
-                connectionId: connectionId
-            });
+            const response = await client.disconnectDevice(connectionId);
             console.log('✓ 设备断开连接成功');
             console.log('📋 断开信息:', {
                 connectionId: response.data?.connectionId,
@@ -264,7 +173,7 @@ const tests = {
     async testServerStatus(client) {
         console.log('\n=== 测试服务器状态查询 ===');
         try {
-            const response = await client.sendMessage('serverStatus');
+            const response = await client.getServerStatus();
             console.log('✓ 服务器状态查询成功');
             console.log('📊 服务器信息:', {
                 status: response.data?.status,
@@ -286,12 +195,13 @@ async function runProtocolTests() {
     console.log('🚀 开始标准化协议v1.0测试');
     console.log('==========================================');
     
-    const client = new HLSProtocolClient();
+    const client = new HLSIPCClient({ host: 'localhost', port: 8888, timeout: 10000 });
     let connectionId = null;
 
     try {
         // 1. 连接到服务器
         await client.connect();
+        console.log(`✓ 连接到HLS服务器 ${client.host}:${client.port}`);
 
         // 2. 测试协议信息查询
         await tests.testProtocolInfo(client);
@@ -326,6 +236,7 @@ async function runProtocolTests() {
     } finally {
         // 清理连接
         client.disconnect();
+        console.log('🔌 已断开连接');
     }
 }
 
@@ -351,4 +262,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { HLSProtocolClient, tests };
\ No newline at end of file
+module.exports = { tests };
\ No newline at end of file
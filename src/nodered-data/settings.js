@@ -20,6 +20,22 @@
  *
  **/
 
+/**
+ * 加载可选模块：HLS IPC客户端依赖src/nodes中安装的uuid，未在src/nodes执行npm install时
+ * 只给出警告并不注册该全局变量，避免settings.js加载失败导致Node-RED无法启动
+ */
+function optionalRequire(modulePath) {
+    try {
+        return require(modulePath);
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') {
+            throw err;
+        }
+        console.warn(`[settings] 未能加载 ${modulePath}: ${err.message.split('\n')[0]}`);
+        return undefined;
+    }
+}
+
 module.exports = {
 
 /*******************************************************************************
@@ -317,6 +333,15 @@ module.exports = {
     //        module:"localfilesystem"
     //    },
     //},
+    // 默认上下文保存在内存中；file存储写入userDir/context，hls-read节点的暂停状态和读取间隔保存在其中，重启后恢复
+    contextStorage: {
+        default: {
+            module: "memory"
+        },
+        file: {
+            module: "localfilesystem"
+        }
+    },
 
     /** `global.keys()` returns a list of all properties set in global context.
      * This allows them to be displayed in the Context Sidebar within the editor.
@@ -481,6 +506,8 @@ module.exports = {
      */
     functionGlobalContext: {
         // os:require('os'),
+        // HLS IPC客户端，Function节点中通过 global.get("HLSIPCClient") 使用
+        HLSIPCClient: optionalRequire('../nodes/lib/hls-ipc-client'),
     },
 
     /** The maximum number of messages nodes will buffer internally as part of their
@@ -0,0 +1,63 @@
+/**
+ * HLS-Device Config Node
+ * Node-RED配置节点，读写节点通过它共享同一个设备连接
+ */
+
+const HLSDevice = require('../lib/hls-device');
+const { scalingFields } = require('../lib/hls-scaling');
+
+module.exports = function (RED) {
+  'use strict';
+
+  function HLSDeviceNode(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+
+    // 节点配置
+    node.name = config.name || '';
+    node.protocol = config.protocol || 'ModbusTcp';
+    node.host = config.host || '';
+    node.port = parseInt(config.port) || 502;
+    node.timeout = parseInt(config.timeout) || 5000;
+    node.settings = config.settings || {};
+    node.points = config.points || [];
+
+    node.serviceNode = RED.nodes.getNode(config.service);
+    if (!node.serviceNode) {
+      node.error('未配置HLS服务');
+      return;
+    }
+
+    // 共享的设备连接
+    node.device = new HLSDevice(node.serviceNode.service, {
+      protocol: node.protocol,
+      host: node.host,
+      port: node.port,
+      timeout: node.timeout,
+      settings: node.settings,
+      dataPoints: node.points.map(point =>
+        Object.assign(
+          {
+            address: point.address,
+            dataType: point.dataType || 'Int16',
+            name: point.name || point.address,
+            access: point.readWrite || 'read',
+          },
+          scalingFields(point)
+        )
+      ),
+    });
+
+    // 节点关闭时断开设备连接
+    node.on('close', (removed, done) => {
+      node.device
+        .disconnect()
+        .catch(err => node.error(`断开设备连接失败: ${err.message}`))
+        .finally(done);
+    });
+  }
+
+  // 注册节点
+  RED.nodes.registerType('hls-device', HLSDeviceNode);
+};
@@ -0,0 +1,261 @@
+/**
+ * Unit tests for HLS-Device Config Node
+ */
+
+const assert = require('assert');
+const helper = require('node-red-node-test-helper');
+const hlsServiceNode = require('../../hls-service/hls-service.js');
+const hlsDeviceNode = require('../hls-device.js');
+const hlsReadNode = require('../../hls-read/hls-read.js');
+const hlsWriteNode = require('../../hls-write/hls-write.js');
+
+helper.init(require.resolve('node-red'));
+
+describe('HLS-Device Config Node', () => {
+  const nodes = [hlsServiceNode, hlsDeviceNode, hlsReadNode, hlsWriteNode];
+
+  beforeEach(done => {
+    helper.startServer(done);
+  });
+
+  afterEach(done => {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  // 模拟服务端：记录connect/disconnect命令
+  function mockClient(client, calls) {
+    client.connected = true;
+    client.connectDevice = (deviceConfig, dataPoints) => {
+      calls.push({ command: 'connect', deviceConfig, dataPoints });
+      return new Promise(resolve => {
+        setTimeout(() => resolve({ success: true, data: { connectionId: 'conn-1' } }), 10);
+      });
+    };
+    client.sendRequest = (command, data) => {
+      calls.push({ command, data });
+      return Promise.resolve({ success: true });
+    };
+  }
+
+  it('should be loaded with default configuration', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    ];
+    helper.load(nodes, flow, () => {
+      const d1 = helper.getNode('d1');
+      assert.equal(d1.protocol, 'ModbusTcp');
+      assert.equal(d1.port, 502);
+      assert.equal(d1.timeout, 5000);
+      assert.strictEqual(d1.device.client, helper.getNode('s1').service.client);
+      done();
+    });
+  });
+
+  it('should share one connectionId between referencing nodes', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      {
+        id: 'd1',
+        type: 'hls-device',
+        service: 's1',
+        host: '192.168.1.10',
+        settings: { station: 2 },
+        points: [{ address: '40001', dataType: 'Int16', name: 'temp', readWrite: 'readwrite' }],
+      },
+      {
+        id: 'r1',
+        type: 'hls-read',
+        device: 'd1',
+        addresses: [{ address: '40002', dataType: 'Float' }],
+      },
+      { id: 'w1', type: 'hls-write', device: 'd1' },
+    ];
+    helper.load(nodes, flow, async () => {
+      try {
+        const d1 = helper.getNode('d1');
+        const r1 = helper.getNode('r1');
+        const w1 = helper.getNode('w1');
+        const calls = [];
+        mockClient(d1.device.client, calls);
+
+        assert.strictEqual(r1.device, d1.device);
+        assert.strictEqual(w1.device, d1.device);
+
+        const ids = await Promise.all([d1.device.connect(), d1.device.connect()]);
+        assert.deepEqual(ids, ['conn-1', 'conn-1']);
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].deviceConfig.host, '192.168.1.10');
+        assert.deepEqual(calls[0].deviceConfig.settings, { station: 2 });
+        assert.deepEqual(
+          calls[0].dataPoints.map(point => point.address),
+          ['40001', '40002']
+        );
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should disconnect only when the last node deregisters', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      { id: 'r1', type: 'hls-read', device: 'd1' },
+      { id: 'w1', type: 'hls-write', device: 'd1' },
+    ];
+    helper.load(nodes, flow, async () => {
+      try {
+        const d1 = helper.getNode('d1');
+        const calls = [];
+        mockClient(d1.device.client, calls);
+        await d1.device.connect();
+
+        await d1.device.deregister(helper.getNode('r1'));
+        assert.equal(calls.filter(call => call.command === 'disconnect').length, 0);
+        assert.equal(d1.device.connectionId, 'conn-1');
+
+        await d1.device.deregister(helper.getNode('w1'));
+        assert.deepEqual(calls[calls.length - 1], {
+          command: 'disconnect',
+          data: { connectionId: 'conn-1' },
+        });
+        assert.equal(d1.device.connectionId, null);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should configure points of nodes registered after the device connected', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      { id: 'r1', type: 'hls-read', device: 'd1', addresses: [{ address: '40001' }] },
+    ];
+    helper.load(nodes, flow, async () => {
+      try {
+        const d1 = helper.getNode('d1');
+        const calls = [];
+        mockClient(d1.device.client, calls);
+        await d1.device.connect();
+
+        const lateNode = {};
+        d1.device.register(lateNode, [
+          { address: '40001', dataType: 'Int16' },
+          { address: '40010', dataType: 'Float' },
+        ]);
+        const configure = calls.filter(call => call.command === 'configure_datapoints');
+        assert.equal(configure.length, 1);
+        assert.equal(configure[0].data.deviceId, 'conn-1');
+        assert.deepEqual(
+          configure[0].data.standalonePoints.map(point => point.address),
+          ['40010']
+        );
+
+        // 已配置的数据点不再重复发送
+        d1.device.register({}, [{ address: '40010', dataType: 'Float' }]);
+        assert.equal(calls.filter(call => call.command === 'configure_datapoints').length, 1);
+        await d1.device.deregister(lateNode);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should use device points when the read node has no addresses', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      {
+        id: 'd1',
+        type: 'hls-device',
+        service: 's1',
+        host: '192.168.1.10',
+        points: [{ address: '40001', dataType: 'Int16', name: 'temp' }],
+      },
+      { id: 'r1', type: 'hls-read', device: 'd1' },
+    ];
+    helper.load(nodes, flow, () => {
+      const r1 = helper.getNode('r1');
+      assert.equal(r1.addresses.length, 1);
+      assert.equal(r1.addresses[0].address, '40001');
+      assert.equal(r1.deviceId, '192.168.1.10');
+      done();
+    });
+  });
+
+  it('should re-issue connect for registered devices after the service reconnects', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      { id: 'd2', type: 'hls-device', service: 's1', host: '192.168.1.11' },
+      { id: 'r1', type: 'hls-read', device: 'd1' },
+    ];
+    helper.load(nodes, flow, async () => {
+      try {
+        const d1 = helper.getNode('d1');
+        const r1 = helper.getNode('r1');
+        const client = d1.device.client;
+        const calls = [];
+        mockClient(client, calls);
+        await d1.device.connect();
+        assert.equal(r1.connectionId, 'conn-1');
+
+        client.emit('disconnected');
+        assert.equal(d1.device.connectionId, null);
+        assert.equal(r1.connected, false);
+
+        r1.status = () => {};
+        d1.device.once('connected', connectionId => {
+          try {
+            // 释放旧连接后重新连接；没有节点使用的d2不连接
+            assert.deepEqual(
+              calls.map(call => call.command),
+              ['connect', 'disconnect', 'connect']
+            );
+            assert.equal(connectionId, 'conn-1');
+            assert.equal(r1.connected, true);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+        client.emit('connected');
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should finish closing when disconnecting fails and cancel delayed connections', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      { id: 'r1', type: 'hls-read', device: 'd1', addresses: [{ address: '40001' }] },
+      { id: 'w1', type: 'hls-write', device: 'd1', addresses: [{ address: '40001' }] },
+    ];
+    helper.load(nodes, flow, async () => {
+      try {
+        const d1 = helper.getNode('d1');
+        const connects = [];
+        d1.device.connect = () => {
+          connects.push(Date.now());
+          return Promise.resolve('conn-1');
+        };
+        d1.device.deregister = () => Promise.reject(new Error('服务无响应'));
+        d1.device.disconnect = () => Promise.reject(new Error('服务无响应'));
+
+        await helper.unload();
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.deepEqual(connects, []);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
@@ -3,354 +3,626 @@
  * Node-RED节点，用于从工业设备读取数据
  */
 
-const net = require('net');
-const { v4: uuidv4 } = require('uuid');
+const { attachDevice, toDataPoints, DeviceBinding } = require('../lib/hls-device-binding');
+const { formatErrorMessage } = require('../lib/hls-errors');
+const { withRetry } = require('../lib/hls-retry');
+const { OUTPUT_MODES, ExceptionReporter } = require('../lib/hls-deadband');
+const {
+  DEFAULT_SCAN_CLASS,
+  buildScanClasses,
+  getBaseInterval,
+  getDueClasses,
+  mergeAddresses,
+} = require('../lib/hls-scan-classes');
+const { SCHEDULE_POLICIES, PollScheduler } = require('../lib/hls-scheduler');
+const { MAX_BATCH_SIZE, DEFAULT_CONCURRENCY, readInBatches } = require('../lib/hls-batch');
+const { OUTPUT_FORMATS, pointName, formatMessages } = require('../lib/hls-output-format');
+const { QUALITY, extractResults, toQualityItem, LastGoodValues } = require('../lib/hls-quality');
+const { scaleReadItem } = require('../lib/hls-scaling');
+const { planRegisterReads, decodeResults } = require('../lib/hls-codec');
+const { INT64_FORMATS, parseReadValue, formatInt64 } = require('../lib/hls-int64');
+const { intervalsOf, buildControlState, restorableState } = require('../lib/hls-control-state');
+
+// 节点上下文中保存控制状态的键
+const CONTROL_STATE_KEY = 'control';
+// 保存控制状态的上下文存储，未配置该存储时Node-RED使用默认存储并给出警告
+const CONTROL_STATE_STORE = 'file';
+
+// 控制消息允许设置的最小读取间隔（毫秒）
+const MIN_INTERVAL = 100;
 
-module.exports = function (RED) {
-  'use strict';
+/**
+ * 读取配置：读取间隔、重试、扫描类和调度参数
+ */
+function parseReadingOptions(node, config) {
+  node.interval = parseInt(config.interval) || 1000;
+  node.maxRetries = isNaN(parseInt(config.maxRetries)) ? 3 : parseInt(config.maxRetries);
+  node.scanClasses = config.scanClasses || [];
+  node.schedulePolicy = config.schedulePolicy || SCHEDULE_POLICIES.SKIP;
+  node.alignToClock = config.alignToClock === true;
+  node.statsOutput = config.statsOutput === true;
+  node.batchSize = Math.min(parseInt(config.batchSize) || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+  node.batchConcurrency = parseInt(config.batchConcurrency) || DEFAULT_CONCURRENCY;
+}
 
-  /**
-   * HLS IPC客户端类
-   */
-  class HLSIPCClient {
-    constructor(options) {
-      this.host = options.host || 'localhost';
-      this.port = options.port || 8888;
-      this.timeout = options.timeout || 5000;
-      this.socket = null;
-      this.connected = false;
-      this.pendingRequests = new Map();
-    }
+/**
+ * 输出配置：输出模式、输出格式、旧值替代和64位整数的表示
+ */
+function parseOutputOptions(node, config) {
+  node.outputMode = config.outputMode || OUTPUT_MODES.ALL;
+  node.maxSilence = parseInt(config.maxSilence) || 0;
+  node.outputFormat = config.outputFormat || OUTPUT_FORMATS.ARRAY;
+  node.substituteLastGood = config.substituteLastGood === true;
+  node.int64Format = config.int64Format || INT64_FORMATS.STRING;
+}
 
-    /**
-     * 连接到HLS服务
-     */
-    async connect() {
-      return new Promise((resolve, reject) => {
-        if (this.connected) {
-          return resolve();
-        }
+/**
+ * 解析输入消息指定的数据点：msg.addresses，或数组形式的msg.payload，或msg.payload.addresses。
+ * 数据点可以是地址字符串或{address, dataType, name}对象；未指定时返回null
+ */
+function parseRequestedPoints(msg) {
+  let points = msg.addresses;
+  if (points === undefined && Array.isArray(msg.payload)) {
+    points = msg.payload;
+  }
+  if (points === undefined && msg.payload && Array.isArray(msg.payload.addresses)) {
+    points = msg.payload.addresses;
+  }
+  if (points === undefined) {
+    return null;
+  }
 
-        this.socket = new net.Socket();
-        this.socket.setTimeout(this.timeout);
+  points = []
+    .concat(points)
+    .map(point => (typeof point === 'object' && point !== null ? point : { address: point }));
+  const invalid = points.find(
+    point => !['string', 'number'].includes(typeof point.address) || point.address === ''
+  );
+  if (points.length === 0 || invalid) {
+    throw new Error(`无效的读取地址: ${JSON.stringify(invalid ? invalid.address : points)}`);
+  }
+  return points.map(point => Object.assign({}, point, { address: String(point.address) }));
+}
 
-        this.socket.on('connect', () => {
-          this.connected = true;
-          resolve();
-        });
+/**
+ * 节点未配置数据点时使用设备配置的点位；按地址索引数据点，嵌套输出格式以设备名称为顶层键
+ */
+function resolveDevicePoints(node, deviceNode) {
+  if (node.addresses.length === 0 && deviceNode) {
+    node.addresses = deviceNode.points;
+  }
+  node.pointsByAddress = new Map(node.addresses.map(point => [point.address, point]));
+  node.deviceName = (deviceNode && deviceNode.name) || node.deviceId;
+}
 
-        this.socket.on('data', (data) => {
-          this.handleResponse(data);
-        });
+/**
+ * 例外报告只输出变化超过死区的数据点；保持旧值时读取失败的数据点用最近的Good值替代，质量为Uncertain
+ */
+function createOutputFilters(node) {
+  node.reporter =
+    node.outputMode === OUTPUT_MODES.EXCEPTION
+      ? new ExceptionReporter(node.addresses, { maxSilence: node.maxSilence })
+      : null;
+  node.lastGood = node.substituteLastGood ? new LastGoodValues() : null;
+}
 
-        this.socket.on('error', (err) => {
-          this.connected = false;
-          reject(err);
-        });
+/**
+ * 64位整数数据点的值（服务端以十进制字符串返回）无损转换为BigInt，换算后按输出格式表示
+ */
+function toOutputItem(node, item, point) {
+  item.value = parseReadValue(item.value, (point && point.dataType) || item.dataType);
+  scaleReadItem(item, point);
+  item.value = formatInt64(item.value, node.int64Format);
+  return item;
+}
 
-        this.socket.on('close', () => {
-          this.connected = false;
-        });
+/**
+ * 把读取响应转换为带质量码的工程值数据点，按地址索引；启用替代时读取失败的数据点使用最近的Good值
+ * @param {Object} node - 读取节点
+ * @param {Object} response - 服务端响应
+ * @param {Map} points - 按地址索引的数据点配置，用于工程量换算
+ * @param {Function} describe - describe(result, point)返回数据点的name和dataType
+ */
+function toOutputItems(node, response, points, describe) {
+  const timestamp = response.timestamp || new Date().toISOString();
+  let items = extractResults(response).map(result => {
+    const point = points.get(result.address);
+    const item = Object.assign(toQualityItem(result, timestamp), describe(result, point));
+    return toOutputItem(node, item, point);
+  });
+  if (node.lastGood) {
+    items = node.lastGood.apply(items);
+  }
+  return new Map(items.map(item => [item.address, item]));
+}
 
-        this.socket.on('timeout', () => {
-          this.socket.destroy();
-          reject(new Error('连接超时'));
-        });
+/**
+ * 读取结果状态文字，带有质量不为Good的点位数
+ */
+function qualityStatusText(text, items) {
+  const abnormal = items.filter(item => item.quality !== QUALITY.GOOD).length;
+  return abnormal > 0 ? `${text}，${abnormal} 个异常` : text;
+}
 
-        this.socket.connect(this.port, this.host);
-      });
+module.exports = function (RED) {
+  'use strict';
+
+  function HLSReadNode(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+
+    // 节点配置
+    node.name = config.name || 'HLS读取';
+    node.addresses = config.addresses || [];
+    parseReadingOptions(node, config);
+    parseOutputOptions(node, config);
+
+    // 共享的设备连接和设备参数
+    const deviceNode = attachDevice(RED, node, config);
+    resolveDevicePoints(node, deviceNode);
+
+    createOutputFilters(node);
+
+    // 控制消息修改的暂停状态和读取间隔保存在节点上下文中，重启后恢复；
+    // 编辑器中的间隔配置改变后保存的状态作废，按新配置读取
+    node.paused = false;
+    node.configuredIntervals = intervalsOf(node.interval, node.scanClasses);
+    restoreControlState();
+
+    // 扫描类：未指定扫描类的数据点按节点读取间隔读取
+    const scan = buildScanClasses(node.addresses, node.scanClasses, node.interval);
+    node.scanGroups = scan.classes;
+    if (scan.unknown.length > 0) {
+      node.warn(`未定义的扫描类: ${scan.unknown.join(', ')}，按默认读取间隔读取`);
     }
 
+    // 定时读取调度器：每个节点只有一个，修改间隔时原地调整，输入触发的读取也经过同一互斥
+    node.scheduler = new PollScheduler(readDueClasses, {
+      interval: getBaseInterval(node.scanGroups),
+      policy: node.schedulePolicy,
+      align: node.alignToClock,
+      onCycle: onScheduleCycle,
+    });
+
+    // 设备连接和连接事件
+    node.binding = new DeviceBinding(node, { onConnected: onDeviceConnected });
+    node.binding.bind(toDataPoints(node.addresses));
+
     /**
-     * 处理服务器响应
+     * 设备连接建立后开始定时读取，暂停采集时只更新状态
      */
-    handleResponse(data) {
-      try {
-        const response = JSON.parse(data.toString());
-        const messageId = response.messageId;
-        
-        if (this.pendingRequests.has(messageId)) {
-          const { resolve, reject } = this.pendingRequests.get(messageId);
-          this.pendingRequests.delete(messageId);
-          
-          if (response.success) {
-            resolve(response);
-          } else {
-            reject(new Error(response.error ? response.error.message : '未知错误'));
-          }
-        }
-      } catch (err) {
-        // 忽略解析错误
+    function onDeviceConnected() {
+      if (node.paused) {
+        node.status({ fill: 'grey', shape: 'ring', text: '已暂停采集' });
+        return;
       }
+      node.status({ fill: 'green', shape: 'dot', text: '已连接' });
+      startPeriodicReading();
     }
 
     /**
-     * 发送请求到HLS服务
+     * 开始定时读取数据：每个基准周期检查到期的扫描类，同时到期的扫描类合并为一次读取；
+     * 上一次读取未完成时不会开始新的读取。已在调度时（如设备重新连接）保持原调度
      */
-    async sendRequest(command, data) {
-      if (!this.connected) {
-        await this.connect();
+    function startPeriodicReading() {
+      if (node.addresses.length > 0 && !node.scheduler.running) {
+        node.scheduler.start();
       }
+    }
 
-      return new Promise((resolve, reject) => {
-        const messageId = uuidv4();
-        const request = {
-          version: '1.0',
-          messageId: messageId,
-          timestamp: new Date().toISOString(),
-          command: command,
-          data: data
-        };
-
-        this.pendingRequests.set(messageId, { resolve, reject });
-
-        // 设置请求超时
-        setTimeout(() => {
-          if (this.pendingRequests.has(messageId)) {
-            this.pendingRequests.delete(messageId);
-            reject(new Error('请求超时'));
-          }
-        }, this.timeout);
-
-        this.socket.write(JSON.stringify(request));
+    /**
+     * 读取在这些周期时刻到期的扫描类（排队的多个周期合并为一次读取）
+     */
+    async function readDueClasses(cycles) {
+      const due = new Set();
+      cycles.forEach(cycle => {
+        getDueClasses(node.scanGroups, cycle).forEach(scanClass => due.add(scanClass));
       });
+      const dueClasses = node.scanGroups.filter(scanClass => due.has(scanClass));
+      if (dueClasses.length === 0) {
+        return;
+      }
+      try {
+        await performDataReading(dueClasses);
+      } catch (err) {
+        node.error(`数据读取失败: ${formatErrorMessage(err)}`);
+      }
     }
 
     /**
-     * 连接设备
+     * 每个调度周期结束后从第二个输出端口输出调度统计
      */
-    async connectDevice(deviceConfig, dataPoints) {
-      const data = {
-        deviceConfig: deviceConfig,
-        dataPoints: dataPoints
-      };
-      return await this.sendRequest('connect', data);
+    function onScheduleCycle(stats) {
+      if (node.statsOutput) {
+        node.send([null, { payload: stats, topic: 'hls-read/stats' }]);
+      }
     }
 
     /**
-     * 读取单个数据点
+     * 定时读取时状态文字后附加实际周期和超限次数
      */
-    async readData(connectionId, address) {
-      const data = {
-        connectionId: connectionId,
-        address: address
-      };
-      return await this.sendRequest('read', data);
+    function scheduleStatusText(text) {
+      if (!node.scheduler.running) {
+        return text;
+      }
+      const stats = node.scheduler.getStats();
+      return `${text} | 周期 ${stats.cycleTime}ms 超限 ${stats.overruns}`;
     }
 
     /**
-     * 批量读取数据点
+     * 执行一次读取请求，可重试的服务端错误按建议延迟重试
      */
-    async readBatchData(connectionId, addresses) {
-      const data = {
-        connectionId: connectionId,
-        addresses: addresses
-      };
-      return await this.sendRequest('readBatch', data);
+    function readWithRetry(request) {
+      return withRetry(request, {
+        maxRetries: node.maxRetries,
+        onRetry: (err, attempt, delay) => {
+          node.status({
+            fill: 'yellow',
+            shape: 'ring',
+            text: `重试中 [${err.code}] (${attempt}/${node.maxRetries})`,
+          });
+          node.log(`读取失败，${delay}毫秒后重试: ${formatErrorMessage(err)}`);
+        },
+      });
     }
 
     /**
-     * 断开连接
+     * 读取地址列表：单个地址单点读取，多个地址超过批次上限时分批读取，每个请求单独重试
      */
-    disconnect() {
-      if (this.socket) {
-        this.socket.destroy();
+    function readAddresses(addresses) {
+      const client = node.hlsClient;
+      if (addresses.length === 1) {
+        return readWithRetry(() => client.readData(node.connectionId, addresses[0]));
       }
-      this.connected = false;
-      this.pendingRequests.clear();
+      return readInBatches(
+        batch => readWithRetry(() => client.readBatchData(node.connectionId, batch)),
+        addresses,
+        {
+          maxBatchSize: node.batchSize,
+          concurrency: node.batchConcurrency,
+          protocol: node.protocol,
+        }
+      );
     }
-  }
 
-  function HLSReadNode(config) {
-    RED.nodes.createNode(this, config);
+    /**
+     * 读取数据点：配置了字节序、位号或字符串长度的数据点展开为寄存器读取，读取后组合为数据点的值
+     * @param {Array} addresses - 数据点地址
+     * @param {Map} points - 按地址索引的数据点配置
+     */
+    async function readPoints(addresses, points) {
+      const plan = planRegisterReads(addresses, points);
+      if (plan.codecs.size === 0 && plan.errors.size === 0) {
+        return readAddresses(addresses);
+      }
 
-    const node = this;
+      const response =
+        plan.addresses.length > 0
+          ? await readAddresses(plan.addresses)
+          : { success: true, data: [] };
+      return Object.assign({}, response, {
+        data: decodeResults(addresses, extractResults(response), plan),
+      });
+    }
 
-    // 节点配置
-    node.name = config.name || 'HLS读取';
-    node.deviceId = config.deviceId || '';
-    node.addresses = config.addresses || [];
-    node.interval = parseInt(config.interval) || 1000;
-    node.server = config.server || 'localhost';
-    node.port = parseInt(config.port) || 8888;
-    node.protocol = config.protocol || 'ModbusTcp';
-    node.devicePort = parseInt(config.devicePort) || 502;
-    node.timeout = parseInt(config.timeout) || 5000;
-
-    // 连接状态和客户端
-    node.connected = false;
-    node.connectionId = null;
-    node.hlsClient = new HLSIPCClient({
-      host: node.server,
-      port: node.port,
-      timeout: 5000
-    });
+    /**
+     * 读取指定扫描类的数据点（默认全部），可重试的服务端错误按建议延迟重试，其余错误设置状态后抛出
+     */
+    async function performDataReading(scanClasses = node.scanGroups) {
+      if (!node.connected || !node.connectionId) {
+        return;
+      }
+
+      try {
+        node.status({ fill: 'blue', shape: 'dot', text: '读取中...' });
+
+        const response = await readPoints(mergeAddresses(scanClasses), node.pointsByAddress);
+        if (response.success && response.data) {
+          sendReadResult(response, scanClasses);
+        } else {
+          throw new Error('数据读取失败');
+        }
+      } catch (err) {
+        // 服务连接断开时由客户端统一重连，这里只报告错误
+        node.status({ fill: 'red', shape: 'ring', text: `读取失败: ${formatErrorMessage(err)}` });
+        throw err;
+      }
+    }
 
-    // 定时读取器
-    node.readInterval = null;
+    /**
+     * 按扫描类发送输出消息，消息带有扫描类名称；例外报告模式下只输出变化超过死区的数据点，没有变化时不发送
+     */
+    function sendReadResult(response, scanClasses) {
+      const timestamp = response.timestamp || new Date().toISOString();
+      const items = toOutputItems(node, response, node.pointsByAddress, (item, point) => ({
+        name: pointName(point || item),
+      }));
+      const outputData = Array.from(items.values());
+
+      let sent = 0;
+      scanClasses.forEach(scanClass => {
+        const classItems = scanClass.addresses
+          .filter(address => items.has(address))
+          .map(address => items.get(address));
+        const data = node.reporter ? node.reporter.filter(classItems) : classItems;
+        if (data.length === 0) {
+          return;
+        }
+
+        formatMessages(data, node.outputFormat, {
+          connectionId: node.connectionId,
+          scanClass: scanClass.name,
+          timestamp,
+          device: node.deviceName,
+        }).forEach(message => node.send(message));
+        sent += data.length;
+      });
 
-    // 状态指示
-    node.status({ fill: 'red', shape: 'ring', text: '未连接' });
+      if (sent === 0) {
+        node.status({
+          fill: 'green',
+          shape: 'ring',
+          text: scheduleStatusText(`无变化 (${outputData.length} 个点位)`),
+        });
+        return;
+      }
+      const text = node.reporter
+        ? `已输出 ${sent}/${outputData.length} 个变化点位`
+        : `已读取 ${outputData.length} 个点位`;
+      node.status({
+        fill: outputData.every(item => item.quality === QUALITY.GOOD) ? 'green' : 'yellow',
+        shape: 'dot',
+        text: scheduleStatusText(qualityStatusText(text, outputData)),
+      });
+    }
 
     /**
-     * 初始化设备连接
+     * 读取输入消息指定的数据点，结果按输出格式写回原消息，保留_msgid、topic和其他属性；
+     * 每个数据点一条消息时复制原消息，topic为数据点名称
      */
-    async function initializeConnection() {
+    async function performDynamicReading(msg, points, send) {
       try {
-        node.status({ fill: 'yellow', shape: 'ring', text: '连接中...' });
+        node.status({ fill: 'blue', shape: 'dot', text: '读取中...' });
 
-        // 构造设备配置
-        const deviceConfig = {
-          protocol: node.protocol,
-          host: node.deviceId,
-          port: node.devicePort,
-          timeout: node.timeout
-        };
+        const addresses = Array.from(new Set(points.map(point => point.address)));
+        const requested = new Map(points.map(point => [point.address, point]));
+        const response = await readPoints(addresses, requested);
+        if (!response.success || !response.data) {
+          throw new Error('数据读取失败');
+        }
 
-        // 构造数据点配置
-        const dataPoints = node.addresses.map(addr => ({
-          address: addr.address,
-          dataType: addr.dataType || 'Int16',
-          name: addr.description || addr.address
+        const timestamp = response.timestamp || new Date().toISOString();
+        const items = toOutputItems(node, response, requested, (item, point = item) => ({
+          name: point.name || item.address,
+          dataType: point.dataType || item.dataType,
         }));
+        const data = points
+          .filter(point => items.has(point.address))
+          .map(point => items.get(point.address));
+
+        const messages = formatMessages(data, node.outputFormat, {
+          connectionId: node.connectionId,
+          timestamp,
+          device: node.deviceName,
+        });
+        messages.forEach(message => {
+          if (node.outputFormat !== OUTPUT_FORMATS.POINTS) {
+            delete message.topic;
+          }
+          send(Object.assign(messages.length > 1 ? RED.util.cloneMessage(msg) : msg, message));
+        });
+        node.status({
+          fill: data.every(item => item.quality === QUALITY.GOOD) ? 'green' : 'yellow',
+          shape: 'dot',
+          text: qualityStatusText(`已按请求读取 ${data.length} 个点位`, data),
+        });
+      } catch (err) {
+        node.status({ fill: 'red', shape: 'ring', text: `读取失败: ${formatErrorMessage(err)}` });
+        throw err;
+      }
+    }
 
-        // 连接设备
-        const response = await node.hlsClient.connectDevice(deviceConfig, dataPoints);
-        
-        if (response.success && response.data && response.data.connectionId) {
-          node.connectionId = response.data.connectionId;
-          node.connected = true;
-          node.status({ fill: 'green', shape: 'dot', text: '已连接' });
-          node.log(`成功连接到设备: ${node.deviceId}`);
-          
-          // 开始定时读取
-          startPeriodicReading();
-        } else {
-          throw new Error('设备连接失败');
+    /**
+     * 从节点上下文的file存储恢复控制消息设置的状态。
+     * 状态中记录了保存时编辑器配置的间隔，与当前配置不同时说明节点已被重新配置，保存的状态被丢弃
+     */
+    function restoreControlState() {
+      const saved = node.context().get(CONTROL_STATE_KEY, CONTROL_STATE_STORE);
+      const state = restorableState(saved, node.configuredIntervals);
+      if (!state) {
+        if (saved) {
+          node.context().set(CONTROL_STATE_KEY, undefined, CONTROL_STATE_STORE);
         }
-      } catch (err) {
-        node.connected = false;
-        node.status({ fill: 'red', shape: 'ring', text: `连接失败: ${err.message}` });
-        node.error(`设备连接失败: ${err.message}`);
+        return;
+      }
+      node.paused = state.paused === true;
+      if (state.interval) {
+        node.interval = state.interval;
+      }
+      if (state.scanClasses) {
+        node.scanClasses = node.scanClasses.map(scanClass =>
+          Object.assign({}, scanClass, {
+            interval: state.scanClasses[scanClass.name] || scanClass.interval,
+          })
+        );
       }
     }
 
+    function saveControlState() {
+      const state = buildControlState(node, node.configuredIntervals);
+      node.context().set(CONTROL_STATE_KEY, state, CONTROL_STATE_STORE);
+    }
+
     /**
-     * 开始定时读取数据
+     * 修改默认读取间隔或指定扫描类的间隔，并按新间隔重新调度
      */
-    function startPeriodicReading() {
-      if (node.readInterval) {
-        clearInterval(node.readInterval);
+    function changeInterval(interval, scanClassName) {
+      if (!Number.isInteger(interval) || interval < MIN_INTERVAL) {
+        throw new Error(`无效的读取间隔: ${interval}，应为不小于${MIN_INTERVAL}的整数毫秒`);
       }
 
-      if (node.interval > 0 && node.addresses.length > 0) {
-        node.readInterval = setInterval(async () => {
-          await performDataReading();
-        }, node.interval);
+      if (scanClassName !== DEFAULT_SCAN_CLASS) {
+        if (!node.scanClasses.some(scanClass => scanClass.name === scanClassName)) {
+          throw new Error(`未定义的扫描类: ${scanClassName}`);
+        }
+        node.scanClasses = node.scanClasses.map(scanClass =>
+          scanClass.name === scanClassName ? Object.assign({}, scanClass, { interval }) : scanClass
+        );
+      } else {
+        node.interval = interval;
       }
+
+      node.scanGroups = buildScanClasses(node.addresses, node.scanClasses, node.interval).classes;
+      node.scheduler.setInterval(getBaseInterval(node.scanGroups));
     }
 
     /**
-     * 执行数据读取
+     * 当前运行状态，由status控制命令输出
      */
-    async function performDataReading() {
-      if (!node.connected || !node.connectionId) {
+    function getControlStatus() {
+      return {
+        paused: node.paused,
+        connected: node.connected,
+        connectionId: node.connectionId,
+        interval: node.interval,
+        scanClasses: node.scanGroups.map(scanClass => ({
+          name: scanClass.name,
+          interval: scanClass.interval,
+          points: scanClass.addresses.length,
+        })),
+        stats: node.scheduler.getStats(),
+      };
+    }
+
+    function pauseReading() {
+      node.paused = true;
+      node.scheduler.stop();
+      node.status({ fill: 'grey', shape: 'ring', text: '已暂停采集' });
+    }
+
+    async function resumeReading() {
+      node.paused = false;
+      if (!node.connected) {
+        await node.binding.connect();
         return;
       }
+      startPeriodicReading();
+      node.status({ fill: 'green', shape: 'dot', text: '已恢复采集' });
+    }
 
-      try {
-        node.status({ fill: 'blue', shape: 'dot', text: '读取中...' });
+    /**
+     * setInterval命令：间隔取自payload.interval或msg.interval，payload.scanClass指定扫描类
+     */
+    function setIntervalFromMessage(msg) {
+      const payload = msg.payload;
+      const interval = payload.interval !== undefined ? payload.interval : msg.interval;
+      const scanClassName = payload.scanClass || DEFAULT_SCAN_CLASS;
+
+      changeInterval(parseInt(interval), scanClassName);
+      if (!node.paused) {
+        node.status({
+          fill: 'green',
+          shape: 'dot',
+          text: `读取间隔已修改: ${scanClassName} ${interval}ms`,
+        });
+      }
+    }
 
-        const addresses = node.addresses.map(addr => addr.address);
-        let response;
+    /**
+     * 处理控制消息：pause、resume、setInterval、reconnect、status
+     */
+    async function handleControl(msg, send) {
+      const command = typeof msg.payload === 'string' ? msg.payload : (msg.payload || {}).command;
+      msg.payload = msg.payload || {};
 
-        if (addresses.length === 1) {
-          // 单点读取
-          response = await node.hlsClient.readData(node.connectionId, addresses[0]);
-        } else {
-          // 批量读取
-          response = await node.hlsClient.readBatchData(node.connectionId, addresses);
-        }
+      if (command === 'status') {
+        msg.payload = getControlStatus();
+        send(msg);
+        return;
+      }
+      if (command === 'reconnect') {
+        node.status({ fill: 'yellow', shape: 'ring', text: '重新连接中...' });
+        // 新连接建立后由connected事件恢复定时读取
+        await node.device.reconnect();
+        return;
+      }
 
-        if (response.success && response.data) {
-          // 构造输出消息
-          const outputData = Array.isArray(response.data) ? response.data : [response.data];
-          
-          const msg = {
-            payload: {
-              connectionId: node.connectionId,
-              data: outputData.map(item => ({
-                address: item.address,
-                value: item.value,
-                dataType: item.dataType,
-                timestamp: response.timestamp || new Date().toISOString(),
-                quality: 'Good'
-              })),
-              timestamp: response.timestamp || new Date().toISOString(),
-              status: 'success'
-            },
-            topic: 'hls-read'
-          };
-
-          node.send(msg);
-          node.status({ fill: 'green', shape: 'dot', text: `已读取 ${outputData.length} 个点位` });
-        } else {
-          throw new Error('数据读取失败');
-        }
-      } catch (err) {
-        node.status({ fill: 'red', shape: 'ring', text: `读取失败: ${err.message}` });
-        node.error(`数据读取失败: ${err.message}`);
-        
-        // 尝试重新连接
-        node.connected = false;
-        setTimeout(() => {
-          initializeConnection();
-        }, 5000);
+      if (command === 'pause') {
+        pauseReading();
+      } else if (command === 'resume') {
+        await resumeReading();
+      } else if (command === 'setInterval') {
+        setIntervalFromMessage(msg);
+      } else {
+        throw new Error(
+          `不支持的控制命令: ${command}，应为pause、resume、setInterval、reconnect或status`
+        );
       }
+      saveControlState();
     }
 
-    // 节点输入处理（手动触发读取）
+    // 节点输入处理：msg指定数据点时按需读取并回复原消息，否则读取一次配置的数据点
     node.on('input', async (msg, send, done) => {
       // 兼容Node-RED 0.x
-      send = send || function () { node.send.apply(node, arguments); };
-      done = done || function (err) { if (err) { node.error(err, msg); } };
+      send =
+        send ||
+        function () {
+          node.send.apply(node, arguments);
+        };
+      done =
+        done ||
+        function (err) {
+          if (err) {
+            node.error(err, msg);
+          }
+        };
 
       try {
+        if (msg.topic === 'control') {
+          await handleControl(msg, send);
+          done();
+          return;
+        }
+
+        const points = parseRequestedPoints(msg);
+
         if (!node.connected) {
-          await initializeConnection();
+          await node.binding.connect();
           if (!node.connected) {
             done(new Error('设备未连接'));
             return;
           }
         }
 
-        // 执行一次数据读取
-        await performDataReading();
+        // 与定时读取互斥，定时读取正在执行时等待其完成
+        if (points) {
+          await node.scheduler.exclusive(() => performDynamicReading(msg, points, send));
+        } else {
+          // 执行一次数据读取
+          await node.scheduler.exclusive(() => performDataReading());
+        }
         done();
       } catch (err) {
-        node.error(`手动读取失败: ${err.message}`, msg);
+        // 错误对象带有code，Catch节点收到的msg.error.code即服务端错误码
         done(err);
       }
     });
 
     // 节点关闭时清理
     node.on('close', (removed, done) => {
-      if (node.readInterval) {
-        clearInterval(node.readInterval);
-      }
-      
-      if (node.hlsClient) {
-        node.hlsClient.disconnect();
-      }
-      
-      node.log('HLS-Read节点已关闭');
-      done();
+      clearTimeout(node.initTimer);
+      node.scheduler.stop();
+      node.binding.release().then(() => {
+        node.log('HLS-Read节点已关闭');
+        done();
+      });
     });
 
     // 初始化连接（如果配置了设备ID和地址）
     if (node.deviceId && node.addresses.length > 0) {
-      setTimeout(() => {
-        initializeConnection();
+      node.initTimer = setTimeout(() => {
+        node.binding.connect();
       }, 1000); // 延迟1秒初始化，确保Node-RED完全启动
     }
 
@@ -43,24 +43,34 @@
     validateModbusAddress: function(address) {
       if (!address) return { valid: false, message: '地址不能为空' };
       
-      // Support various Modbus address formats
-      const addressRegex = /^[0-9]{1,6}$/;
-      if (!addressRegex.test(address)) {
-        return { valid: false, message: '请输入有效的Modbus地址 (例如: 40001)' };
+      // Support various Modbus address formats, with an optional bit index (40010.3)
+      const addressRegex = /^([0-9]{1,6})(?:\.([0-9]{1,2}))?$/;
+      const match = addressRegex.exec(address);
+      if (!match) {
+        return { valid: false, message: '请输入有效的Modbus地址 (例如: 40001 或 40010.3)' };
       }
       
-      const addr = parseInt(address);
+      const addr = parseInt(match[1]);
       if (addr < 1 || addr > 999999) {
         return { valid: false, message: 'Modbus地址范围应在1-999999之间' };
       }
+
+      if (match[2] !== undefined && parseInt(match[2]) > 15) {
+        return { valid: false, message: '位号应在0-15之间' };
+      }
       
       return { valid: true, message: '地址格式正确' };
     },
 
     // Data type validation
     validateDataType: function(dataType) {
-      const validTypes = ['Bool', 'Int16', 'Int32', 'Int64', 'UInt16', 'UInt32', 'UInt64', 'Float', 'Double', 'String'];
-      if (!validTypes.includes(dataType)) {
+      const validTypes = ['Bool', 'Int16', 'Int32', 'Int64', 'UInt16', 'UInt32', 'UInt64', 'Float', 'Double', 'String', 'Raw'];
+      // Arrays are written as "Int16[50]"
+      const match = /^(\w+)\[(\d+)\]$/.exec(dataType);
+      if (match && parseInt(match[2], 10) < 1) {
+        return { valid: false, message: '数组长度至少为1' };
+      }
+      if (!validTypes.includes(match ? match[1] : dataType)) {
         return { valid: false, message: '不支持的数据类型' };
       }
       return { valid: true, message: '数据类型有效' };
@@ -173,7 +183,12 @@
     this.options = $.extend({
       showDefaultValue: false,
       showReadWrite: false,
-      dataTypes: ['Bool', 'Int16', 'Int32', 'Int64', 'UInt16', 'UInt32', 'UInt64', 'Float', 'Double', 'String']
+      showDeadband: false,
+      showScanClass: false,
+      showScaling: false,
+      showEncoding: false,
+      showLimits: false,
+      dataTypes: ['Bool', 'Int16', 'Int32', 'Int64', 'UInt16', 'UInt32', 'UInt64', 'Float', 'Double', 'String', 'Raw']
     }, options || {});
     this.dataPoints = [];
     this.init();
@@ -189,6 +204,11 @@
       const headers = ['地址', '数据类型', '名称', '描述'];
       if (this.options.showDefaultValue) headers.splice(3, 0, '默认值');
       if (this.options.showReadWrite) headers.splice(-1, 0, '读写');
+      if (this.options.showDeadband) headers.splice(-1, 0, '死区');
+      if (this.options.showScanClass) headers.splice(-1, 0, '扫描类');
+      if (this.options.showScaling) headers.splice(-1, 0, '单位', '系数/偏移', '原始范围', '工程范围');
+      if (this.options.showEncoding) headers.splice(-1, 0, '字节序', '位', '字符串', '数组');
+      if (this.options.showLimits) headers.splice(-1, 0, '写入范围', '允许值', '最大变化', '需确认');
       headers.push('操作');
 
       let headerHtml = '<div class="hls-data-points-header">';
@@ -237,9 +257,36 @@
         name: data.name || '',
         description: data.description || '',
         defaultValue: data.defaultValue || '',
-        readWrite: data.readWrite || 'read'
+        readWrite: data.readWrite || 'read',
+        deadband: data.deadband || '',
+        deadbandType: data.deadbandType || 'absolute',
+        scanClass: data.scanClass || '',
+        unit: data.unit || '',
+        scale: data.scale !== undefined ? data.scale : '',
+        offset: data.offset !== undefined ? data.offset : '',
+        rawMin: data.rawMin !== undefined ? data.rawMin : '',
+        rawMax: data.rawMax !== undefined ? data.rawMax : '',
+        engMin: data.engMin !== undefined ? data.engMin : '',
+        engMax: data.engMax !== undefined ? data.engMax : '',
+        byteOrder: data.byteOrder || '',
+        bit: data.bit !== undefined ? data.bit : '',
+        stringLength: data.stringLength || '',
+        encoding: data.encoding || 'ascii',
+        arrayLength: data.arrayLength || '',
+        writeMin: data.writeMin !== undefined ? data.writeMin : '',
+        writeMax: data.writeMax !== undefined ? data.writeMax : '',
+        allowedValues: data.allowedValues || '',
+        maxStep: data.maxStep !== undefined ? data.maxStep : '',
+        requireArm: data.requireArm === true || data.requireArm === 'true'
       };
 
+      // Imported "Int16[50]" is split into the type and the array length
+      const arrayType = /^(\w+)\[(\d+)\]$/.exec(point.dataType);
+      if (arrayType) {
+        point.dataType = arrayType[1];
+        point.arrayLength = arrayType[2];
+      }
+
       this.dataPoints.push(point);
       this.renderDataPoint(point, this.dataPoints.length - 1);
     },
@@ -281,6 +328,88 @@
         `;
       }
 
+      if (this.options.showDeadband) {
+        cellsHtml += `
+          <div>
+            <input type="number" class="hls-data-point-input deadband-input" value="${point.deadband || ''}" placeholder="0" min="0" step="any" style="width: 60%;" />
+            <select class="hls-data-point-select deadbandtype-select" style="width: 38%;">
+              <option value="absolute" ${point.deadbandType !== 'percent' ? 'selected' : ''}>绝对值</option>
+              <option value="percent" ${point.deadbandType === 'percent' ? 'selected' : ''}>%</option>
+            </select>
+          </div>
+        `;
+      }
+
+      if (this.options.showScanClass) {
+        cellsHtml += `
+          <div>
+            <input type="text" class="hls-data-point-input scanclass-input" value="${point.scanClass || ''}" placeholder="default" />
+          </div>
+        `;
+      }
+
+      if (this.options.showScaling) {
+        cellsHtml += `
+          <div>
+            <input type="text" class="hls-data-point-input unit-input" value="${point.unit || ''}" placeholder="°C" />
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input scale-input" value="${this.numberValue(point.scale)}" placeholder="1" step="any" style="width: 49%;" />
+            <input type="number" class="hls-data-point-input offset-input" value="${this.numberValue(point.offset)}" placeholder="0" step="any" style="width: 49%;" />
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input rawmin-input" value="${this.numberValue(point.rawMin)}" placeholder="最小" step="any" style="width: 49%;" />
+            <input type="number" class="hls-data-point-input rawmax-input" value="${this.numberValue(point.rawMax)}" placeholder="最大" step="any" style="width: 49%;" />
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input engmin-input" value="${this.numberValue(point.engMin)}" placeholder="最小" step="any" style="width: 49%;" />
+            <input type="number" class="hls-data-point-input engmax-input" value="${this.numberValue(point.engMax)}" placeholder="最大" step="any" style="width: 49%;" />
+          </div>
+        `;
+      }
+
+      if (this.options.showEncoding) {
+        const byteOrderOptions = ['', 'ABCD', 'CDAB', 'BADC', 'DCBA'].map(order =>
+          `<option value="${order}" ${order === (point.byteOrder || '') ? 'selected' : ''}>${order || '默认'}</option>`
+        ).join('');
+        const encodingOptions = ['ascii', 'utf8', 'utf16le', 'latin1'].map(encoding =>
+          `<option value="${encoding}" ${encoding === (point.encoding || 'ascii') ? 'selected' : ''}>${encoding}</option>`
+        ).join('');
+        cellsHtml += `
+          <div>
+            <select class="hls-data-point-select byteorder-select">${byteOrderOptions}</select>
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input bit-input" value="${this.numberValue(point.bit)}" placeholder="0-15" min="0" max="15" />
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input stringlength-input" value="${point.stringLength || ''}" placeholder="长度" min="1" style="width: 40%;" />
+            <select class="hls-data-point-select encoding-select" style="width: 58%;">${encodingOptions}</select>
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input arraylength-input" value="${point.arrayLength || ''}" placeholder="长度" min="1" />
+          </div>
+        `;
+      }
+
+      if (this.options.showLimits) {
+        cellsHtml += `
+          <div>
+            <input type="number" class="hls-data-point-input writemin-input" value="${this.numberValue(point.writeMin)}" placeholder="最小" step="any" style="width: 49%;" />
+            <input type="number" class="hls-data-point-input writemax-input" value="${this.numberValue(point.writeMax)}" placeholder="最大" step="any" style="width: 49%;" />
+          </div>
+          <div>
+            <input type="text" class="hls-data-point-input allowedvalues-input" value="${point.allowedValues || ''}" placeholder="0,1,2" />
+          </div>
+          <div>
+            <input type="number" class="hls-data-point-input maxstep-input" value="${this.numberValue(point.maxStep)}" placeholder="不限" min="0" step="any" />
+          </div>
+          <div>
+            <input type="checkbox" class="requirearm-input" ${point.requireArm ? 'checked' : ''} title="写入前需要预备(arm)和执行(execute)两步确认" />
+          </div>
+        `;
+      }
+
       cellsHtml += `
         <div>
           <input type="text" class="hls-data-point-input description-input" value="${point.description}" placeholder="数据点描述" />
@@ -344,6 +473,41 @@
       if (this.options.showReadWrite) {
         point.readWrite = $row.find('.readwrite-select').val();
       }
+
+      if (this.options.showDeadband) {
+        point.deadband = $row.find('.deadband-input').val();
+        point.deadbandType = $row.find('.deadbandtype-select').val();
+      }
+
+      if (this.options.showScanClass) {
+        point.scanClass = $row.find('.scanclass-input').val().trim();
+      }
+
+      if (this.options.showScaling) {
+        point.unit = $row.find('.unit-input').val().trim();
+        point.scale = $row.find('.scale-input').val();
+        point.offset = $row.find('.offset-input').val();
+        point.rawMin = $row.find('.rawmin-input').val();
+        point.rawMax = $row.find('.rawmax-input').val();
+        point.engMin = $row.find('.engmin-input').val();
+        point.engMax = $row.find('.engmax-input').val();
+      }
+
+      if (this.options.showEncoding) {
+        point.byteOrder = $row.find('.byteorder-select').val();
+        point.bit = $row.find('.bit-input').val();
+        point.stringLength = $row.find('.stringlength-input').val();
+        point.encoding = $row.find('.encoding-select').val();
+        point.arrayLength = $row.find('.arraylength-input').val();
+      }
+
+      if (this.options.showLimits) {
+        point.writeMin = $row.find('.writemin-input').val();
+        point.writeMax = $row.find('.writemax-input').val();
+        point.allowedValues = $row.find('.allowedvalues-input').val().trim();
+        point.maxStep = $row.find('.maxstep-input').val();
+        point.requireArm = $row.find('.requirearm-input').is(':checked');
+      }
     },
 
     removeDataPoint: function(index) {
@@ -371,6 +535,11 @@
       this.refresh();
     },
 
+    // Empty cell for unset numbers, keeping 0 as a real limit
+    numberValue: function(value) {
+      return value === undefined || value === null ? '' : value;
+    },
+
     getDataTypeLabel: function(type) {
       const labels = {
         'Bool': '布尔',
@@ -382,7 +551,8 @@
         'UInt64': '64位无符号整数',
         'Float': '单精度浮点数',
         'Double': '双精度浮点数',
-        'String': '字符串'
+        'String': '字符串',
+        'Raw': '原始寄存器'
       };
       return labels[type] || type;
     },
@@ -5,57 +5,93 @@
 const assert = require('assert');
 const helper = require('node-red-node-test-helper');
 const hlsReadNode = require('../hls-read.js');
+const hlsServiceNode = require('../../hls-service/hls-service.js');
+const hlsDeviceNode = require('../../hls-device/hls-device.js');
 
 helper.init(require.resolve('node-red'));
 
-describe('HLS-Read Node', function() {
-  beforeEach(function(done) {
+/**
+ * 模拟服务端：每次connect返回新的connectionId，请求和disconnect命令记录在返回的数组中；
+ * 读取的每个地址由respond(address, reads)生成结果，reads为第几次读取，默认以地址长度作为值
+ */
+function mockClient(
+  client,
+  respond = address => ({ address, value: address.length, dataType: 'Int16' })
+) {
+  const calls = [];
+  let connections = 0;
+  let reads = 0;
+  client.connected = true;
+  client.connectDevice = () => {
+    connections++;
+    return Promise.resolve({ success: true, data: { connectionId: `conn-${connections}` } });
+  };
+  client.disconnectDevice = connectionId => {
+    calls.push({ command: 'disconnect', connectionId });
+    return Promise.resolve({ success: true });
+  };
+  client.sendRequest = (command, data) => {
+    calls.push({ command, data });
+    reads++;
+    const addresses = data.addresses || [data.address];
+    const results = addresses.map(address => respond(address, reads));
+    return Promise.resolve({
+      success: true,
+      data: data.addresses ? results : results[0],
+      timestamp: '2025-08-26T08:00:00.000Z',
+    });
+  };
+  return calls;
+}
+
+describe('HLS-Read Node', function () {
+  beforeEach(function (done) {
     helper.startServer(done);
   });
 
-  afterEach(function(done) {
+  afterEach(function (done) {
     helper.unload();
     helper.stopServer(done);
   });
 
-  it('should be loaded', function(done) {
-    const flow = [{ id: "n1", type: "hls-read", name: "test name" }];
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
+  it('should be loaded', function (done) {
+    const flow = [{ id: 'n1', type: 'hls-read', name: 'test name' }];
+    helper.load(hlsReadNode, flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.name, 'test name');
       done();
     });
   });
 
-  it('should initialize with default configuration', function(done) {
+  it('should initialize with default configuration', function (done) {
     const flow = [
+      { id: 's1', type: 'hls-service', host: 'localhost', port: 8888 },
       {
-        id: "n1",
-        type: "hls-read",
-        name: "HLS Read Test",
-        deviceId: "192.168.1.100",
-        server: "localhost",
-        port: 8888,
-        protocol: "ModbusTcp",
+        id: 'n1',
+        type: 'hls-read',
+        name: 'HLS Read Test',
+        deviceId: '192.168.1.100',
+        service: 's1',
+        protocol: 'ModbusTcp',
         devicePort: 502,
         timeout: 5000,
         interval: 1000,
         addresses: [
           {
-            address: "40001",
-            dataType: "Int16",
-            description: "Temperature"
-          }
-        ]
-      }
+            address: '40001',
+            dataType: 'Int16',
+            description: 'Temperature',
+          },
+        ],
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
+    helper.load([hlsServiceNode, hlsReadNode], flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.name, 'HLS Read Test');
       assert.equal(n1.deviceId, '192.168.1.100');
-      assert.equal(n1.server, 'localhost');
-      assert.equal(n1.port, 8888);
+      assert.equal(n1.service.host, 'localhost');
+      assert.equal(n1.service.port, 8888);
       assert.equal(n1.protocol, 'ModbusTcp');
       assert.equal(n1.devicePort, 502);
       assert.equal(n1.timeout, 5000);
@@ -67,112 +103,111 @@ describe('HLS-Read Node', function() {
     });
   });
 
-  it('should handle missing required configuration', function(done) {
+  it('should handle missing required configuration', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-read",
-        name: "Incomplete Config Test"
+        id: 'n1',
+        type: 'hls-read',
+        name: 'Incomplete Config Test',
         // Missing deviceId
-      }
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
+    helper.load(hlsReadNode, flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.deviceId, '');
       assert.equal(n1.addresses.length, 0);
       done();
     });
   });
 
-  it('should validate data point configuration', function(done) {
+  it('should validate data point configuration', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-read",
-        name: "Data Points Test",
-        deviceId: "192.168.1.100",
+        id: 'n1',
+        type: 'hls-read',
+        name: 'Data Points Test',
+        deviceId: '192.168.1.100',
         addresses: [
           {
-            address: "40001",
-            dataType: "Int16",
-            description: "Temperature"
+            address: '40001',
+            dataType: 'Int16',
+            description: 'Temperature',
           },
           {
-            address: "40002",
-            dataType: "Float",
-            description: "Pressure"
+            address: '40002',
+            dataType: 'Float',
+            description: 'Pressure',
           },
           {
-            address: "40003",
-            dataType: "Bool",
-            description: "Status"
-          }
-        ]
-      }
+            address: '40003',
+            dataType: 'Bool',
+            description: 'Status',
+          },
+        ],
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
+    helper.load(hlsReadNode, flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.addresses.length, 3);
-      
+
       // Check each data point
       assert.equal(n1.addresses[0].address, '40001');
       assert.equal(n1.addresses[0].dataType, 'Int16');
       assert.equal(n1.addresses[0].description, 'Temperature');
-      
+
       assert.equal(n1.addresses[1].address, '40002');
       assert.equal(n1.addresses[1].dataType, 'Float');
       assert.equal(n1.addresses[1].description, 'Pressure');
-      
+
       assert.equal(n1.addresses[2].address, '40003');
       assert.equal(n1.addresses[2].dataType, 'Bool');
       assert.equal(n1.addresses[2].description, 'Status');
-      
+
       done();
     });
   });
 
-  it('should create HLS IPC client with correct configuration', function(done) {
+  it('should create HLS IPC client with correct configuration', function (done) {
     const flow = [
+      { id: 's1', type: 'hls-service', host: '10.0.0.1', port: 9999, timeout: 3000 },
       {
-        id: "n1",
-        type: "hls-read",
-        name: "Client Config Test",
-        deviceId: "192.168.1.100",
-        server: "10.0.0.1",
-        port: 9999,
-        timeout: 3000
-      }
+        id: 'n1',
+        type: 'hls-read',
+        name: 'Client Config Test',
+        deviceId: '192.168.1.100',
+        service: 's1',
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load([hlsServiceNode, hlsReadNode], flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Check HLS client configuration
       assert.equal(n1.hlsClient.host, '10.0.0.1');
       assert.equal(n1.hlsClient.port, 9999);
       assert.equal(n1.hlsClient.timeout, 3000);
-      
+
       done();
     });
   });
 
-  it('should handle node closure properly', function(done) {
+  it('should handle node closure properly', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-read",
-        name: "Closure Test",
-        deviceId: "192.168.1.100"
-      }
+        id: 'n1',
+        type: 'hls-read',
+        name: 'Closure Test',
+        deviceId: '192.168.1.100',
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsReadNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Simulate node close
-      n1.close(false, function() {
+      n1.close(false, function () {
         // Verify cleanup was performed
         assert.equal(n1.readInterval, null);
         done();
@@ -180,89 +215,793 @@ describe('HLS-Read Node', function() {
     });
   });
 
-  it('should support different data types', function(done) {
-    const supportedTypes = ['Bool', 'Int16', 'Int32', 'Int64', 'UInt16', 'UInt32', 'UInt64', 'Float', 'Double', 'String'];
-    
+  it('should support different data types', function (done) {
+    const supportedTypes = [
+      'Bool',
+      'Int16',
+      'Int32',
+      'Int64',
+      'UInt16',
+      'UInt32',
+      'UInt64',
+      'Float',
+      'Double',
+      'String',
+    ];
+
     const addresses = supportedTypes.map((type, index) => ({
       address: `4000${index + 1}`,
       dataType: type,
-      description: `Test ${type}`
+      description: `Test ${type}`,
     }));
 
     const flow = [
       {
-        id: "n1",
-        type: "hls-read",
-        name: "Data Types Test",
-        deviceId: "192.168.1.100",
-        addresses: addresses
-      }
+        id: 'n1',
+        type: 'hls-read',
+        name: 'Data Types Test',
+        deviceId: '192.168.1.100',
+        addresses: addresses,
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsReadNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       assert.equal(n1.addresses.length, supportedTypes.length);
-      
+
       // Verify each data type is preserved
       supportedTypes.forEach((type, index) => {
         assert.equal(n1.addresses[index].dataType, type);
         assert.equal(n1.addresses[index].description, `Test ${type}`);
       });
-      
+
       done();
     });
   });
 
-  it('should validate interval configuration', function(done) {
+  it('should validate interval configuration', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-read",
-        name: "Interval Test",
-        deviceId: "192.168.1.100",
-        interval: "2500" // String value should be parsed
-      }
+        id: 'n1',
+        type: 'hls-read',
+        name: 'Interval Test',
+        deviceId: '192.168.1.100',
+        interval: '2500', // String value should be parsed
+      },
     ];
 
-    helper.load(hlsReadNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsReadNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Should parse string to integer
       assert.equal(n1.interval, 2500);
       assert.equal(typeof n1.interval, 'number');
-      
+
       done();
     });
   });
 });
 
+/**
+ * Tests for reads driven by the input message
+ */
+describe('HLS-Read Node dynamic reads', function () {
+  const nodes = [hlsServiceNode, hlsDeviceNode, hlsReadNode];
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'n1',
+      type: 'hls-read',
+      device: 'd1',
+      interval: 60000,
+      addresses: [{ address: '40001', dataType: 'Int16' }],
+      wires: [['h1']],
+    },
+    { id: 'h1', type: 'helper' },
+  ];
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should read the points given in msg.addresses and reply on the original message', function (done) {
+    helper.load(nodes, flow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const calls = mockClient(n1.hlsClient);
+
+      h1.on('input', function (msg) {
+        try {
+          assert.equal(msg._msgid, 'lookup-1');
+          assert.equal(msg.topic, 'recipe');
+          assert.equal(msg.orderId, 42);
+          assert.deepEqual(calls[calls.length - 1], {
+            command: 'readBatch',
+            data: { connectionId: 'conn-1', addresses: ['40010', 'x=3;100'] },
+          });
+          assert.deepEqual(
+            msg.payload.data.map(item => [item.name, item.address, item.value, item.dataType]),
+            [
+              ['Speed', '40010', 5, 'Float'],
+              ['x=3;100', 'x=3;100', 7, 'Int16'],
+            ]
+          );
+          assert.equal(msg.payload.status, 'success');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({
+        _msgid: 'lookup-1',
+        topic: 'recipe',
+        orderId: 42,
+        addresses: [{ address: '40010', dataType: 'Float', name: 'Speed' }, 'x=3;100'],
+      });
+    });
+  });
+
+  it('should accept an array payload and read a single address with the read command', function (done) {
+    helper.load(nodes, flow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const calls = mockClient(n1.hlsClient);
+
+      h1.on('input', function (msg) {
+        try {
+          assert.deepEqual(calls[calls.length - 1], {
+            command: 'read',
+            data: { connectionId: 'conn-1', address: '40020' },
+          });
+          assert.equal(msg.payload.data[0].value, 5);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: [40020] });
+    });
+  });
+
+  it('should reject invalid addresses without calling the service', function (done) {
+    helper.load(nodes, flow, function () {
+      const n1 = helper.getNode('n1');
+      const calls = mockClient(n1.hlsClient);
+
+      n1.on('call:error', function (call) {
+        try {
+          assert.ok(/无效的读取地址/.test(call.args[0].message));
+          assert.equal(calls.length, 0);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ addresses: [{ name: 'missing address' }] });
+    });
+  });
+});
+
+/**
+ * Tests for output formats
+ */
+describe('HLS-Read Node output formats', function () {
+  const nodes = [hlsServiceNode, hlsDeviceNode, hlsReadNode];
+
+  function flowWithFormat(outputFormat) {
+    return [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', name: 'Line1', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-read',
+        device: 'd1',
+        interval: 60000,
+        outputFormat,
+        addresses: [
+          { address: '40001', dataType: 'Float', name: 'Pump1.Speed' },
+          { address: '40002', dataType: 'Int16', name: 'Pump1.Current' },
+          { address: '40003', dataType: 'Bool', description: 'Running' },
+        ],
+        wires: [['h1']],
+      },
+      { id: 'h1', type: 'helper' },
+    ];
+  }
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  // 读取返回固定值
+  const values = { 40001: 12.5, 40002: 3, 40003: true };
+  const respond = address => ({ address, value: values[address], dataType: 'Int16' });
+
+  // 触发一次读取并收集输出消息
+  function readOnce(outputFormat, count, check) {
+    return function (done) {
+      helper.load(nodes, flowWithFormat(outputFormat), function () {
+        const n1 = helper.getNode('n1');
+        const h1 = helper.getNode('h1');
+        const messages = [];
+        mockClient(n1.hlsClient, respond);
+
+        h1.on('input', function (msg) {
+          messages.push(msg);
+          if (messages.length < count) {
+            return;
+          }
+          try {
+            check(messages);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        n1.receive({ payload: 'read' });
+      });
+    };
+  }
+
+  it(
+    'should output the point array by default',
+    readOnce(undefined, 1, function (messages) {
+      const msg = messages[0];
+      assert.equal(msg.topic, 'hls-read');
+      assert.equal(msg.scanClass, 'default');
+      assert.equal(msg.payload.status, 'success');
+      assert.deepEqual(
+        msg.payload.data.map(item => [item.address, item.name, item.value]),
+        [
+          ['40001', 'Pump1.Speed', 12.5],
+          ['40002', 'Pump1.Current', 3],
+          ['40003', 'Running', true],
+        ]
+      );
+    })
+  );
+
+  it(
+    'should output one message per point with the point name as topic',
+    readOnce('points', 3, function (messages) {
+      assert.deepEqual(
+        messages.map(msg => [msg.topic, msg.payload, msg.address]),
+        [
+          ['Pump1.Speed', 12.5, '40001'],
+          ['Pump1.Current', 3, '40002'],
+          ['Running', true, '40003'],
+        ]
+      );
+      assert.equal(messages[0].quality, 'Good');
+      assert.equal(messages[0].timestamp, '2025-08-26T08:00:00.000Z');
+    })
+  );
+
+  it(
+    'should output a flat name/value object',
+    readOnce('object', 1, function (messages) {
+      assert.deepEqual(messages[0].payload, {
+        'Pump1.Speed': 12.5,
+        'Pump1.Current': 3,
+        Running: true,
+      });
+      assert.equal(messages[0].timestamp, '2025-08-26T08:00:00.000Z');
+      assert.equal(messages[0].scanClass, 'default');
+    })
+  );
+
+  it(
+    'should output an object nested by device and group',
+    readOnce('nested', 1, function (messages) {
+      assert.deepEqual(messages[0].payload, {
+        Line1: { Pump1: { Speed: 12.5, Current: 3 }, Running: true },
+      });
+    })
+  );
+
+  it('should apply the output format to msg-driven reads and keep the original message', function (done) {
+    helper.load(nodes, flowWithFormat('object'), function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      mockClient(n1.hlsClient, respond);
+
+      h1.on('input', function (msg) {
+        try {
+          assert.equal(msg.topic, 'lookup');
+          assert.deepEqual(msg.payload, { Speed: 12.5, 40002: 3 });
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ topic: 'lookup', addresses: [{ address: '40001', name: 'Speed' }, '40002'] });
+    });
+  });
+});
+
+/**
+ * Tests for per-point quality
+ */
+describe('HLS-Read Node data quality', function () {
+  const nodes = [hlsServiceNode, hlsDeviceNode, hlsReadNode];
+
+  function flow(substituteLastGood) {
+    return [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', name: 'Line1', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-read',
+        device: 'd1',
+        interval: 60000,
+        substituteLastGood,
+        addresses: [
+          { address: '40001', dataType: 'Int16', name: 'Speed' },
+          { address: '40002', dataType: 'Int16', name: 'Current' },
+        ],
+        wires: [['h1']],
+      },
+      { id: 'h1', type: 'helper' },
+    ];
+  }
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  // 第一次读取全部成功，之后40002返回通信失败
+  function respond(address, reads) {
+    return reads > 1 && address === '40002'
+      ? { address, value: null, success: false, error: { code: '2003', message: '连接超时' } }
+      : { address, value: reads * 10, success: true, quality: 'good' };
+  }
+
+  function readTwice(substituteLastGood, check) {
+    return function (done) {
+      helper.load(nodes, flow(substituteLastGood), function () {
+        const n1 = helper.getNode('n1');
+        const h1 = helper.getNode('h1');
+        const messages = [];
+        mockClient(n1.hlsClient, respond);
+
+        h1.on('input', function (msg) {
+          messages.push(msg);
+          if (messages.length === 1) {
+            n1.receive({ payload: 'read' });
+            return;
+          }
+          try {
+            check(messages[1].payload.data);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        n1.receive({ payload: 'read' });
+      });
+    };
+  }
+
+  it(
+    'should deliver partial results with bad points flagged',
+    readTwice(false, function (data) {
+      assert.deepEqual(
+        data.map(item => [item.name, item.value, item.quality]),
+        [
+          ['Speed', 20, 'Good'],
+          ['Current', null, 'Bad'],
+        ]
+      );
+      assert.equal(data[1].subStatus, 'CommFailure');
+      assert.deepEqual(data[1].error, { code: '2003', message: '连接超时' });
+    })
+  );
+
+  it(
+    'should substitute the last good value with uncertain quality',
+    readTwice(true, function (data) {
+      assert.deepEqual(
+        [data[1].value, data[1].quality, data[1].subStatus],
+        [10, 'Uncertain', 'LastKnownValue']
+      );
+    })
+  );
+
+  it('should combine registers by byte order and extract bits', function (done) {
+    const codecFlow = flow(false);
+    codecFlow[2].addresses = [
+      { address: '40001', dataType: 'Float', byteOrder: 'CDAB', name: 'Speed' },
+      { address: '40010.3', dataType: 'Bool', name: 'Running' },
+    ];
+    helper.load(nodes, codecFlow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const registers = { 40001: 0, 40002: 0x4148, 40010: 8 };
+      const calls = mockClient(n1.hlsClient, address => ({
+        address,
+        value: registers[address],
+        success: true,
+      }));
+
+      h1.on('input', function (msg) {
+        try {
+          assert.deepEqual(calls[0].data.addresses, ['40001', '40002', '40010']);
+          assert.deepEqual(
+            msg.payload.data.map(item => [item.name, item.value, item.dataType]),
+            [
+              ['Speed', 12.5, 'Float'],
+              ['Running', true, 'Bool'],
+            ]
+          );
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: 'read' });
+    });
+  });
+
+  it('should read arrays and raw register blocks in one request', function (done) {
+    const arrayFlow = flow(false);
+    arrayFlow[2].addresses = [
+      { address: '40001', dataType: 'Float[2]', byteOrder: 'CDAB', name: 'Speeds' },
+      { address: '40010', dataType: 'Int16', arrayLength: '2', name: 'Counts' },
+      { address: '40020', dataType: 'Raw', arrayLength: '1', name: 'Block' },
+    ];
+    helper.load(nodes, arrayFlow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const registers = {
+        40001: 0,
+        40002: 0x4148,
+        40003: 0,
+        40004: 0,
+        40010: 5,
+        40011: -1,
+        40020: 0x0102,
+      };
+      const calls = mockClient(n1.hlsClient, address => ({
+        address,
+        value: registers[address],
+        success: true,
+      }));
+
+      h1.on('input', function (msg) {
+        try {
+          assert.equal(calls.length, 1);
+          assert.deepEqual(calls[0].data.addresses, [
+            '40001',
+            '40002',
+            '40003',
+            '40004',
+            '40010',
+            '40011',
+            '40020',
+          ]);
+          const [speeds, counts, block] = msg.payload.data;
+          assert.deepEqual([speeds.value, speeds.dataType], [[12.5, 0], 'Float[2]']);
+          assert.deepEqual([counts.value, counts.dataType], [[5, -1], 'Int16[2]']);
+          assert.ok(Buffer.isBuffer(block.value));
+          assert.deepEqual(Array.from(block.value), [1, 2]);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: 'read' });
+    });
+  });
+
+  it('should output 64-bit integers without losing precision', function (done) {
+    const int64Flow = flow(false);
+    int64Flow[2].int64Format = 'bigint';
+    int64Flow[2].addresses = [
+      { address: '40001', dataType: 'Int64', name: 'Counter' },
+      { address: '40010', dataType: 'UInt64', byteOrder: 'ABCD', name: 'Energy' },
+    ];
+    helper.load(nodes, int64Flow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const registers = { 40001: '9007199254740993', 40010: -1, 40011: -1, 40012: -1, 40013: -1 };
+      mockClient(n1.hlsClient, address => ({ address, value: registers[address], success: true }));
+
+      h1.on('input', function (msg) {
+        try {
+          assert.deepEqual(
+            msg.payload.data.map(item => item.value),
+            [9007199254740993n, 18446744073709551615n]
+          );
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: 'read' });
+    });
+  });
+
+  it('should convert raw values to engineering units', function (done) {
+    const scaledFlow = flow(false);
+    Object.assign(scaledFlow[2].addresses[0], { scale: '0.5', offset: '1', unit: 'bar' });
+    Object.assign(scaledFlow[2].addresses[1], { rawMax: '5' });
+    helper.load(nodes, scaledFlow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      mockClient(n1.hlsClient, respond);
+
+      h1.on('input', function (msg) {
+        try {
+          assert.deepEqual(
+            msg.payload.data.map(item => [item.value, item.quality, item.unit]),
+            [
+              [6, 'Good', 'bar'],
+              [5, 'Uncertain', undefined],
+            ]
+          );
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: 'read' });
+    });
+  });
+});
+
+/**
+ * Tests for runtime control messages
+ */
+describe('HLS-Read Node control messages', function () {
+  const nodes = [hlsServiceNode, hlsDeviceNode, hlsReadNode];
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'n1',
+      type: 'hls-read',
+      device: 'd1',
+      interval: 60000,
+      scanClasses: [{ name: 'alarm', interval: 30000 }],
+      addresses: [{ address: '40001' }, { address: '10001', scanClass: 'alarm' }],
+      wires: [['h1']],
+    },
+    { id: 'h1', type: 'helper' },
+  ];
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  function control(n1, payload) {
+    n1.receive({ topic: 'control', payload });
+    return new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  it('should pause and resume polling and persist the state in node context', function (done) {
+    helper.load(nodes, flow, async function () {
+      try {
+        const n1 = helper.getNode('n1');
+        mockClient(n1.hlsClient);
+
+        await control(n1, 'resume');
+        assert.equal(n1.connected, true);
+        assert.equal(n1.scheduler.running, true);
+
+        await control(n1, 'pause');
+        assert.equal(n1.paused, true);
+        assert.equal(n1.scheduler.running, false);
+        assert.equal(n1.context().get('control', 'file').paused, true);
+
+        await control(n1, { command: 'resume' });
+        assert.equal(n1.paused, false);
+        assert.equal(n1.scheduler.running, true);
+        assert.equal(n1.context().get('control', 'file').paused, false);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should change the interval of the default or a named scan class', function (done) {
+    helper.load(nodes, flow, async function () {
+      try {
+        const n1 = helper.getNode('n1');
+        mockClient(n1.hlsClient);
+
+        await control(n1, { command: 'setInterval', interval: 5000 });
+        await control(n1, { command: 'setInterval', scanClass: 'alarm', interval: 500 });
+        assert.deepEqual(
+          n1.scanGroups.map(scanClass => [scanClass.name, scanClass.interval]),
+          [
+            ['default', 5000],
+            ['alarm', 500],
+          ]
+        );
+        assert.deepEqual(n1.context().get('control', 'file'), {
+          paused: false,
+          interval: 5000,
+          scanClasses: { alarm: 500 },
+          configured: { interval: 60000, scanClasses: { alarm: 30000 } },
+        });
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should keep a single scheduler and change its interval in place', function (done) {
+    helper.load(nodes, flow, async function () {
+      try {
+        const n1 = helper.getNode('n1');
+        mockClient(n1.hlsClient);
+        const scheduler = n1.scheduler;
+
+        await control(n1, 'resume');
+        await control(n1, { command: 'setInterval', scanClass: 'alarm', interval: 20000 });
+        n1.device.emit('connected', 'conn-2');
+        assert.strictEqual(n1.scheduler, scheduler);
+        assert.equal(n1.scheduler.running, true);
+        assert.equal(n1.scheduler.interval, 20000);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should not run input-triggered reads alongside a scheduled read', function (done) {
+    helper.load(nodes, flow, async function () {
+      try {
+        const n1 = helper.getNode('n1');
+        mockClient(n1.hlsClient);
+        let active = 0;
+        let maxActive = 0;
+        let reads = 0;
+        n1.hlsClient.readBatchData = async (connectionId, addresses) => {
+          reads++;
+          active++;
+          maxActive = Math.max(maxActive, active);
+          await new Promise(resolve => setTimeout(resolve, 30));
+          active--;
+          return {
+            success: true,
+            data: addresses.map(address => ({ address, value: 1, success: true })),
+          };
+        };
+
+        await control(n1, 'resume');
+        const scheduled = n1.scheduler.exclusive(() => n1.scheduler.task([0]));
+        n1.receive({ payload: 'read' });
+        await scheduled;
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(reads, 2);
+        assert.equal(maxActive, 1);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should reject invalid control commands and intervals', function (done) {
+    helper.load(nodes, flow, function () {
+      const n1 = helper.getNode('n1');
+      const errors = [];
+
+      n1.on('call:error', function (call) {
+        errors.push(call.args[0].message);
+        if (errors.length !== 2) {
+          return;
+        }
+        try {
+          assert.ok(/无效的读取间隔/.test(errors[0]));
+          assert.ok(/不支持的控制命令/.test(errors[1]));
+          assert.equal(n1.interval, 60000);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ topic: 'control', payload: { command: 'setInterval', interval: 10 } });
+      setTimeout(() => n1.receive({ topic: 'control', payload: 'stop' }), 10);
+    });
+  });
+
+  it('should report status and reconnect the device', function (done) {
+    helper.load(nodes, flow, async function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const calls = mockClient(n1.hlsClient);
+
+      await control(n1, 'resume');
+      await control(n1, 'reconnect');
+
+      h1.on('input', function (msg) {
+        try {
+          assert.equal(msg.topic, 'control');
+          assert.equal(msg.payload.connectionId, 'conn-2');
+          assert.equal(msg.payload.paused, false);
+          assert.deepEqual(msg.payload.scanClasses, [
+            { name: 'default', interval: 60000, points: 1 },
+            { name: 'alarm', interval: 30000, points: 1 },
+          ]);
+          assert.deepEqual(
+            calls.filter(call => call.command === 'disconnect'),
+            [{ command: 'disconnect', connectionId: 'conn-1' }]
+          );
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ topic: 'control', payload: 'status' });
+    });
+  });
+});
+
 /**
  * Integration tests for HLS-Read Node IPC Client
  */
-describe('HLS IPC Client', function() {
+describe('HLS IPC Client', function () {
   let HLSIPCClient;
-  
-  before(function() {
+
+  before(function () {
     // Extract the HLSIPCClient class from the module for testing
     const moduleExports = hlsReadNode(null);
     // Since the class is internal, we'll test through the node interface
   });
 
-  it('should handle connection timeout gracefully', function(done) {
+  it('should handle connection timeout gracefully', function (done) {
     // This test would need a mock server or timeout simulation
     // For now, just ensure the test structure is in place
     done();
   });
 
-  it('should format JSON messages correctly', function(done) {
+  it('should format JSON messages correctly', function (done) {
     // Test message formatting according to JSON protocol v1.0
     // This would require extracting the client class or mocking
     done();
   });
 
-  it('should handle response parsing correctly', function(done) {
+  it('should handle response parsing correctly', function (done) {
     // Test response parsing and error handling
     done();
   });
-});
\ No newline at end of file
+});
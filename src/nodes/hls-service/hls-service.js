@@ -0,0 +1,77 @@
+/**
+ * HLS-Service Config Node
+ * Node-RED配置节点，所有HLS节点通过它共享同一个到HLS-Communication服务的IPC连接
+ */
+
+const HLSService = require('../lib/hls-service');
+
+module.exports = function (RED) {
+  'use strict';
+
+  /**
+   * 心跳配置，心跳间隔为0时不检测
+   */
+  function parseHeartbeat(config) {
+    const interval = isNaN(parseInt(config.heartbeatInterval))
+      ? 10000
+      : parseInt(config.heartbeatInterval);
+    return {
+      enabled: interval > 0,
+      interval,
+      command: config.heartbeatCommand || 'ping',
+      maxMisses: parseInt(config.heartbeatMaxMisses) || 3,
+    };
+  }
+
+  function HLSServiceNode(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+
+    // 节点配置
+    node.name = config.name || '';
+    node.host = config.host || 'localhost';
+    node.port = parseInt(config.port) || 8888;
+    node.timeout = parseInt(config.timeout) || 5000;
+    node.framing = config.framing || 'newline';
+    node.reconnectDelay = parseInt(config.reconnectDelay) || 1000;
+    node.reconnectMaxDelay = parseInt(config.reconnectMaxDelay) || 30000;
+    node.heartbeat = parseHeartbeat(config);
+
+    // 共享的服务连接
+    node.service = new HLSService({
+      host: node.host,
+      port: node.port,
+      timeout: node.timeout,
+      framing: node.framing,
+      reconnect: {
+        initialDelay: node.reconnectDelay,
+        maxDelay: node.reconnectMaxDelay,
+      },
+      heartbeat: node.heartbeat,
+    });
+
+    // 节点关闭时断开IPC连接
+    node.on('close', (removed, done) => {
+      node.service.close();
+      done();
+    });
+  }
+
+  // 注册节点
+  RED.nodes.registerType('hls-service', HLSServiceNode);
+
+  // 运行时API：查询服务连接的健康状态（心跳延迟、最近心跳时间、未响应次数）
+  RED.httpAdmin.get(
+    '/hls-service/:id/health',
+    RED.auth.needsPermission('hls-service.read'),
+    (req, res) => {
+      const node = RED.nodes.getNode(req.params.id);
+      if (!node || node.type !== 'hls-service') {
+        res.status(404).json({ error: '未找到HLS服务配置节点，请先部署' });
+        return;
+      }
+      res.json(node.service.getHealth());
+    }
+  );
+};
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for HLS-Service Config Node
+ */
+
+const assert = require('assert');
+const helper = require('node-red-node-test-helper');
+const hlsServiceNode = require('../hls-service.js');
+const hlsReadNode = require('../../hls-read/hls-read.js');
+const hlsWriteNode = require('../../hls-write/hls-write.js');
+
+helper.init(require.resolve('node-red'));
+
+describe('HLS-Service Config Node', () => {
+  beforeEach(done => {
+    helper.startServer(done);
+  });
+
+  afterEach(done => {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should be loaded with default configuration', done => {
+    const flow = [{ id: 's1', type: 'hls-service', name: 'local' }];
+    helper.load(hlsServiceNode, flow, () => {
+      const s1 = helper.getNode('s1');
+      assert.equal(s1.name, 'local');
+      assert.equal(s1.host, 'localhost');
+      assert.equal(s1.port, 8888);
+      assert.equal(s1.timeout, 5000);
+      assert.equal(s1.service.client.host, 'localhost');
+      assert.equal(s1.service.client.framing, 'newline');
+      assert.equal(s1.service.client.reconnect.initialDelay, 1000);
+      assert.equal(s1.service.client.reconnect.maxDelay, 30000);
+      done();
+    });
+  });
+
+  it('should share one client between all referencing nodes', done => {
+    const flow = [
+      {
+        id: 's1',
+        type: 'hls-service',
+        host: '10.0.0.1',
+        port: 9999,
+        timeout: 3000,
+        framing: 'length',
+      },
+      { id: 'r1', type: 'hls-read', service: 's1' },
+      { id: 'r2', type: 'hls-read', service: 's1' },
+      { id: 'w1', type: 'hls-write', service: 's1' },
+    ];
+    helper.load([hlsServiceNode, hlsReadNode, hlsWriteNode], flow, () => {
+      const s1 = helper.getNode('s1');
+      const r1 = helper.getNode('r1');
+      const r2 = helper.getNode('r2');
+      const w1 = helper.getNode('w1');
+
+      assert.strictEqual(r1.hlsClient, s1.service.client);
+      assert.strictEqual(r2.hlsClient, s1.service.client);
+      assert.strictEqual(w1.hlsClient, s1.service.client);
+      assert.equal(s1.service.users.size, 3);
+      assert.equal(s1.service.client.timeout, 3000);
+      assert.equal(s1.service.client.framing, 'length');
+      done();
+    });
+  });
+
+  it('should broadcast service status to registered nodes', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'r1', type: 'hls-read', service: 's1' },
+    ];
+    helper.load([hlsServiceNode, hlsReadNode], flow, () => {
+      const s1 = helper.getNode('s1');
+      const r1 = helper.getNode('r1');
+
+      r1.status = function (status) {
+        assert.equal(status.fill, 'green');
+        done();
+      };
+      s1.service.client.emit('connected');
+    });
+  });
+
+  it('should expose service health through the runtime API', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service', heartbeatInterval: 5000, heartbeatMaxMisses: 2 },
+    ];
+    helper.load(hlsServiceNode, flow, () => {
+      const s1 = helper.getNode('s1');
+      assert.equal(s1.service.client.heartbeat.interval, 5000);
+      assert.equal(s1.service.client.heartbeat.maxMisses, 2);
+      s1.service.client.health.latency = 12;
+
+      helper
+        .request()
+        .get('/hls-service/s1/health')
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          assert.equal(res.body.state, 'down');
+          assert.equal(res.body.latency, 12);
+          assert.equal(res.body.status, '服务未连接');
+          helper.request().get('/hls-service/missing/health').expect(404, done);
+        });
+    });
+  });
+
+  it('should show degraded status while heartbeats are missed', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'r1', type: 'hls-read', service: 's1' },
+    ];
+    helper.load([hlsServiceNode, hlsReadNode], flow, () => {
+      const s1 = helper.getNode('s1');
+      const r1 = helper.getNode('r1');
+
+      r1.status = function (status) {
+        assert.equal(status.fill, 'yellow');
+        assert.ok(status.text.includes('1次'));
+        done();
+      };
+      s1.service.client.emit('health', { state: 'degraded', misses: 1, connected: true });
+    });
+  });
+
+  it('should show heartbeat latency and time while connected', done => {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'r1', type: 'hls-read', service: 's1' },
+    ];
+    helper.load([hlsServiceNode, hlsReadNode], flow, () => {
+      const s1 = helper.getNode('s1');
+      const r1 = helper.getNode('r1');
+      const lastHeartbeat = '2025-08-26T08:00:05.000Z';
+      const time = new Date(lastHeartbeat).toLocaleTimeString('zh-CN', { hour12: false });
+
+      const statuses = [];
+      r1.status = status => statuses.push(status);
+      s1.service.client.emit('health', { state: 'degraded', misses: 1, connected: true });
+      s1.service.client.emit('heartbeat', {
+        state: 'up',
+        latency: 12,
+        lastHeartbeat,
+        misses: 0,
+        connected: true,
+      });
+      assert.deepEqual(
+        statuses.map(status => [status.fill, status.text]),
+        [
+          ['yellow', '服务响应缓慢 (心跳未响应1次)'],
+          ['green', `服务已连接 (延迟12ms, 心跳${time})`],
+        ]
+      );
+      done();
+    });
+  });
+
+  it('should share a client between legacy nodes with the same server and port', done => {
+    const flow = [
+      { id: 'r1', type: 'hls-read', server: '10.0.0.2', port: 8888 },
+      { id: 'w1', type: 'hls-write', server: '10.0.0.2', port: '8888' },
+      { id: 'r2', type: 'hls-read', server: '10.0.0.3', port: 8888 },
+    ];
+    helper.load([hlsReadNode, hlsWriteNode], flow, () => {
+      const r1 = helper.getNode('r1');
+      const w1 = helper.getNode('w1');
+      const r2 = helper.getNode('r2');
+
+      assert.strictEqual(r1.hlsClient, w1.hlsClient);
+      assert.notStrictEqual(r1.hlsClient, r2.hlsClient);
+      assert.equal(r1.service.key, '10.0.0.2:8888');
+      done();
+    });
+  });
+});
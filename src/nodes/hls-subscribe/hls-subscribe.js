@@ -0,0 +1,236 @@
+/**
+ * HLS-Subscribe Node
+ * Node-RED节点，订阅设备数据变化，由HLS服务在数据点值变化时主动推送
+ */
+
+const { formatErrorMessage } = require('../lib/hls-errors');
+const { scaleReadItem } = require('../lib/hls-scaling');
+const { toDataPoints } = require('../lib/hls-device-binding');
+const { INT64_FORMATS, parseReadValue, formatInt64 } = require('../lib/hls-int64');
+
+module.exports = function (RED) {
+  'use strict';
+
+  function HLSSubscribeNode(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+
+    // 节点配置
+    node.name = config.name || 'HLS订阅';
+    node.addresses = config.addresses || [];
+    node.samplingInterval = parseInt(config.samplingInterval) || 1000;
+    node.deadband = parseFloat(config.deadband) || 0;
+    node.int64Format = config.int64Format || INT64_FORMATS.STRING;
+
+    // 订阅状态
+    node.connectionId = null;
+    node.subscriptionId = null;
+    node.subscribing = null;
+    node.paused = false;
+
+    const deviceNode = RED.nodes.getNode(config.device);
+    if (!deviceNode || !deviceNode.device) {
+      node.status({ fill: 'red', shape: 'ring', text: '未选择设备' });
+      node.error('未选择HLS设备配置节点');
+      return;
+    }
+    node.device = deviceNode.device;
+    node.service = node.device.service;
+    node.hlsClient = node.service.client;
+
+    // 节点未配置数据点时使用设备配置的点位
+    if (node.addresses.length === 0) {
+      node.addresses = deviceNode.points;
+    }
+
+    node.service.register(node);
+    node.device.register(node, toDataPoints(node.addresses));
+
+    // 服务端订阅随IPC连接清除，设备连接恢复后重新订阅
+    node.device.on('connected', onDeviceConnected);
+    node.device.on('disconnected', onDeviceDisconnected);
+    node.device.on('restoreFailed', onDeviceRestoreFailed);
+
+    /**
+     * 设备连接已建立，开始订阅
+     */
+    function onDeviceConnected(connectionId) {
+      if (connectionId !== node.connectionId) {
+        node.connectionId = connectionId;
+        node.subscriptionId = null;
+      }
+      if (!node.paused) {
+        subscribe();
+      }
+    }
+
+    /**
+     * 设备连接失效，订阅已随之失效
+     */
+    function onDeviceDisconnected() {
+      node.connectionId = null;
+      node.subscriptionId = null;
+    }
+
+    /**
+     * 服务恢复后重新连接设备失败
+     */
+    function onDeviceRestoreFailed(err) {
+      node.status({ fill: 'red', shape: 'ring', text: `连接失败: ${err.message}` });
+      node.error(`设备重新连接失败: ${err.message}`);
+    }
+
+    /**
+     * 订阅配置的数据点；订阅进行中时复用同一请求，避免重复订阅
+     */
+    function subscribe() {
+      if (!node.subscribing) {
+        node.subscribing = sendSubscribe().finally(() => {
+          node.subscribing = null;
+        });
+      }
+      return node.subscribing;
+    }
+
+    async function sendSubscribe() {
+      if (!node.connectionId || node.subscriptionId || node.addresses.length === 0) {
+        return;
+      }
+
+      try {
+        const addresses = node.addresses.map(addr => addr.address);
+        const response = await node.hlsClient.subscribe(
+          node.connectionId,
+          addresses,
+          { samplingInterval: node.samplingInterval, deadband: node.deadband },
+          onDataChange
+        );
+        node.subscriptionId = response.data.subscriptionId;
+        node.status({ fill: 'green', shape: 'dot', text: `已订阅 ${addresses.length} 个点位` });
+      } catch (err) {
+        node.status({ fill: 'red', shape: 'ring', text: `订阅失败: ${formatErrorMessage(err)}` });
+        node.error(err);
+      }
+    }
+
+    /**
+     * 取消订阅
+     */
+    async function unsubscribe() {
+      const subscriptionId = node.subscriptionId;
+      if (!subscriptionId) {
+        return;
+      }
+
+      node.subscriptionId = null;
+      if (!node.hlsClient.connected) {
+        // 连接已断开时服务端的订阅也已清除
+        return;
+      }
+      try {
+        await node.hlsClient.unsubscribe(subscriptionId);
+      } catch (err) {
+        node.debug(`取消订阅失败: ${err.message}`);
+      }
+    }
+
+    /**
+     * 通知中的数据点：64位整数无损转换，换算为工程值后按输出格式表示
+     */
+    function toOutputItem(item) {
+      const point = node.addresses.find(addr => addr.address === item.address);
+      const output = scaleReadItem(
+        {
+          address: item.address,
+          value: parseReadValue(item.value, (point && point.dataType) || item.dataType),
+          dataType: item.dataType,
+          timestamp: item.timestamp,
+          quality: item.quality === 'good' ? 'Good' : 'Bad',
+        },
+        point
+      );
+      output.value = formatInt64(output.value, node.int64Format);
+      return output;
+    }
+
+    /**
+     * 收到数据变化通知
+     */
+    function onDataChange(data) {
+      const values = data.values || [];
+      node.send({
+        payload: {
+          connectionId: data.connectionId,
+          subscriptionId: data.subscriptionId,
+          data: values.map(toOutputItem),
+          timestamp: new Date().toISOString(),
+          status: 'success',
+        },
+        topic: 'hls-subscribe',
+      });
+      node.status({ fill: 'green', shape: 'dot', text: `已更新 ${values.length} 个点位` });
+    }
+
+    /**
+     * 连接设备，已连接时直接订阅
+     */
+    async function initializeConnection() {
+      try {
+        node.status({ fill: 'yellow', shape: 'ring', text: '连接中...' });
+        onDeviceConnected(await node.device.connect());
+      } catch (err) {
+        node.status({ fill: 'red', shape: 'ring', text: `连接失败: ${formatErrorMessage(err)}` });
+        node.error(`设备连接失败: ${err.message}`);
+      }
+    }
+
+    // 输入消息：payload为'unsubscribe'时暂停订阅，为'subscribe'时恢复订阅
+    node.on('input', async (msg, send, done) => {
+      const action = String(msg.payload).toLowerCase();
+
+      if (action === 'unsubscribe') {
+        node.paused = true;
+        await unsubscribe();
+        node.status({ fill: 'grey', shape: 'ring', text: '已暂停订阅' });
+      } else if (action === 'subscribe') {
+        node.paused = false;
+        if (node.connectionId) {
+          await subscribe();
+        } else {
+          await initializeConnection();
+        }
+      } else {
+        done(new Error(`不支持的操作: ${msg.payload}，应为subscribe或unsubscribe`));
+        return;
+      }
+      done();
+    });
+
+    // 节点关闭时取消订阅并注销
+    node.on('close', (removed, done) => {
+      clearTimeout(node.initTimer);
+      node.device.removeListener('connected', onDeviceConnected);
+      node.device.removeListener('disconnected', onDeviceDisconnected);
+      node.device.removeListener('restoreFailed', onDeviceRestoreFailed);
+
+      unsubscribe()
+        .then(() => node.device.deregister(node))
+        .catch(err => node.error(`注销设备连接失败: ${err.message}`))
+        .finally(() => {
+          node.service.deregister(node);
+          done();
+        });
+    });
+
+    // 延迟1秒连接，确保Node-RED完全启动
+    if (node.addresses.length > 0) {
+      node.initTimer = setTimeout(() => {
+        initializeConnection();
+      }, 1000);
+    }
+  }
+
+  // 注册节点
+  RED.nodes.registerType('hls-subscribe', HLSSubscribeNode);
+};
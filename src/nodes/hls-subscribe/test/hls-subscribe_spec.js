@@ -0,0 +1,164 @@
+/**
+ * Unit tests for HLS-Subscribe Node
+ */
+
+const assert = require('assert');
+const helper = require('node-red-node-test-helper');
+const hlsServiceNode = require('../../hls-service/hls-service.js');
+const hlsDeviceNode = require('../../hls-device/hls-device.js');
+const hlsSubscribeNode = require('../hls-subscribe.js');
+
+helper.init(require.resolve('node-red'));
+
+describe('HLS-Subscribe Node', () => {
+  const nodes = [hlsServiceNode, hlsDeviceNode, hlsSubscribeNode];
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'sub1',
+      type: 'hls-subscribe',
+      device: 'd1',
+      samplingInterval: 500,
+      deadband: 0.5,
+      addresses: [
+        { address: '40001', dataType: 'Int16' },
+        { address: '40002', dataType: 'Float' },
+      ],
+      wires: [['h1']],
+    },
+    { id: 'h1', type: 'helper' },
+  ];
+
+  beforeEach(done => {
+    helper.startServer(done);
+  });
+
+  afterEach(done => {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  // 模拟服务端：connect返回connectionId，subscribe依次分配订阅ID
+  function mockClient(client, calls) {
+    let subscriptions = 0;
+    client.connected = true;
+    client.connectDevice = () =>
+      Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+    client.sendRequest = (command, data) => {
+      calls.push({ command, data });
+      if (command === 'subscribe') {
+        subscriptions++;
+        return Promise.resolve({ success: true, data: { subscriptionId: `sub-${subscriptions}` } });
+      }
+      return Promise.resolve({ success: true, data: {} });
+    };
+  }
+
+  function dataChange(subscriptionId, values) {
+    return JSON.stringify({
+      version: '1.0',
+      event: 'dataChange',
+      data: { subscriptionId, values },
+    });
+  }
+
+  it('should subscribe with the configured sampling interval and deadband', done => {
+    helper.load(nodes, flow, async () => {
+      try {
+        const sub1 = helper.getNode('sub1');
+        const calls = [];
+        mockClient(sub1.hlsClient, calls);
+
+        sub1.receive({ payload: 'subscribe' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const subscribe = calls.find(call => call.command === 'subscribe');
+        assert.deepEqual(subscribe.data, {
+          connectionId: 'conn-1',
+          addresses: ['40001', '40002'],
+          samplingInterval: 500,
+          deadband: 0.5,
+        });
+        assert.equal(sub1.subscriptionId, 'sub-1');
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should output dataChange notifications routed to its subscription', done => {
+    helper.load(nodes, flow, async () => {
+      const sub1 = helper.getNode('sub1');
+      const h1 = helper.getNode('h1');
+      mockClient(sub1.hlsClient, []);
+
+      h1.on('input', msg => {
+        try {
+          assert.equal(msg.topic, 'hls-subscribe');
+          assert.equal(msg.payload.subscriptionId, 'sub-1');
+          assert.deepEqual(msg.payload.data[0], {
+            address: '40001',
+            value: 42,
+            dataType: 'Int16',
+            timestamp: '2025-08-26T08:00:00.000Z',
+            quality: 'Good',
+          });
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      sub1.receive({ payload: 'subscribe' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      // 其他订阅的通知不应输出
+      sub1.hlsClient.handleResponse(dataChange('sub-other', [{ address: '40009', value: 1 }]));
+      sub1.hlsClient.handleResponse(
+        dataChange('sub-1', [
+          {
+            address: '40001',
+            value: 42,
+            dataType: 'Int16',
+            quality: 'good',
+            timestamp: '2025-08-26T08:00:00.000Z',
+          },
+        ])
+      );
+    });
+  });
+
+  it('should unsubscribe on request and resubscribe after the device reconnects', done => {
+    helper.load(nodes, flow, async () => {
+      try {
+        const sub1 = helper.getNode('sub1');
+        const d1 = helper.getNode('d1');
+        const calls = [];
+        mockClient(sub1.hlsClient, calls);
+
+        sub1.receive({ payload: 'subscribe' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        // 服务重连后设备以新的connectionId恢复
+        d1.device.emit('disconnected');
+        d1.device.emit('connected', 'conn-2');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(sub1.subscriptionId, 'sub-2');
+        assert.equal(calls[calls.length - 1].data.connectionId, 'conn-2');
+
+        sub1.receive({ payload: 'unsubscribe' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual(calls[calls.length - 1], {
+          command: 'unsubscribe',
+          data: { subscriptionId: 'sub-2' },
+        });
+        assert.equal(sub1.subscriptionId, null);
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+});
@@ -3,331 +3,570 @@
  * Node-RED节点，用于向工业设备写入数据
  */
 
-const net = require('net');
-const { v4: uuidv4 } = require('uuid');
+const os = require('os');
+const path = require('path');
+const { attachDevice, toDataPoints, DeviceBinding } = require('../lib/hls-device-binding');
+const {
+  HlsError,
+  HlsConnectionError,
+  HlsTimeoutError,
+  formatErrorMessage,
+} = require('../lib/hls-errors');
+const { WriteLimiter } = require('../lib/hls-write-limits');
+const { ARM_ACTIONS, WriteArming } = require('../lib/hls-write-arming');
+const { withRetry } = require('../lib/hls-retry');
+const { getScaling, toRaw, toEngineering } = require('../lib/hls-scaling');
+const {
+  parseAddress,
+  getCodec,
+  validateCodec,
+  registersOf,
+  encodeValue,
+  setBit,
+  planRegisterReads,
+  decodeResults,
+} = require('../lib/hls-codec');
+const { extractResults } = require('../lib/hls-quality');
+const { int64Type, toWireValue, parseReadValue } = require('../lib/hls-int64');
+const { pointName } = require('../lib/hls-output-format');
+const { AUDIT_RESULTS, AuditLog, toCsv, toJsonLines } = require('../lib/hls-audit');
+
+// 数据点名称或地址不在数据点表中
+const INVALID_ADDRESS = '3001';
+
+// 审计日志文件名，位于Node-RED用户目录
+const AUDIT_FILE_NAME = 'hls-write-audit.jsonl';
+
+// 审计日志的导出格式，未指定format时以JSON数组返回
+const AUDIT_EXPORTS = {
+  csv: { contentType: 'text/csv', render: toCsv },
+  jsonl: { contentType: 'application/x-ndjson', render: toJsonLines },
+};
+
+function toBoolean(value) {
+  return typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value);
+}
+
+// 写入值按数据类型转换，未列出的类型原样发送
+const VALUE_CONVERTERS = {
+  bool: toBoolean,
+  boolean: toBoolean,
+  int16: value => parseInt(value),
+  int32: value => parseInt(value),
+  uint16: value => parseInt(value),
+  uint32: value => parseInt(value),
+  float: value => parseFloat(value),
+  double: value => parseFloat(value),
+  string: value => String(value),
+};
+
+/**
+ * 写入配置：写入模式、写入验证和重试次数
+ */
+function parseWriteOptions(node, config) {
+  node.name = config.name || 'HLS写入';
+  node.addresses = config.addresses || [];
+  node.writeMode = config.writeMode || 'message'; // 'message' | 'config'
+  node.verifyWrites = config.verifyWrites || false;
+  node.maxRetries = isNaN(parseInt(config.maxRetries)) ? 3 : parseInt(config.maxRetries);
+}
 
 module.exports = function (RED) {
   'use strict';
 
   /**
-   * HLS IPC客户端类
+   * 用户目录未配置时使用Node-RED的默认用户目录~/.node-red
    */
-  class HLSIPCClient {
-    constructor(options) {
-      this.host = options.host || 'localhost';
-      this.port = options.port || 8888;
-      this.timeout = options.timeout || 5000;
-      this.socket = null;
-      this.connected = false;
-      this.pendingRequests = new Map();
-    }
+  function auditLog() {
+    const userDir = RED.settings.userDir || path.join(os.homedir(), '.node-red');
+    return AuditLog.acquire(path.join(userDir, AUDIT_FILE_NAME));
+  }
 
-    /**
-     * 连接到HLS服务
-     */
-    async connect() {
-      return new Promise((resolve, reject) => {
-        if (this.connected) {
-          return resolve();
-        }
+  function HLSWriteNode(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
 
-        this.socket = new net.Socket();
-        this.socket.setTimeout(this.timeout);
+    // 节点配置
+    parseWriteOptions(node, config);
 
-        this.socket.on('connect', () => {
-          this.connected = true;
-          resolve();
-        });
+    // 共享的设备连接和设备参数
+    const deviceNode = attachDevice(RED, node, config);
 
-        this.socket.on('data', (data) => {
-          this.handleResponse(data);
-        });
+    // 节点未配置数据点时使用设备配置的点位
+    if (node.addresses.length === 0 && deviceNode) {
+      node.addresses = deviceNode.points;
+    }
 
-        this.socket.on('error', (err) => {
-          this.connected = false;
-          reject(err);
-        });
+    // 数据点的最小/最大值、允许值和最大变化量
+    node.limiter = new WriteLimiter(node.addresses);
 
-        this.socket.on('close', () => {
-          this.connected = false;
-        });
+    // 两步确认：节点上的requireArm对全部数据点生效，数据点表中的需确认只对该数据点生效
+    node.arming = new WriteArming(node.addresses, {
+      all: config.requireArm === true,
+      windowMs: parseFloat(config.armWindow) * 1000,
+    });
+    node.armTimer = null;
 
-        this.socket.on('timeout', () => {
-          this.socket.destroy();
-          reject(new Error('连接超时'));
-        });
+    // 写入审计日志：所有写入节点的每次写入都记录到同一文件，不能按节点关闭
+    node.audit = auditLog();
+    node.auditReadBefore = config.auditReadBefore === true;
 
-        this.socket.connect(this.port, this.host);
-      });
-    }
+    // 设备连接和连接事件
+    node.binding = new DeviceBinding(node);
+    node.binding.bind(toDataPoints(node.addresses, { writable: true }));
 
     /**
-     * 处理服务器响应
+     * 数据类型转换
      */
-    handleResponse(data) {
+    function convertValue(value, dataType) {
+      const convert = VALUE_CONVERTERS[dataType.toLowerCase()];
       try {
-        const response = JSON.parse(data.toString());
-        const messageId = response.messageId;
-        
-        if (this.pendingRequests.has(messageId)) {
-          const { resolve, reject } = this.pendingRequests.get(messageId);
-          this.pendingRequests.delete(messageId);
-          
-          if (response.success) {
-            resolve(response);
-          } else {
-            reject(new Error(response.error ? response.error.message : '未知错误'));
-          }
-        }
+        return convert ? convert(value) : value;
       } catch (err) {
-        // 忽略解析错误
+        throw new Error(`数据类型转换失败: ${err.message}`);
       }
     }
 
     /**
-     * 发送请求到HLS服务
+     * 数组类型逐个元素转换，原始寄存器（Raw）不转换；
+     * 64位整数检查取值范围后以十进制字符串发送，避免超过2^53的值丢失精度
      */
-    async sendRequest(command, data) {
-      if (!this.connected) {
-        await this.connect();
+    function convertPointValue(value, codec, dataType) {
+      if (int64Type(dataType)) {
+        return Array.isArray(value)
+          ? value.map(element => toWireValue(element, dataType))
+          : toWireValue(value, dataType);
       }
+      if (codec && codec.count !== null && codec.type !== 'raw' && Array.isArray(value)) {
+        return value.map(element => convertValue(element, codec.type));
+      }
+      return convertValue(value, dataType);
+    }
 
-      return new Promise((resolve, reject) => {
-        const messageId = uuidv4();
-        const request = {
-          version: '1.0',
-          messageId: messageId,
-          timestamp: new Date().toISOString(),
-          command: command,
-          data: data
-        };
+    /**
+     * 工程值按数据点配置的系数、偏移反向换算为原始值，超出范围时限制在范围内并警告
+     */
+    function toRawValue(item) {
+      const point = node.addresses.find(addr => addr.address === item.address);
+      const result = toRaw(item.value, getScaling(point), item.dataType);
+      if (result.clamped) {
+        node.warn(
+          `写入值 ${item.value} 超出数据点 ${item.address} 的范围，已限制为原始值 ${result.value}`
+        );
+      }
+      return result.value;
+    }
 
-        this.pendingRequests.set(messageId, { resolve, reject });
+    /**
+     * 写入项的字节序、位号、字符串和数组参数，数据点配置优先于消息中的参数
+     */
+    function codecOf(item) {
+      const point = node.addresses.find(addr => addr.address === item.address);
+      return getCodec(Object.assign({}, item, point));
+    }
 
-        // 设置请求超时
-        setTimeout(() => {
-          if (this.pendingRequests.has(messageId)) {
-            this.pendingRequests.delete(messageId);
-            reject(new Error('请求超时'));
-          }
-        }, this.timeout);
+    /**
+     * 读取寄存器当前值，用于修改其中一位
+     */
+    async function readRegister(register) {
+      const response = await node.hlsClient.readData(node.connectionId, register);
+      const result = extractResults(response)[0];
+      if (!response.success || !result || result.success === false) {
+        throw new HlsError(`读取寄存器 ${register} 失败，无法写入位`, {
+          code: result && result.error ? result.error.code : undefined,
+        });
+      }
+      return result.value;
+    }
 
-        this.socket.write(JSON.stringify(request));
-      });
+    /**
+     * 配置了字节序、位号、字符串长度或数组类型的数据点拆分为寄存器写入，写入某一位时先读取寄存器当前值
+     */
+    async function toRegisterWrites(item) {
+      const { codec } = item;
+      if (!codec) {
+        return [{ address: item.address, value: item.value, dataType: item.dataType }];
+      }
+
+      const error = validateCodec(codec);
+      if (error) {
+        throw new HlsError(`数据点 ${item.address}: ${error.message}`, { code: error.code });
+      }
+      if (codec.bit !== null) {
+        const word = await readRegister(codec.register);
+        return [
+          {
+            address: codec.register,
+            value: setBit(word, codec.bit, item.value),
+            dataType: 'Int16',
+          },
+        ];
+      }
+
+      const registers = registersOf(codec);
+      return encodeValue(codec, item.value).map((word, index) => ({
+        address: registers[index],
+        value: word,
+        dataType: 'Int16',
+      }));
     }
 
     /**
-     * 连接设备
+     * 按地址或名称查找数据点表中的数据点，地址优先
      */
-    async connectDevice(deviceConfig, dataPoints) {
-      const data = {
-        deviceConfig: deviceConfig,
-        dataPoints: dataPoints
+    function findPoint(key) {
+      return (
+        node.addresses.find(point => point.address === key) ||
+        node.addresses.find(point => pointName(point) === key)
+      );
+    }
+
+    function unknownPointError(name) {
+      return new HlsError(`未配置的数据点: ${name}`, {
+        code: INVALID_ADDRESS,
+        resourceId: String(name),
+      });
+    }
+
+    function resolveNamedItem(item) {
+      const point = node.addresses.find(addr => pointName(addr) === item.name);
+      if (!point) {
+        throw unknownPointError(item.name);
+      }
+      return {
+        address: String(point.address),
+        name: pointName(point),
+        value: item.value,
+        dataType: item.dataType || point.dataType || 'Int16',
       };
-      return await this.sendRequest('connect', data);
     }
 
     /**
-     * 写入单个数据点
+     * 单点和批量写入项：没有address时按name从数据点表解析地址和数据类型，名称不存在时报错
      */
-    async writeData(connectionId, address, value, dataType) {
-      const data = {
-        connectionId: connectionId,
-        address: address,
-        value: value,
-        dataType: dataType
+    function resolveWriteItem(item) {
+      if (item.address === undefined || item.address === null || item.address === '') {
+        return resolveNamedItem(item);
+      }
+      // 数值地址（如40001）按字符串匹配数据点表，写入限制和两步确认按字符串地址查找
+      const address = String(item.address);
+      const point = node.addresses.find(addr => String(addr.address) === address);
+      return {
+        address,
+        name: point ? pointName(point) : item.name,
+        value: item.value,
+        dataType: (point && point.dataType) || item.dataType || 'Int16',
       };
-      return await this.sendRequest('write', data);
     }
 
     /**
-     * 批量写入数据点
+     * 地址映射格式的键可以是数据点名称或地址；不在数据点表中的键只接受Modbus寄存器地址，其他视为未知名称
      */
-    async writeBatchData(connectionId, writeItems) {
-      const data = {
-        connectionId: connectionId,
-        writeItems: writeItems
-      };
-      return await this.sendRequest('writeBatch', data);
+    function resolveMappedItem(key, value) {
+      const point = findPoint(key);
+      if (point) {
+        return {
+          address: point.address,
+          name: pointName(point),
+          value,
+          dataType: point.dataType || 'Int16',
+        };
+      }
+      if (!parseAddress(key)) {
+        throw unknownPointError(key);
+      }
+      return { address: key, value, dataType: 'Int16' };
     }
 
     /**
-     * 写入后回读验证
+     * 验证输入消息格式
      */
-    async writeWithVerify(connectionId, address, value, dataType) {
-      const data = {
-        connectionId: connectionId,
-        address: address,
-        value: value,
-        dataType: dataType,
-        verify: true
-      };
-      return await this.sendRequest('writeWithVerify', data);
+    function validateInputMessage(msg) {
+      if (!msg.payload) {
+        throw new Error('消息payload不能为空');
+      }
+
+      // 支持三种消息格式，数据点可以用地址或数据点表中的名称指定：
+      // 1. 单点写入: { address: '40001', value: 100, dataType: 'Int16' } 或 { name: 'Zone1', value: 65 }
+      // 2. 批量写入: [{ address: '40001', value: 100 }, { name: 'Zone1', value: 65 }, ...]
+      // 3. 地址映射: { '40001': 100, 'Setpoint_Zone1': 65 }
+
+      let writeItems = [];
+      const payload = msg.payload;
+
+      if (Array.isArray(payload)) {
+        // 批量写入格式
+        writeItems = payload.map(item => {
+          if (!item.address && item.name === undefined) {
+            throw new Error('批量写入项缺少address或name字段');
+          }
+          return resolveWriteItem(item);
+        });
+      } else if (
+        payload.address !== undefined ||
+        (payload.name !== undefined && 'value' in payload)
+      ) {
+        // 单点写入格式
+        writeItems = [resolveWriteItem(payload)];
+      } else {
+        // 地址映射格式，数据类型从数据点表获取
+        writeItems = Object.keys(payload).map(key => resolveMappedItem(key, payload[key]));
+      }
+
+      return writeItems;
     }
 
     /**
-     * 断开连接
+     * 配置驱动模式：任意输入消息触发写入数据点表中的默认值。
+     * msg.payload为对象时按数据点名称（或地址）覆盖对应数据点的值，未配置默认值的数据点只在被覆盖时写入
      */
-    disconnect() {
-      if (this.socket) {
-        this.socket.destroy();
+    function buildConfigWriteItems(msg) {
+      const overrides = isObjectPayload(msg.payload) ? msg.payload : {};
+      const hasOverride = key => Object.prototype.hasOwnProperty.call(overrides, key);
+      const keysOf = point => [pointName(point), point.address];
+      const unknown = Object.keys(overrides).filter(
+        key => !node.addresses.some(point => keysOf(point).includes(key))
+      );
+      if (unknown.length > 0) {
+        throw unknownPointError(unknown.join(', '));
       }
-      this.connected = false;
-      this.pendingRequests.clear();
+
+      const writeItems = [];
+      node.addresses.forEach(point => {
+        const key = keysOf(point).find(hasOverride);
+        if (key === undefined && !hasDefaultValue(point)) {
+          return;
+        }
+        writeItems.push({
+          address: point.address,
+          name: pointName(point),
+          value: key === undefined ? point.defaultValue : overrides[key],
+          dataType: point.dataType || 'Int16',
+        });
+      });
+      return writeItems;
     }
-  }
 
-  function HLSWriteNode(config) {
-    RED.nodes.createNode(this, config);
+    function isObjectPayload(payload) {
+      return (
+        typeof payload === 'object' &&
+        payload !== null &&
+        !Array.isArray(payload) &&
+        !Buffer.isBuffer(payload)
+      );
+    }
 
-    const node = this;
+    function hasDefaultValue(point) {
+      return (
+        point.defaultValue !== undefined && point.defaultValue !== null && point.defaultValue !== ''
+      );
+    }
 
-    // 节点配置
-    node.name = config.name || 'HLS写入';
-    node.deviceId = config.deviceId || '';
-    node.addresses = config.addresses || [];
-    node.server = config.server || 'localhost';
-    node.port = parseInt(config.port) || 8888;
-    node.protocol = config.protocol || 'ModbusTcp';
-    node.devicePort = parseInt(config.devicePort) || 502;
-    node.timeout = parseInt(config.timeout) || 5000;
-    node.writeMode = config.writeMode || 'message'; // 'message' | 'config'
-    node.verifyWrites = config.verifyWrites || false;
-
-    // 连接状态和客户端
-    node.connected = false;
-    node.connectionId = null;
-    node.hlsClient = new HLSIPCClient({
-      host: node.server,
-      port: node.port,
-      timeout: 5000
-    });
+    /**
+     * 按写入模式解析写入项：配置驱动模式使用数据点表中的值，消息驱动模式从输入消息解析。
+     * 任一写入项违反数据点的写入限制时抛出HlsWriteLimitError，需要两步确认的数据点未预备时抛出3011错误，
+     * 不写入任何数据点
+     */
+    function parseWriteItems(msg) {
+      const writeItems =
+        node.writeMode === 'config' ? buildConfigWriteItems(msg) : validateInputMessage(msg);
+      try {
+        node.limiter.check(writeItems);
+        if (msg.action !== ARM_ACTIONS.ARM) {
+          node.arming.check(writeItems);
+        }
+      } catch (err) {
+        auditWriteItems(msg, writeItems, { result: AUDIT_RESULTS.REJECTED, error: err });
+        throw err;
+      }
+      return writeItems;
+    }
+
+    function writeOperation(msg, writeItems) {
+      if (msg.action === ARM_ACTIONS.ARM) {
+        return 'arm';
+      }
+      if (writeItems.length > 1) {
+        return 'writeBatch';
+      }
+      return node.verifyWrites ? 'writeWithVerify' : 'write';
+    }
 
-    // 状态指示
-    node.status({ fill: 'red', shape: 'ring', text: '未连接' });
+    function errorFields(err) {
+      return err ? { errorCode: err.code || 'WRITE_ERROR', errorMessage: err.message } : {};
+    }
+
+    /**
+     * 每个写入项记录一条审计日志，记录失败只输出警告，不影响写入
+     * @param {Object} outcome - result: AUDIT_RESULTS之一；error: 失败原因；previousValues: 写入前读取的值
+     */
+    function auditWriteItems(msg, writeItems, outcome) {
+      const timestamp = new Date().toISOString();
+      const operation = writeOperation(msg, writeItems);
+      const previousValues = outcome.previousValues || new Map();
+      const records = writeItems.map(item =>
+        Object.assign(
+          {
+            timestamp,
+            flowId: node.z,
+            nodeId: node.id,
+            nodeName: node.name,
+            msgId: msg._msgid,
+            topic: msg.topic,
+            source: msg.source,
+            operation,
+            address: item.address,
+            name: item.name,
+            previousValue: previousValues.get(String(item.address)),
+            value: item.value,
+            result: outcome.result,
+          },
+          errorFields(outcome.error)
+        )
+      );
+      node.audit.append(records).catch(err => node.warn(`审计日志记录失败: ${err.message}`));
+    }
 
     /**
-     * 初始化设备连接
+     * 写入前读取数据点当前值（工程值），按数据点配置组合寄存器；读取失败的数据点不在结果中
      */
-    async function initializeConnection() {
+    async function readPreviousValues(writeItems) {
+      const addresses = writeItems.map(item => String(item.address));
+      const points = new Map(
+        addresses.map((address, index) => [
+          address,
+          Object.assign({}, writeItems[index], findPoint(address)),
+        ])
+      );
       try {
-        node.status({ fill: 'yellow', shape: 'ring', text: '连接中...' });
-
-        // 构造设备配置
-        const deviceConfig = {
-          protocol: node.protocol,
-          host: node.deviceId,
-          port: node.devicePort,
-          timeout: node.timeout
-        };
+        const plan = planRegisterReads(addresses, points);
+        const response = await node.hlsClient.readBatchData(node.connectionId, plan.addresses);
+        const results = decodeResults(addresses, extractResults(response), plan).filter(
+          result => result.success !== false
+        );
+        return new Map(
+          results.map(result => {
+            const point = points.get(String(result.address));
+            const value = parseReadValue(result.value, point.dataType);
+            return [String(result.address), toEngineering(value, getScaling(point)).value];
+          })
+        );
+      } catch (err) {
+        node.warn(`写入前读取当前值失败: ${formatErrorMessage(err)}`);
+        return new Map();
+      }
+    }
 
-        // 构造数据点配置（写入节点需要包含可写入的点位）
-        const dataPoints = node.addresses.map(addr => ({
-          address: addr.address,
-          dataType: addr.dataType || 'Int16',
-          name: addr.description || addr.address,
-          writable: true
-        }));
-
-        // 连接设备
-        const response = await node.hlsClient.connectDevice(deviceConfig, dataPoints);
-        
-        if (response.success && response.data && response.data.connectionId) {
-          node.connectionId = response.data.connectionId;
-          node.connected = true;
-          node.status({ fill: 'green', shape: 'dot', text: '已连接' });
-          node.log(`成功连接到设备: ${node.deviceId}`);
-        } else {
-          throw new Error('设备连接失败');
-        }
+    /**
+     * 配置了最大变化量的数据点在写入前读取设备当前值检查变化量，包括其他节点或设备本身造成的变化；
+     * 读取失败的数据点无法确认变化量，整条消息被拒绝
+     */
+    async function checkWriteSteps(msg, writeItems) {
+      const stepItems = node.limiter.stepItems(writeItems);
+      if (stepItems.length === 0) {
+        return;
+      }
+      const current = await readPreviousValues(stepItems);
+      try {
+        node.limiter.checkSteps(stepItems, current);
       } catch (err) {
-        node.connected = false;
-        node.status({ fill: 'red', shape: 'ring', text: `连接失败: ${err.message}` });
-        node.error(`设备连接失败: ${err.message}`);
+        auditWriteItems(msg, writeItems, { result: AUDIT_RESULTS.REJECTED, error: err });
+        throw err;
       }
     }
 
     /**
-     * 数据类型转换
+     * 写入即将发送时消耗两步确认的预备：连接失败或变化量检查拒绝时预备保留，可以再次执行
      */
-    function convertValue(value, dataType) {
+    function consumeArm(msg, writeItems) {
       try {
-        switch (dataType.toLowerCase()) {
-          case 'bool':
-          case 'boolean':
-            if (typeof value === 'string') {
-              return value.toLowerCase() === 'true';
-            }
-            return Boolean(value);
-          case 'int16':
-          case 'int32':
-          case 'int64':
-          case 'uint16':
-          case 'uint32':
-          case 'uint64':
-            return parseInt(value);
-          case 'float':
-          case 'double':
-            return parseFloat(value);
-          case 'string':
-            return String(value);
-          default:
-            return value;
-        }
+        node.arming.consume(writeItems);
       } catch (err) {
-        throw new Error(`数据类型转换失败: ${err.message}`);
+        auditWriteItems(msg, writeItems, { result: AUDIT_RESULTS.REJECTED, error: err });
+        throw err;
+      } finally {
+        refreshArmStatus();
       }
     }
 
     /**
-     * 验证输入消息格式
+     * 写入并记录审计日志，启用写入前读取时先读取数据点的当前值
      */
-    function validateInputMessage(msg) {
-      if (!msg.payload) {
-        throw new Error('消息payload不能为空');
+    async function writeWithAudit(msg, writeItems) {
+      const previousValues = node.auditReadBefore
+        ? await readPreviousValues(writeItems)
+        : new Map();
+      try {
+        const result = await performDataWriting(writeItems);
+        auditWriteItems(msg, writeItems, { result: AUDIT_RESULTS.SUCCESS, previousValues });
+        return result;
+      } catch (err) {
+        const outcome = { result: AUDIT_RESULTS.FAILED, previousValues, error: err };
+        auditWriteItems(msg, writeItems, outcome);
+        throw err;
       }
+    }
 
-      // 支持三种消息格式：
-      // 1. 单点写入: { address: '40001', value: 100, dataType: 'Int16' }
-      // 2. 批量写入: [{ address: '40001', value: 100, dataType: 'Int16' }, ...]
-      // 3. 地址映射: { '40001': 100, '40002': 25.6 }
-      
-      let writeItems = [];
-      const payload = msg.payload;
-      
-      if (Array.isArray(payload)) {
-        // 批量写入格式
-        writeItems = payload.map(item => {
-          if (!item.address) {
-            throw new Error('批量写入项缺少address字段');
-          }
-          return {
-            address: item.address,
-            value: item.value,
-            dataType: item.dataType || 'Int16'
-          };
-        });
-      } else if (payload.address !== undefined) {
-        // 单点写入格式
-        writeItems = [{
-          address: payload.address,
-          value: payload.value,
-          dataType: payload.dataType || 'Int16'
-        }];
-      } else {
-        // 地址映射格式，需要从配置中获取数据类型
-        writeItems = Object.keys(payload).map(address => {
-          const configItem = node.addresses.find(addr => addr.address === address);
-          const dataType = configItem ? configItem.dataType : 'Int16';
-          return {
-            address: address,
-            value: payload[address],
-            dataType: dataType
-          };
+    /**
+     * 预备消息：记录需要确认的数据点和值，不写入设备，成功端口输出预备结果
+     */
+    function armWriteItems(msg, writeItems) {
+      const result = node.arming.arm(writeItems);
+      auditWriteItems(msg, writeItems, { result: AUDIT_RESULTS.ARMED });
+      refreshArmStatus();
+      return {
+        payload: {
+          success: true,
+          operation: 'arm',
+          armed: result.armed,
+          expiresAt: new Date(result.expiresAt).toISOString(),
+          timestamp: new Date().toISOString(),
+        },
+        topic: msg.topic || 'hls-write',
+        originalPayload: msg.payload,
+      };
+    }
+
+    /**
+     * 节点状态显示预备中的点位数，预备到期时显示已过期
+     */
+    function refreshArmStatus() {
+      clearTimeout(node.armTimer);
+      node.armTimer = null;
+      const nextExpiry = node.arming.nextExpiry();
+      if (nextExpiry !== null) {
+        node.status({
+          fill: 'yellow',
+          shape: 'ring',
+          text: `已预备 ${node.arming.armedCount()} 个点位，等待执行`,
         });
+        node.armTimer = setTimeout(refreshArmStatus, nextExpiry - Date.now() + 1);
+      } else if (node.arming.expiredCount() > 0) {
+        node.status({ fill: 'grey', shape: 'ring', text: '预备已过期' });
       }
+    }
 
-      return writeItems;
+    /**
+     * 确保设备连接，返回是否已连接
+     */
+    async function ensureConnection() {
+      if (!node.connected) {
+        await node.binding.connect();
+      }
+      return node.connected;
+    }
+
+    /**
+     * 确保设备连接，连接失败时同样记录审计日志，错误由错误端口输出
+     */
+    async function requireConnection(msg, writeItems) {
+      if (await ensureConnection()) {
+        return;
+      }
+      const err = new HlsConnectionError('设备连接失败');
+      auditWriteItems(msg, writeItems, { result: AUDIT_RESULTS.FAILED, error: err });
+      throw err;
     }
 
     /**
@@ -341,147 +580,177 @@ module.exports = function (RED) {
       node.status({ fill: 'blue', shape: 'dot', text: '写入中...' });
 
       try {
-        let response;
-        const processedItems = writeItems.map(item => ({
-          address: item.address,
-          value: convertValue(item.value, item.dataType),
-          dataType: item.dataType
-        }));
-
-        if (processedItems.length === 1) {
-          // 单点写入
-          const item = processedItems[0];
-          if (node.verifyWrites) {
-            response = await node.hlsClient.writeWithVerify(
-              node.connectionId, 
-              item.address, 
-              item.value, 
-              item.dataType
-            );
-          } else {
-            response = await node.hlsClient.writeData(
-              node.connectionId, 
-              item.address, 
-              item.value, 
-              item.dataType
-            );
+        const pointItems = writeItems.map(item => {
+          const codec = codecOf(item);
+          const dataType = codec ? codec.dataType : item.dataType;
+          const value = convertPointValue(toRawValue(item), codec, dataType);
+          return { address: item.address, value, dataType, codec };
+        });
+        const processedItems = [].concat(...(await Promise.all(pointItems.map(toRegisterWrites))));
+
+        // 服务端标记为可重试的错误（如设备忙、超时）按建议延迟重试。
+        // 客户端等待响应超时时写入可能已在设备上执行，重发会重复写入，因此不重试
+        const response = await withRetry(
+          () => {
+            if (processedItems.length === 1) {
+              // 单点写入
+              const item = processedItems[0];
+              if (node.verifyWrites) {
+                return node.hlsClient.writeWithVerify(
+                  node.connectionId,
+                  item.address,
+                  item.value,
+                  item.dataType
+                );
+              }
+              return node.hlsClient.writeData(
+                node.connectionId,
+                item.address,
+                item.value,
+                item.dataType
+              );
+            }
+            // 批量写入
+            return node.hlsClient.writeBatchData(node.connectionId, processedItems);
+          },
+          {
+            maxRetries: node.maxRetries,
+            shouldRetry: err => !(err instanceof HlsTimeoutError),
+            onRetry: (err, attempt, delay) => {
+              node.status({
+                fill: 'yellow',
+                shape: 'ring',
+                text: `重试中 [${err.code}] (${attempt}/${node.maxRetries})`,
+              });
+              node.log(`写入失败，${delay}毫秒后重试: ${formatErrorMessage(err)}`);
+            },
           }
-        } else {
-          // 批量写入
-          response = await node.hlsClient.writeBatchData(node.connectionId, processedItems);
-        }
+        );
 
         if (response.success) {
           const resultData = Array.isArray(response.data) ? response.data : [response.data];
-          
-          node.status({ fill: 'green', shape: 'dot', text: `写入成功 ${processedItems.length} 个点位` });
-          
+          const names = new Map(writeItems.map(item => [String(item.address), item.name]));
+
+          node.status({
+            fill: 'green',
+            shape: 'dot',
+            text: `写入成功 ${pointItems.length} 个点位`,
+          });
+
           return {
             success: true,
             connectionId: node.connectionId,
             results: resultData.map(item => ({
+              name: names.get(String(item.address)),
               address: item.address,
               value: item.value,
               dataType: item.dataType,
               status: item.status || 'success',
               verified: item.verified || false,
-              timestamp: response.timestamp || new Date().toISOString()
+              timestamp: response.timestamp || new Date().toISOString(),
             })),
             timestamp: response.timestamp || new Date().toISOString(),
-            operation: 'write'
+            operation: 'write',
           };
         } else {
           throw new Error(response.error ? response.error.message : '写入失败');
         }
       } catch (err) {
-        node.status({ fill: 'red', shape: 'ring', text: `写入失败: ${err.message}` });
+        node.status({ fill: 'red', shape: 'ring', text: `写入失败: ${formatErrorMessage(err)}` });
         throw err;
       }
     }
 
+    /**
+     * 执行解析后的写入项，返回成功端口的消息：预备消息只记录待确认的值，
+     * 执行消息到达时才连接设备写入
+     */
+    async function executeWrite(msg, writeItems) {
+      if (msg.action === ARM_ACTIONS.ARM) {
+        return armWriteItems(msg, writeItems);
+      }
+
+      await requireConnection(msg, writeItems);
+      await checkWriteSteps(msg, writeItems);
+      consumeArm(msg, writeItems);
+      const result = await writeWithAudit(msg, writeItems);
+      return {
+        payload: result,
+        topic: msg.topic || 'hls-write',
+        originalPayload: msg.payload,
+      };
+    }
+
+    /**
+     * 错误端口的消息，服务端错误保留code、category、retryable等全部字段
+     */
+    function errorOutput(msg, err) {
+      return {
+        payload: {
+          success: false,
+          error:
+            err instanceof HlsError
+              ? err.toJSON()
+              : {
+                  message: err.message,
+                  code: err.code || 'WRITE_ERROR',
+                },
+          timestamp: new Date().toISOString(),
+          operation: 'write',
+        },
+        topic: msg.topic || 'hls-write-error',
+        originalPayload: msg.payload,
+      };
+    }
+
     // 节点输入处理
     node.on('input', async (msg, send, done) => {
       // 兼容Node-RED 0.x
-      send = send || function () { node.send.apply(node, arguments); };
-      done = done || function (err) { if (err) { node.error(err, msg); } };
-
-      try {
-        // 确保设备连接
-        if (!node.connected) {
-          await initializeConnection();
-          if (!node.connected) {
-            done(new Error('设备连接失败'));
-            return;
+      send =
+        send ||
+        function () {
+          node.send.apply(node, arguments);
+        };
+      done =
+        done ||
+        function (err) {
+          if (err) {
+            node.error(err, msg);
           }
-        }
+        };
 
-        // 验证和解析输入消息
-        const writeItems = validateInputMessage(msg);
-        
+      try {
+        // 验证和解析输入消息，无效的消息和违反写入限制的值在连接设备前拒绝
+        const writeItems = parseWriteItems(msg);
         if (writeItems.length === 0) {
           done(new Error('没有有效的写入数据'));
           return;
         }
 
-        // 执行写入操作
-        const result = await performDataWriting(writeItems);
-
-        // 构造输出消息
-        const outputMsg = {
-          payload: result,
-          topic: msg.topic || 'hls-write',
-          originalPayload: msg.payload
-        };
-
-        // 成功输出端口
-        send([outputMsg, null]);
+        send([await executeWrite(msg, writeItems), null]);
         done();
-        
       } catch (err) {
-        node.error(`写入操作失败: ${err.message}`, msg);
-        
-        // 错误输出端口
-        const errorMsg = {
-          payload: {
-            success: false,
-            error: {
-              message: err.message,
-              code: err.code || 'WRITE_ERROR'
-            },
-            timestamp: new Date().toISOString(),
-            operation: 'write'
-          },
-          topic: msg.topic || 'hls-write-error',
-          originalPayload: msg.payload
-        };
-        
-        send([null, errorMsg]);
+        // 服务连接断开时由客户端统一重连，下一条消息到达时设备连接已恢复
+        send([null, errorOutput(msg, err)]);
+        // 错误对象带有code，Catch节点收到的msg.error.code即服务端错误码
         done(err);
-        
-        // 连接失败时尝试重连
-        if (err.message.includes('连接') || err.message.includes('超时')) {
-          node.connected = false;
-          setTimeout(() => {
-            initializeConnection();
-          }, 5000);
-        }
       }
     });
 
     // 节点关闭时清理
     node.on('close', (removed, done) => {
-      if (node.hlsClient) {
-        node.hlsClient.disconnect();
-      }
-      
-      node.log('HLS-Write节点已关闭');
-      done();
+      clearTimeout(node.armTimer);
+      clearTimeout(node.initTimer);
+      node.binding.release().then(() => {
+        node.log('HLS-Write节点已关闭');
+        done();
+      });
     });
 
     // 延迟初始化连接（如果配置了设备ID）
     if (node.deviceId && (node.addresses.length > 0 || node.writeMode === 'message')) {
-      setTimeout(() => {
-        initializeConnection();
+      node.initTimer = setTimeout(() => {
+        node.binding.connect();
       }, 1000);
     }
 
@@ -490,4 +759,27 @@ module.exports = function (RED) {
 
   // 注册节点
   RED.nodes.registerType('hls-write', HLSWriteNode);
+
+  // 运行时API：查询写入审计日志，条件为nodeId、flowId、point、result、from、to、limit，
+  // format为csv或jsonl时作为文件下载
+  RED.httpAdmin.get('/hls-write/audit', RED.auth.needsPermission('hls-write.read'), (req, res) => {
+    const format = req.query.format || 'json';
+    const exporter = AUDIT_EXPORTS[format];
+    if (format !== 'json' && !exporter) {
+      res.status(400).json({ error: `不支持的导出格式: ${format}` });
+      return;
+    }
+    auditLog()
+      .query(req.query)
+      .then(records => {
+        if (!exporter) {
+          res.json(records);
+          return;
+        }
+        res.set('Content-Type', `${exporter.contentType}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="hls-write-audit.${format}"`);
+        res.send(exporter.render(records));
+      })
+      .catch(err => res.status(500).json({ error: `读取审计日志失败: ${err.message}` }));
+  });
 };
@@ -2,62 +2,103 @@
  * Unit tests for HLS-Write Node
  */
 
+/* global before, after */
+
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const helper = require('node-red-node-test-helper');
 const hlsWriteNode = require('../hls-write.js');
+const hlsServiceNode = require('../../hls-service/hls-service.js');
+const hlsDeviceNode = require('../../hls-device/hls-device.js');
+
+// 审计日志默认启用，测试中写入临时的用户目录
+const testUserDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-write-spec-'));
 
 helper.init(require.resolve('node-red'));
 
-describe('HLS-Write Node', function() {
-  beforeEach(function(done) {
+before(function () {
+  helper.settings({ userDir: testUserDir });
+});
+
+after(function () {
+  fs.rmSync(testUserDir, { recursive: true, force: true });
+});
+
+/**
+ * 加载包含写入节点n1的流程并模拟服务端：记录请求和状态文本，
+ * respond未指定或返回undefined时按请求原样返回写入成功
+ */
+function loadWithMock(flow, callback, respond) {
+  helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+    const n1 = helper.getNode('n1');
+    const requests = [];
+    const statuses = [];
+    const client = n1.hlsClient;
+    client.connected = true;
+    client.connectDevice = () =>
+      Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+    client.sendRequest = (command, data) => {
+      requests.push({ command, data });
+      const response = respond && respond(command, data);
+      return response || Promise.resolve({ success: true, data: data.writeItems || [data] });
+    };
+    n1.on('call:status', call => statuses.push(call.args[0].text));
+    callback(n1, requests, statuses);
+  });
+}
+
+describe('HLS-Write Node', function () {
+  beforeEach(function (done) {
     helper.startServer(done);
   });
 
-  afterEach(function(done) {
+  afterEach(function (done) {
     helper.unload();
     helper.stopServer(done);
   });
 
-  it('should be loaded', function(done) {
-    const flow = [{ id: "n1", type: "hls-write", name: "test name" }];
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
+  it('should be loaded', function (done) {
+    const flow = [{ id: 'n1', type: 'hls-write', name: 'test name' }];
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.name, 'test name');
       done();
     });
   });
 
-  it('should initialize with default configuration', function(done) {
+  it('should initialize with default configuration', function (done) {
     const flow = [
+      { id: 's1', type: 'hls-service', host: 'localhost', port: 8888 },
       {
-        id: "n1",
-        type: "hls-write",
-        name: "HLS Write Test",
-        deviceId: "192.168.1.100",
-        server: "localhost",
-        port: 8888,
-        protocol: "ModbusTcp",
+        id: 'n1',
+        type: 'hls-write',
+        name: 'HLS Write Test',
+        deviceId: '192.168.1.100',
+        service: 's1',
+        protocol: 'ModbusTcp',
         devicePort: 502,
         timeout: 5000,
-        writeMode: "message",
+        writeMode: 'message',
         verifyWrites: false,
         addresses: [
           {
-            address: "40001",
-            dataType: "Int16",
-            defaultValue: "100",
-            description: "Setpoint"
-          }
-        ]
-      }
+            address: '40001',
+            dataType: 'Int16',
+            defaultValue: '100',
+            description: 'Setpoint',
+          },
+        ],
+      },
     ];
-    
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
+
+    helper.load([hlsServiceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.name, 'HLS Write Test');
       assert.equal(n1.deviceId, '192.168.1.100');
-      assert.equal(n1.server, 'localhost');
-      assert.equal(n1.port, 8888);
+      assert.equal(n1.service.host, 'localhost');
+      assert.equal(n1.service.port, 8888);
       assert.equal(n1.protocol, 'ModbusTcp');
       assert.equal(n1.writeMode, 'message');
       assert.equal(n1.verifyWrites, false);
@@ -67,28 +108,28 @@ describe('HLS-Write Node', function() {
     });
   });
 
-  it('should validate input message format - address mapping', function(done) {
+  it('should validate input message format - address mapping', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100",
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
         addresses: [
-          { address: "40001", dataType: "Int16" },
-          { address: "40002", dataType: "Float" }
-        ]
-      }
+          { address: '40001', dataType: 'Int16' },
+          { address: '40002', dataType: 'Float' },
+        ],
+      },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Test address mapping format
       const testMessage = {
         payload: {
-          "40001": 100,
-          "40002": 25.5
-        }
+          40001: 100,
+          40002: 25.5,
+        },
       };
 
       // Since we don't have actual HLS service running, we expect connection error
@@ -98,25 +139,25 @@ describe('HLS-Write Node', function() {
     });
   });
 
-  it('should validate input message format - single point write', function(done) {
+  it('should validate input message format - single point write', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100"
-      }
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+      },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Test single point write format
       const testMessage = {
         payload: {
-          address: "40001",
+          address: '40001',
           value: 100,
-          dataType: "Int16"
-        }
+          dataType: 'Int16',
+        },
       };
 
       n1.receive(testMessage);
@@ -124,32 +165,32 @@ describe('HLS-Write Node', function() {
     });
   });
 
-  it('should validate input message format - batch write', function(done) {
+  it('should validate input message format - batch write', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100"
-      }
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+      },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Test batch write format
       const testMessage = {
         payload: [
           {
-            address: "40001",
+            address: '40001',
             value: 100,
-            dataType: "Int16"
+            dataType: 'Int16',
           },
           {
-            address: "40002",
+            address: '40002',
             value: 25.5,
-            dataType: "Float"
-          }
-        ]
+            dataType: 'Float',
+          },
+        ],
       };
 
       n1.receive(testMessage);
@@ -157,59 +198,59 @@ describe('HLS-Write Node', function() {
     });
   });
 
-  it('should handle data type conversion', function(done) {
+  it('should handle data type conversion', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100"
-      }
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+      },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
+
       // Test various data type conversions
       const testMessages = [
         {
-          payload: { address: "00001", value: "true", dataType: "Bool" }
+          payload: { address: '00001', value: 'true', dataType: 'Bool' },
         },
         {
-          payload: { address: "40001", value: "123", dataType: "Int16" }
+          payload: { address: '40001', value: '123', dataType: 'Int16' },
         },
         {
-          payload: { address: "40002", value: "25.5", dataType: "Float" }
+          payload: { address: '40002', value: '25.5', dataType: 'Float' },
         },
         {
-          payload: { address: "40003", value: "Hello", dataType: "String" }
-        }
+          payload: { address: '40003', value: 'Hello', dataType: 'String' },
+        },
       ];
 
       // Send test messages
       testMessages.forEach(msg => {
         n1.receive(msg);
       });
-      
+
       done();
     });
   });
 
-  it('should handle empty payload error', function(done) {
+  it('should handle empty payload error', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100",
-        wires: [[], ["n2"]]
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+        wires: [[], ['n2']],
       },
-      { id: "n2", type: "helper" }
+      { id: 'n2', type: 'helper' },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      const n2 = helper.getNode("n2");
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
+      const n2 = helper.getNode('n2');
 
-      n2.on("input", function(msg) {
+      n2.on('input', function (msg) {
         assert.equal(msg.payload.success, false);
         assert(msg.payload.error);
         assert(msg.payload.error.message.includes('payload不能为空'));
@@ -221,22 +262,22 @@ describe('HLS-Write Node', function() {
     });
   });
 
-  it('should handle missing device connection', function(done) {
+  it('should handle missing device connection', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "",  // Empty device ID
-        wires: [[], ["n2"]]
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '', // Empty device ID
+        wires: [[], ['n2']],
       },
-      { id: "n2", type: "helper" }
+      { id: 'n2', type: 'helper' },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
-      const n2 = helper.getNode("n2");
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
+      const n2 = helper.getNode('n2');
 
-      n2.on("input", function(msg) {
+      n2.on('input', function (msg) {
         assert.equal(msg.payload.success, false);
         assert(msg.payload.error);
         done();
@@ -245,65 +286,961 @@ describe('HLS-Write Node', function() {
       // Send write request without device connection
       n1.receive({
         payload: {
-          address: "40001",
+          address: '40001',
           value: 100,
-          dataType: "Int16"
-        }
+          dataType: 'Int16',
+        },
       });
     });
   });
 
-  it('should support write verification mode', function(done) {
+  it('should support write verification mode', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100",
-        verifyWrites: true
-      }
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+        verifyWrites: true,
+      },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.verifyWrites, true);
       done();
     });
   });
 
-  it('should support different write modes', function(done) {
+  it('should support different write modes', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100",
-        writeMode: "config"
-      }
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+        writeMode: 'config',
+      },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
       assert.equal(n1.writeMode, 'config');
       done();
     });
   });
 
-  it('should have dual output ports for success and error', function(done) {
+  it('should have dual output ports for success and error', function (done) {
     const flow = [
       {
-        id: "n1",
-        type: "hls-write",
-        deviceId: "192.168.1.100",
-        wires: [["n2"], ["n3"]]
+        id: 'n1',
+        type: 'hls-write',
+        deviceId: '192.168.1.100',
+        wires: [['n2'], ['n3']],
       },
-      { id: "n2", type: "helper" },
-      { id: "n3", type: "helper" }
+      { id: 'n2', type: 'helper' },
+      { id: 'n3', type: 'helper' },
     ];
 
-    helper.load(hlsWriteNode, flow, function() {
-      const n1 = helper.getNode("n1");
+    helper.load(hlsWriteNode, flow, function () {
+      const n1 = helper.getNode('n1');
       // Just verify the node loaded with wire configuration
       assert(n1);
       done();
     });
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Tests for engineering-unit scaling
+ */
+describe('HLS-Write Node scaling', function () {
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should write the raw value for an engineering value and send scaling on connect', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [
+          {
+            address: '40001',
+            dataType: 'Int16',
+            unit: '°C',
+            scale: '0.1',
+            offset: '-40',
+            engMax: '120',
+          },
+        ],
+        wires: [['h1'], []],
+      },
+      { id: 'h1', type: 'helper' },
+    ];
+
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const h1 = helper.getNode('h1');
+      const writes = [];
+      let dataPoints;
+      const client = n1.hlsClient;
+      client.connected = true;
+      client.connectDevice = (deviceConfig, points) => {
+        dataPoints = points;
+        return Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+      };
+      client.sendRequest = (command, data) => {
+        writes.push(data);
+        return Promise.resolve({
+          success: true,
+          data: { address: data.address, value: data.value },
+        });
+      };
+
+      h1.on('input', function () {
+        if (writes.length < 2) {
+          return;
+        }
+        try {
+          assert.deepEqual(
+            writes.map(data => data.value),
+            [650, 1600]
+          );
+          assert.equal(dataPoints[0].scale, 0.1);
+          assert.equal(dataPoints[0].unit, '°C');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { 40001: 25 } });
+      setTimeout(() => n1.receive({ payload: { 40001: 200 } }), 50);
+    });
+  });
+});
+
+/**
+ * Tests for byte order, bit and string conversion
+ */
+describe('HLS-Write Node register encoding', function () {
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should split values into registers and modify single bits', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [
+          { address: '40001', dataType: 'Float', byteOrder: 'CDAB' },
+          { address: '40010.3', dataType: 'Bool' },
+        ],
+        wires: [['h1'], []],
+      },
+      { id: 'h1', type: 'helper' },
+    ];
+
+    loadWithMock(
+      flow,
+      function (n1, requests) {
+        helper.getNode('h1').on('input', function () {
+          try {
+            assert.deepEqual(
+              requests.map(request => request.command),
+              ['read', 'writeBatch']
+            );
+            assert.equal(requests[0].data.address, '40010');
+            assert.deepEqual(requests[1].data.writeItems, [
+              { address: '40001', value: 0, dataType: 'Int16' },
+              { address: '40002', value: 0x4148, dataType: 'Int16' },
+              { address: '40010', value: 9, dataType: 'Int16' },
+            ]);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        n1.receive({ payload: { 40001: 12.5, 40010.3: true } });
+      },
+      (command, data) => {
+        if (command === 'read') {
+          return Promise.resolve({
+            success: true,
+            data: { address: data.address, value: 1, success: true },
+          });
+        }
+      }
+    );
+  });
+
+  it('should write arrays to consecutive registers', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [{ address: '40100', dataType: 'Int16', arrayLength: '4', scale: '0.1' }],
+        wires: [['h1'], []],
+      },
+      { id: 'h1', type: 'helper' },
+    ];
+
+    loadWithMock(flow, function (n1, requests) {
+      helper.getNode('h1').on('input', function () {
+        try {
+          assert.deepEqual(requests[0].data.writeItems, [
+            { address: '40100', value: 10, dataType: 'Int16' },
+            { address: '40101', value: -25, dataType: 'Int16' },
+            { address: '40102', value: 300, dataType: 'Int16' },
+          ]);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { 40100: [1, -2.5, 30] } });
+    });
+  });
+});
+
+/**
+ * Tests for 64-bit integer writes
+ */
+describe('HLS-Write Node 64-bit integers', function () {
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should send 64-bit values as strings and reject out-of-range values', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [{ address: '40001', dataType: 'Int64' }],
+        wires: [['h1'], ['h2']],
+      },
+      { id: 'h1', type: 'helper' },
+      { id: 'h2', type: 'helper' },
+    ];
+
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const h2 = helper.getNode('h2');
+      const writes = [];
+      const client = n1.hlsClient;
+      client.connected = true;
+      client.connectDevice = () =>
+        Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+      client.sendRequest = (command, data) => {
+        writes.push(data);
+        return Promise.resolve({
+          success: true,
+          data: { address: data.address, value: data.value },
+        });
+      };
+
+      h2.on('input', function (msg) {
+        try {
+          assert.deepEqual(
+            writes.map(data => data.value),
+            ['9007199254740993']
+          );
+          assert.equal(msg.payload.error.code, '3009');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { 40001: '9007199254740993' } });
+      setTimeout(() => n1.receive({ payload: { 40001: 9223372036854775808n } }), 50);
+    });
+  });
+});
+
+/**
+ * Tests for config-driven write mode
+ */
+describe('HLS-Write Node config mode', function () {
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'n1',
+      type: 'hls-write',
+      device: 'd1',
+      writeMode: 'config',
+      addresses: [
+        { address: '40010', dataType: 'Int16', name: 'SetPoint1', defaultValue: '30' },
+        { address: '40011', dataType: 'Float', name: 'SetPoint2', defaultValue: '25.5' },
+        { address: '40012', dataType: 'Int16', name: 'Manual', defaultValue: '' },
+      ],
+      wires: [['h1'], ['h2']],
+    },
+    { id: 'h1', type: 'helper' },
+    { id: 'h2', type: 'helper' },
+  ];
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should write the configured default values on any input', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      helper.getNode('h1').on('input', function (msg) {
+        try {
+          assert.equal(requests[0].command, 'writeBatch');
+          assert.deepEqual(requests[0].data.writeItems, [
+            { address: '40010', value: 30, dataType: 'Int16' },
+            { address: '40011', value: 25.5, dataType: 'Float' },
+          ]);
+          assert.equal(msg.payload.success, true);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: 1700000000000 });
+    });
+  });
+
+  it('should override individual points by name', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      helper.getNode('h1').on('input', function () {
+        try {
+          assert.deepEqual(
+            requests[0].data.writeItems.map(item => [item.address, item.value]),
+            [
+              ['40010', 30],
+              ['40011', 12.5],
+              ['40012', 7],
+            ]
+          );
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { SetPoint2: 12.5, Manual: '7' } });
+    });
+  });
+
+  it('should reject unknown point names without writing', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      helper.getNode('h2').on('input', function (msg) {
+        try {
+          assert.equal(requests.length, 0);
+          assert.ok(msg.payload.error.message.includes('Unknown'));
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { SetPoint1: 40, Unknown: 1 } });
+    });
+  });
+});
+
+/**
+ * Tests for per-point write limits
+ */
+describe('HLS-Write Node write limits', function () {
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should reject values outside the limits before touching the device', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [
+          { address: '40001', dataType: 'Int16', name: 'SetPoint', writeMin: '10', writeMax: '80' },
+          { address: '40002', dataType: 'Int16', name: 'Mode', allowedValues: '0,1,2' },
+        ],
+        wires: [['h1'], ['h2']],
+      },
+      { id: 'h1', type: 'helper' },
+      { id: 'h2', type: 'helper' },
+    ];
+
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const h2 = helper.getNode('h2');
+      const calls = [];
+      const client = n1.hlsClient;
+      client.connected = false;
+      client.connectDevice = () => {
+        calls.push('connect');
+        return Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+      };
+      client.sendRequest = command => {
+        calls.push(command);
+        return Promise.resolve({ success: true, data: [] });
+      };
+
+      h2.on('input', function (msg) {
+        try {
+          assert.deepEqual(calls, []);
+          assert.equal(msg.payload.error.code, '3010');
+          assert.deepEqual(msg.payload.error.point, {
+            address: '40001',
+            name: 'SetPoint',
+            value: 65535,
+            rule: 'max',
+            limit: 80,
+          });
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { 40002: 1, 40001: 65535 } });
+    });
+  });
+
+  it('should apply the limits to numeric addresses', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [
+          { address: '40001', dataType: 'Int16', name: 'SetPoint', writeMin: '10', writeMax: '80' },
+        ],
+        wires: [['h1'], ['h2']],
+      },
+      { id: 'h1', type: 'helper' },
+      { id: 'h2', type: 'helper' },
+    ];
+
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const calls = [];
+      const client = n1.hlsClient;
+      client.connected = true;
+      client.connectDevice = () =>
+        Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+      client.sendRequest = command => {
+        calls.push(command);
+        return Promise.resolve({ success: true, data: [] });
+      };
+
+      helper.getNode('h2').on('input', function (msg) {
+        try {
+          assert.deepEqual(calls, []);
+          assert.equal(msg.payload.error.code, '3010');
+          assert.equal(msg.payload.error.point.address, '40001');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { address: 40001, value: 65535 } });
+    });
+  });
+
+  it('should check the step against the current device value before writing', function (done) {
+    const flow = [
+      { id: 's1', type: 'hls-service' },
+      { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+      {
+        id: 'n1',
+        type: 'hls-write',
+        device: 'd1',
+        addresses: [{ address: '40001', dataType: 'Int16', name: 'SetPoint', maxStep: '5' }],
+        wires: [['h1'], ['h2']],
+      },
+      { id: 'h1', type: 'helper' },
+      { id: 'h2', type: 'helper' },
+    ];
+
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const writes = [];
+      const client = n1.hlsClient;
+      let current = { address: '40001', value: 50, success: true };
+      client.connected = true;
+      client.connectDevice = () =>
+        Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+      client.sendRequest = (command, data) => {
+        if (command === 'readBatch') {
+          return current
+            ? Promise.resolve({ success: true, data: [current] })
+            : Promise.reject(new Error('读取超时'));
+        }
+        writes.push(data.value);
+        return Promise.resolve({
+          success: true,
+          data: { address: data.address, value: data.value },
+        });
+      };
+      n1.warn = () => {};
+
+      const rules = [];
+      helper.getNode('h2').on('input', function (msg) {
+        rules.push(msg.payload.error.point.rule);
+        if (rules.length === 1) {
+          // 设备读取失败时无法确认变化量
+          current = null;
+          n1.receive({ payload: { address: '40001', value: 52 } });
+          return;
+        }
+        try {
+          assert.deepEqual(writes, [54]);
+          assert.deepEqual(rules, ['maxStep', 'maxStep']);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      helper.getNode('h1').on('input', function () {
+        n1.receive({ payload: { address: '40001', value: 70 } });
+      });
+
+      n1.receive({ payload: { address: '40001', value: 54 } });
+    });
+  });
+});
+
+/**
+ * Tests for writing points by name
+ */
+describe('HLS-Write Node point names', function () {
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'n1',
+      type: 'hls-write',
+      device: 'd1',
+      addresses: [
+        { address: '40001', dataType: 'Int16', name: 'Setpoint_Zone1', scale: '0.1' },
+        { address: '40002', dataType: 'Int16', name: 'Mode' },
+      ],
+      wires: [['h1'], ['h2']],
+    },
+    { id: 'h1', type: 'helper' },
+    { id: 'h2', type: 'helper' },
+  ];
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should resolve names to configured points and echo name and address', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      const outputs = [];
+      helper.getNode('h1').on('input', function (msg) {
+        outputs.push(msg.payload.results);
+        if (outputs.length < 2) {
+          return;
+        }
+        try {
+          assert.deepEqual(requests[0].data.writeItems, [
+            { address: '40001', value: 650, dataType: 'Int16' },
+            { address: '40002', value: 1, dataType: 'Int16' },
+          ]);
+          assert.deepEqual(
+            outputs[0].map(item => [item.name, item.address]),
+            [
+              ['Setpoint_Zone1', '40001'],
+              ['Mode', '40002'],
+            ]
+          );
+          assert.deepEqual([requests[1].data.address, requests[1].data.value], ['40002', 2]);
+          assert.deepEqual([outputs[1][0].name, outputs[1][0].address], ['Mode', '40002']);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { Setpoint_Zone1: 65, Mode: 1 } });
+      setTimeout(() => n1.receive({ payload: [{ name: 'Mode', value: 2 }] }), 50);
+    });
+  });
+
+  it('should reject unknown names without writing', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      helper.getNode('h2').on('input', function (msg) {
+        try {
+          assert.equal(requests.length, 0);
+          assert.equal(msg.payload.error.code, '3001');
+          assert.equal(msg.payload.error.resourceId, 'Setpoint_Zone9');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { name: 'Setpoint_Zone9', value: 65 } });
+    });
+  });
+});
+
+/**
+ * Tests for two-step arm/execute confirmation
+ */
+describe('HLS-Write Node arm and execute', function () {
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'n1',
+      type: 'hls-write',
+      device: 'd1',
+      armWindow: '0.1',
+      addresses: [
+        { address: '40001', dataType: 'Int16', name: 'MotorStart', requireArm: true },
+        { address: '40002', dataType: 'Int16', name: 'SetPoint' },
+      ],
+      wires: [['h1'], ['h2']],
+    },
+    { id: 'h1', type: 'helper' },
+    { id: 'h2', type: 'helper' },
+  ];
+
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  it('should write only after an arm and a matching execute', function (done) {
+    loadWithMock(flow, function (n1, requests, statuses) {
+      const outputs = [];
+      helper.getNode('h1').on('input', function (msg) {
+        outputs.push(msg.payload);
+        if (outputs.length === 1) {
+          try {
+            assert.equal(msg.payload.operation, 'arm');
+            assert.deepEqual(msg.payload.armed, [
+              { address: '40001', name: 'MotorStart', value: 1 },
+            ]);
+            assert.equal(requests.length, 0);
+            assert.ok(statuses.includes('已预备 1 个点位，等待执行'));
+          } catch (err) {
+            done(err);
+            return;
+          }
+          n1.receive({ action: 'execute', payload: { MotorStart: 1 } });
+          return;
+        }
+        try {
+          assert.equal(msg.payload.operation, 'write');
+          assert.deepEqual([requests[0].data.address, requests[0].data.value], ['40001', 1]);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ action: 'arm', payload: { MotorStart: 1 } });
+    });
+  });
+
+  it('should reject unarmed and expired executes', function (done) {
+    loadWithMock(flow, function (n1, requests, statuses) {
+      const errors = [];
+      helper.getNode('h2').on('input', function (msg) {
+        errors.push(msg.payload.error);
+        if (errors.length < 2) {
+          return;
+        }
+        try {
+          assert.equal(requests.length, 0);
+          assert.deepEqual(
+            errors.map(error => [error.code, error.details[0].reason]),
+            [
+              ['3011', 'notArmed'],
+              ['3011', 'expired'],
+            ]
+          );
+          assert.ok(statuses.includes('预备已过期'));
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { 40001: 1, 40002: 5 } });
+      n1.receive({ action: 'arm', payload: { 40001: 1 } });
+      setTimeout(() => n1.receive({ action: 'execute', payload: { 40001: 1 } }), 150);
+    });
+  });
+
+  it('should keep the arm when the execute cannot connect to the device', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      const client = n1.hlsClient;
+      const connect = client.connectDevice;
+      client.connectDevice = () => Promise.reject(new Error('设备无响应'));
+      n1.error = () => {};
+
+      helper.getNode('h2').on('input', function (msg) {
+        try {
+          assert.equal(msg.payload.error.message, '设备连接失败');
+          assert.equal(n1.arming.armedCount(), 1);
+        } catch (err) {
+          done(err);
+          return;
+        }
+        client.connectDevice = connect;
+        n1.receive({ action: 'execute', payload: { MotorStart: 1 } });
+      });
+      helper.getNode('h1').on('input', function (msg) {
+        if (msg.payload.operation === 'arm') {
+          n1.receive({ action: 'execute', payload: { MotorStart: 1 } });
+          return;
+        }
+        try {
+          assert.deepEqual([requests[0].data.address, requests[0].data.value], ['40001', 1]);
+          assert.equal(n1.arming.armedCount(), 0);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ action: 'arm', payload: { MotorStart: 1 } });
+    });
+  });
+
+  it('should reject executes on a guarded point given a numeric address', function (done) {
+    loadWithMock(flow, function (n1, requests) {
+      helper.getNode('h2').on('input', function (msg) {
+        try {
+          assert.equal(requests.length, 0);
+          assert.equal(msg.payload.error.code, '3011');
+          assert.deepEqual(msg.payload.error.details, [
+            { address: '40001', name: 'MotorStart', reason: 'notArmed' },
+          ]);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ action: 'execute', payload: { address: 40001, value: 1 } });
+    });
+  });
+});
+
+/**
+ * Tests for the write audit log
+ */
+describe('HLS-Write Node audit log', function () {
+  let userDir;
+
+  const flow = [
+    { id: 's1', type: 'hls-service' },
+    { id: 'd1', type: 'hls-device', service: 's1', host: '192.168.1.10' },
+    {
+      id: 'n1',
+      type: 'hls-write',
+      z: 'f1',
+      device: 'd1',
+      // 旧版本的auditLog选项被忽略，写入节点总是记录审计日志
+      auditLog: false,
+      auditReadBefore: true,
+      addresses: [
+        { address: '40001', dataType: 'Int16', name: 'SetPoint', scale: '0.1', writeMax: '80' },
+      ],
+      wires: [['h1'], ['h2']],
+    },
+    { id: 'h1', type: 'helper' },
+    { id: 'h2', type: 'helper' },
+  ];
+
+  beforeEach(function (done) {
+    userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-write-audit-'));
+    helper.settings({ userDir });
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.settings({ userDir: testUserDir });
+    helper.unload();
+    helper.stopServer(() => {
+      fs.rmSync(userDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('should record writes with previous values and rejections, and export them', function (done) {
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const client = n1.hlsClient;
+      client.connected = true;
+      client.connectDevice = () =>
+        Promise.resolve({ success: true, data: { connectionId: 'conn-1' } });
+      client.sendRequest = (command, data) => {
+        if (command === 'readBatch') {
+          return Promise.resolve({
+            success: true,
+            data: [{ address: '40001', value: 500, success: true }],
+          });
+        }
+        return Promise.resolve({
+          success: true,
+          data: { address: data.address, value: data.value },
+        });
+      };
+
+      function checkExports() {
+        helper
+          .request()
+          .get('/hls-write/audit?nodeId=n1')
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            try {
+              assert.deepEqual(
+                res.body.map(record => [
+                  record.operation,
+                  record.name,
+                  record.previousValue,
+                  record.value,
+                  record.result,
+                  record.errorCode,
+                ]),
+                [
+                  ['write', 'SetPoint', 50, 65, 'success', undefined],
+                  ['write', 'SetPoint', undefined, 90, 'rejected', '3010'],
+                ]
+              );
+              assert.deepEqual([res.body[0].flowId, res.body[0].source], ['f1', 'HMI-1']);
+            } catch (assertion) {
+              return done(assertion);
+            }
+            helper
+              .request()
+              .get('/hls-write/audit?format=csv&result=rejected')
+              .expect(200)
+              .end((csvErr, csv) => {
+                if (csvErr) {
+                  return done(csvErr);
+                }
+                try {
+                  assert.ok(csv.headers['content-type'].startsWith('text/csv'));
+                  assert.equal(csv.text.trim().split('\r\n').length, 2);
+                  helper.request().get('/hls-write/audit?format=xml').expect(400, done);
+                } catch (assertion) {
+                  done(assertion);
+                }
+              });
+          });
+      }
+
+      helper.getNode('h1').on('input', function () {
+        n1.receive({ payload: { SetPoint: 90 } });
+      });
+      helper.getNode('h2').on('input', function () {
+        checkExports();
+      });
+
+      n1.receive({ payload: { SetPoint: 65 }, source: 'HMI-1' });
+    });
+  });
+  it('should record writes that fail to connect to the device', function (done) {
+    helper.load([hlsServiceNode, hlsDeviceNode, hlsWriteNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const client = n1.hlsClient;
+      client.connected = true;
+      client.connectDevice = () => Promise.reject(new Error('设备无响应'));
+      n1.error = () => {};
+
+      helper.getNode('h2').on('input', function (msg) {
+        try {
+          assert.equal(msg.payload.error.message, '设备连接失败');
+        } catch (assertion) {
+          return done(assertion);
+        }
+        helper
+          .request()
+          .get('/hls-write/audit?nodeId=n1')
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            try {
+              assert.deepEqual(
+                res.body.map(record => [
+                  record.name,
+                  record.value,
+                  record.result,
+                  record.errorCode,
+                ]),
+                [['SetPoint', 65, 'failed', 'IPC_CONNECTION_FAILED']]
+              );
+              done();
+            } catch (assertion) {
+              done(assertion);
+            }
+          });
+      });
+
+      n1.receive({ payload: { SetPoint: 65 } });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * HLS Audit
+ * 写入操作的审计日志：每条记录为一个数据点的一次控制操作，以JSON Lines格式追加到文件末尾，
+ * 不提供修改或删除记录的接口。同一文件的所有节点共用一个实例，追加按调用顺序串行执行
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+// 记录字段，也是CSV导出的列顺序
+const AUDIT_FIELDS = [
+  'timestamp',
+  'flowId',
+  'nodeId',
+  'nodeName',
+  'msgId',
+  'topic',
+  'source',
+  'operation',
+  'address',
+  'name',
+  'previousValue',
+  'value',
+  'result',
+  'errorCode',
+  'errorMessage',
+];
+
+// 操作结果
+const AUDIT_RESULTS = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+  ARMED: 'armed',
+};
+
+// 查询未指定limit时最多返回的记录数
+const DEFAULT_QUERY_LIMIT = 1000;
+
+const logs = new Map();
+
+/**
+ * BigInt以十进制字符串记录，Buffer记录为{type:'Buffer',data}
+ */
+function serialize(record) {
+  return JSON.stringify(record, (key, value) =>
+    typeof value === 'bigint' ? value.toString() : value
+  );
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+}
+
+function timeOf(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// 查询条件，未提供的条件不过滤
+const FILTERS = [
+  (record, filter) => !filter.nodeId || record.nodeId === filter.nodeId,
+  (record, filter) => !filter.flowId || record.flowId === filter.flowId,
+  (record, filter) =>
+    !filter.point || record.address === filter.point || record.name === filter.point,
+  (record, filter) => !filter.result || record.result === filter.result,
+  (record, filter) =>
+    timeOf(filter.from) === null || timeOf(record.timestamp) >= timeOf(filter.from),
+  (record, filter) => timeOf(filter.to) === null || timeOf(record.timestamp) <= timeOf(filter.to),
+];
+
+function queryLimit(filter) {
+  return parseInt(filter.limit) > 0 ? parseInt(filter.limit) : DEFAULT_QUERY_LIMIT;
+}
+
+function matches(record, filter) {
+  return FILTERS.every(test => test(record, filter));
+}
+
+/**
+ * 按条件过滤记录，保留最近的limit条，按时间先后排列
+ * @param {Object} filter - nodeId、flowId、point（地址或名称）、result、from、to（ISO时间）、limit
+ */
+function filterRecords(records, filter = {}) {
+  return records.filter(record => matches(record, filter)).slice(-queryLimit(filter));
+}
+
+/**
+ * CSV单元格：以=、+、-、@开头的字符串（如消息中的topic、name）会被电子表格当作公式执行，加'前缀
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? serialize(value) : String(value);
+  const safe = typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * 导出为CSV，第一行为字段名，对象和数组值以JSON表示
+ */
+function toCsv(records) {
+  const rows = records.map(record => AUDIT_FIELDS.map(field => csvCell(record[field])).join(','));
+  return [AUDIT_FIELDS.join(',')]
+    .concat(rows)
+    .map(row => `${row}\r\n`)
+    .join('');
+}
+
+/**
+ * 导出为JSON Lines，每行一条记录
+ */
+function toJsonLines(records) {
+  return records.map(record => `${serialize(record)}\n`).join('');
+}
+
+/**
+ * 追加写入的审计日志文件
+ */
+class AuditLog {
+  /**
+   * @param {string} file - 日志文件路径，不存在时在第一次追加时创建
+   */
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 按文件路径共用实例，保证同一文件的追加不交错
+   */
+  static acquire(file) {
+    if (!logs.has(file)) {
+      logs.set(file, new AuditLog(file));
+    }
+    return logs.get(file);
+  }
+
+  /**
+   * 追加记录，前一次追加失败不影响后续追加
+   * @param {Array} records - 审计记录，字段见AUDIT_FIELDS
+   */
+  append(records) {
+    const lines = toJsonLines(records);
+    const write = this.queue.then(() => fs.promises.appendFile(this.file, lines, 'utf8'));
+    this.queue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * 逐行读取记录并按条件过滤，只保留最近的limit条，不把整个文件读入内存。
+   * 等待已提交的追加完成，文件不存在时返回空数组，无法解析的行（如写入中断的最后一行）被跳过
+   */
+  async query(filter = {}) {
+    await this.queue;
+    const handle = await this.open();
+    if (!handle) {
+      return [];
+    }
+    const limit = queryLimit(filter);
+    const matched = [];
+    const lines = readline.createInterface({
+      input: handle.createReadStream({ encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+    try {
+      for await (const line of lines) {
+        const record = line.trim() === '' ? null : parseLine(line);
+        if (record !== null && matches(record, filter)) {
+          matched.push(record);
+          if (matched.length > limit) {
+            matched.shift();
+          }
+        }
+      }
+    } finally {
+      lines.close();
+      await handle.close().catch(() => {});
+    }
+    return matched;
+  }
+
+  async open() {
+    try {
+      return await fs.promises.open(this.file, 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  AUDIT_FIELDS,
+  AUDIT_RESULTS,
+  filterRecords,
+  toCsv,
+  toJsonLines,
+  AuditLog,
+};
@@ -0,0 +1,171 @@
+/**
+ * HLS Batch
+ * 大量数据点的分批读取：拆分为不超过服务端上限的批次，连续的Modbus寄存器放在同一批次，
+ * 按并发上限执行后按配置顺序重新组合结果
+ */
+
+const { extractResults } = require('./hls-quality');
+
+// 服务端readBatch单次请求的数据点上限
+const MAX_BATCH_SIZE = 100;
+
+// 默认同时进行的批次请求数
+const DEFAULT_CONCURRENCY = 2;
+
+// 服务端可以把连续寄存器合并为一次读取的协议
+const RANGE_PROTOCOLS = ['ModbusTcp'];
+
+/**
+ * 纯数字的Modbus寄存器地址返回数值，带前缀等其他格式返回null
+ */
+function registerOf(address) {
+  return /^\d+$/.test(String(address)) ? parseInt(address, 10) : null;
+}
+
+/**
+ * 把地址分成连续地址段：寄存器地址按数值排序后相邻的归为一段，其他地址各自成段
+ */
+function groupRanges(addresses) {
+  const registers = [];
+  const others = [];
+  addresses.forEach(address => {
+    const register = registerOf(address);
+    if (register === null) {
+      others.push([address]);
+    } else {
+      registers.push({ address, register });
+    }
+  });
+
+  registers.sort((a, b) => a.register - b.register);
+  const ranges = [];
+  registers.forEach((item, index) => {
+    const previous = registers[index - 1];
+    if (previous && item.register - previous.register <= 1) {
+      ranges[ranges.length - 1].push(item.address);
+    } else {
+      ranges.push([item.address]);
+    }
+  });
+  return ranges.concat(others);
+}
+
+/**
+ * 拆分批次，重复地址只读取一次
+ * @param {Array} addresses - 按配置顺序排列的地址
+ * @param {Object} options - maxBatchSize每批上限（不超过100）；protocol设备协议，Modbus协议下连续寄存器尽量放在同一批次
+ * @returns {Array} 地址批次列表
+ */
+function planBatches(addresses, options = {}) {
+  const maxBatchSize = Math.min(options.maxBatchSize || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+  const unique = Array.from(new Set(addresses));
+  const ranges = RANGE_PROTOCOLS.includes(options.protocol)
+    ? groupRanges(unique)
+    : unique.map(address => [address]);
+
+  const batches = [];
+  let current = [];
+  ranges.forEach(range => {
+    // 放不下整段时换下一批，超过批次上限的长段按上限切分
+    if (current.length > 0 && current.length + range.length > maxBatchSize) {
+      batches.push(current);
+      current = [];
+    }
+    range.forEach(address => {
+      if (current.length === maxBatchSize) {
+        batches.push(current);
+        current = [];
+      }
+      current.push(address);
+    });
+  });
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+/**
+ * 按并发上限执行任务，结果顺序与任务顺序一致；任一任务失败时整体失败
+ * @param {Array<Function>} tasks - 返回Promise的任务
+ * @param {number} concurrency - 同时执行的任务数
+ */
+async function runWithConcurrency(tasks, concurrency = DEFAULT_CONCURRENCY) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, tasks.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * 读取一个批次，请求失败时返回该批次每个地址的失败结果，保留其他批次的结果
+ */
+async function readBatchSafely(readBatch, batch) {
+  try {
+    const response = await readBatch(batch);
+    if (response.success && response.data) {
+      return response;
+    }
+    throw response.error || new Error('数据读取失败');
+  } catch (err) {
+    const error = { code: err.code, message: err.message || '数据读取失败' };
+    return {
+      success: false,
+      failure: err,
+      data: batch.map(address => ({ address, success: false, error })),
+    };
+  }
+}
+
+/**
+ * 分批读取并按配置顺序重新组合为一个结果；部分批次失败时这些数据点标记为读取失败，全部失败时抛出错误
+ * @param {Function} readBatch - readBatch(addresses)返回服务端响应，response.data为结果数组
+ * @param {Array} addresses - 按配置顺序排列的地址
+ * @param {Object} options - maxBatchSize、protocol、concurrency
+ * @returns {Object} {success, data, timestamp}，data与addresses顺序一致
+ */
+async function readInBatches(readBatch, addresses, options = {}) {
+  const batches = planBatches(addresses, options);
+  const responses = await runWithConcurrency(
+    batches.map(batch => () => readBatchSafely(readBatch, batch)),
+    options.concurrency || DEFAULT_CONCURRENCY
+  );
+
+  const failed = responses.find(response => !response.success);
+  if (failed && responses.every(response => !response.success)) {
+    throw failed.failure instanceof Error ? failed.failure : new Error('数据读取失败');
+  }
+
+  const items = new Map();
+  let timestamp;
+  responses.forEach(response => {
+    timestamp = timestamp || response.timestamp;
+    extractResults(response).forEach(item => items.set(item.address, item));
+  });
+
+  return {
+    success: true,
+    data: addresses.filter(address => items.has(address)).map(address => items.get(address)),
+    timestamp,
+  };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  DEFAULT_CONCURRENCY,
+  planBatches,
+  runWithConcurrency,
+  readInBatches,
+};
@@ -0,0 +1,407 @@
+/**
+ * HLS Codec
+ * Modbus寄存器数据的字节序、位、字符串和数组转换。服务端按16位寄存器读写，
+ * 配置了字节序、位号、字符串长度或数组类型的数据点在这里展开为连续寄存器，读取后组合为数值，写入前拆分为寄存器值
+ */
+
+const { HlsError } = require('./hls-errors');
+
+// 字节序：A为最高字节，按寄存器顺序排列
+const BYTE_ORDERS = {
+  ABCD: 'ABCD',
+  CDAB: 'CDAB',
+  BADC: 'BADC',
+  DCBA: 'DCBA',
+};
+
+// 字符串编码
+const STRING_ENCODINGS = ['ascii', 'utf8', 'utf16le', 'latin1'];
+
+// 各数据类型占用的寄存器数，raw为不转换的原始寄存器
+const REGISTER_COUNTS = {
+  raw: 1,
+  bool: 1,
+  int16: 1,
+  uint16: 1,
+  int32: 2,
+  uint32: 2,
+  float: 2,
+  int64: 4,
+  uint64: 4,
+  double: 4,
+};
+
+// 转换失败时数据点的错误码
+const ADDRESS_INVALID = '3001';
+const CONVERSION_ERROR = '3007';
+
+/**
+ * 解析寄存器地址，"40010.3"表示寄存器40010的第3位；不是纯数字寄存器地址时返回null
+ */
+function parseAddress(address) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(address));
+  if (!match) {
+    return null;
+  }
+  return { register: match[1], bit: match[2] === undefined ? null : parseInt(match[2], 10) };
+}
+
+/**
+ * 表格中的字节序和字符串参数，未填写时为空
+ */
+function codecSettings(point) {
+  return {
+    byteOrder: point.byteOrder || '',
+    length: parseInt(point.stringLength, 10) || 0,
+    encoding: point.encoding || 'ascii',
+  };
+}
+
+function parseBit(value) {
+  return value === undefined || value === null || value === '' ? null : parseInt(value, 10);
+}
+
+/**
+ * 数据类型和数组长度："Int16[50]"，或数据类型"Int16"加上数据点表中的数组长度；
+ * 不是数组时count为null，原始寄存器类型Raw至少1个寄存器
+ */
+function parseDataType(point) {
+  const dataType = String(point.dataType || 'Int16');
+  const match = /^(\w+)\[(\d+)\]$/.exec(dataType);
+  const elementType = match ? match[1] : dataType;
+  let count = match ? parseInt(match[2], 10) : parseInt(point.arrayLength, 10) || null;
+  if (count === null && elementType.toLowerCase() === 'raw') {
+    count = 1;
+  }
+  return {
+    type: elementType.toLowerCase(),
+    count,
+    dataType: count === null ? elementType : `${elementType}[${count}]`,
+  };
+}
+
+/**
+ * 数据点的转换参数；寄存器地址的数据点配置了字节序、位号、字符串长度或数组类型时返回参数，否则返回null
+ */
+function getCodec(point) {
+  const parsed = parseAddress(point.address);
+  if (!parsed) {
+    return null;
+  }
+
+  const settings = codecSettings(point);
+  const bit = parsed.bit !== null ? parsed.bit : parseBit(point.bit);
+  const { type, count, dataType } = parseDataType(point);
+  const configured =
+    bit !== null ||
+    count !== null ||
+    settings.byteOrder !== '' ||
+    (type === 'string' && settings.length > 0);
+  if (!configured) {
+    return null;
+  }
+
+  return Object.assign(settings, {
+    register: parsed.register,
+    bit,
+    type,
+    count,
+    dataType: bit === null ? dataType : 'Bool',
+    byteOrder: settings.byteOrder || BYTE_ORDERS.ABCD,
+  });
+}
+
+// 转换参数检查：[参数错误的条件, 错误码, 错误信息]
+const CODEC_RULES = [
+  [
+    codec => codec.bit !== null && !(codec.bit >= 0 && codec.bit <= 15),
+    ADDRESS_INVALID,
+    codec => `位号应在0-15之间: ${codec.bit}`,
+  ],
+  [
+    codec => !BYTE_ORDERS[codec.byteOrder],
+    CONVERSION_ERROR,
+    codec => `不支持的字节序: ${codec.byteOrder}`,
+  ],
+  [
+    codec => codec.type === 'string' && !STRING_ENCODINGS.includes(codec.encoding),
+    CONVERSION_ERROR,
+    codec => `不支持的字符串编码: ${codec.encoding}`,
+  ],
+  [
+    codec =>
+      codec.count !== null && (codec.count < 1 || codec.bit !== null || codec.type === 'string'),
+    CONVERSION_ERROR,
+    codec => `不支持的数组类型: ${codec.dataType}`,
+  ],
+  [
+    codec => codec.bit === null && codec.type === 'string' && codec.length === 0,
+    CONVERSION_ERROR,
+    () => '字符串数据点需要配置长度',
+  ],
+  [
+    codec => codec.bit === null && codec.type !== 'string' && !REGISTER_COUNTS[codec.type],
+    CONVERSION_ERROR,
+    codec => `数据类型 ${codec.dataType} 不支持字节序转换`,
+  ],
+];
+
+/**
+ * 参数错误时返回错误信息{code, message}，否则返回null
+ */
+function validateCodec(codec) {
+  const rule = CODEC_RULES.find(([invalid]) => invalid(codec));
+  return rule ? { code: rule[1], message: rule[2](codec) } : null;
+}
+
+/**
+ * 数据点占用的寄存器地址，保持原地址的位数（如"00001"）
+ */
+function registersOf(codec) {
+  let count = 1;
+  if (codec.bit === null) {
+    count = codec.type === 'string' ? Math.ceil(codec.length / 2) : REGISTER_COUNTS[codec.type];
+  }
+  if (codec.count !== null) {
+    count *= codec.count;
+  }
+  const start = parseInt(codec.register, 10);
+  const width = codec.register.length;
+  return Array.from({ length: count }, (_, i) => String(start + i).padStart(width, '0'));
+}
+
+/**
+ * 按字节序调整字节顺序：CDAB、DCBA交换寄存器顺序，BADC、DCBA交换寄存器内的两个字节。
+ * 这个调整是自反的，读取和写入使用同一个函数
+ */
+function reorder(bytes, byteOrder) {
+  const words = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    words.push([bytes[i], bytes[i + 1]]);
+  }
+  if (byteOrder === BYTE_ORDERS.CDAB || byteOrder === BYTE_ORDERS.DCBA) {
+    words.reverse();
+  }
+  if (byteOrder === BYTE_ORDERS.BADC || byteOrder === BYTE_ORDERS.DCBA) {
+    words.forEach(word => word.reverse());
+  }
+  return Buffer.from([].concat(...words));
+}
+
+function wordsToBytes(words) {
+  const buffer = Buffer.alloc(words.length * 2);
+  words.forEach((word, i) => buffer.writeUInt16BE(Number(word) & 0xffff, i * 2));
+  return buffer;
+}
+
+function readNumber(buffer, type) {
+  switch (type) {
+    case 'int16':
+      return buffer.readInt16BE(0);
+    case 'bool':
+    case 'uint16':
+      return type === 'bool' ? buffer.readUInt16BE(0) !== 0 : buffer.readUInt16BE(0);
+    case 'int32':
+      return buffer.readInt32BE(0);
+    case 'uint32':
+      return buffer.readUInt32BE(0);
+    case 'float':
+      return buffer.readFloatBE(0);
+    case 'double':
+      return buffer.readDoubleBE(0);
+    case 'int64':
+      return buffer.readBigInt64BE(0);
+    default:
+      return buffer.readBigUInt64BE(0);
+  }
+}
+
+function writeNumber(buffer, type, value) {
+  switch (type) {
+    case 'bool':
+      return buffer.writeUInt16BE(value ? 1 : 0, 0);
+    case 'int16':
+      return buffer.writeInt16BE(value, 0);
+    case 'uint16':
+      return buffer.writeUInt16BE(value, 0);
+    case 'int32':
+      return buffer.writeInt32BE(value, 0);
+    case 'uint32':
+      return buffer.writeUInt32BE(value, 0);
+    case 'float':
+      return buffer.writeFloatBE(value, 0);
+    case 'double':
+      return buffer.writeDoubleBE(value, 0);
+    case 'int64':
+      return buffer.writeBigInt64BE(BigInt(value), 0);
+    default:
+      return buffer.writeBigUInt64BE(BigInt(value), 0);
+  }
+}
+
+/**
+ * 寄存器值组合为数据点的值：数组类型为数组，原始寄存器为Buffer（不调整字节序）
+ * @param {Object} codec - getCodec返回的参数
+ * @param {Array<number>} words - 按地址顺序的寄存器值（有符号或无符号16位）
+ */
+function decodeValue(codec, words) {
+  if (codec.type === 'raw') {
+    return wordsToBytes(words);
+  }
+  if (codec.count !== null) {
+    const size = REGISTER_COUNTS[codec.type];
+    return Array.from({ length: codec.count }, (_, i) =>
+      decodeElement(codec, words.slice(i * size, (i + 1) * size))
+    );
+  }
+  return decodeElement(codec, words);
+}
+
+function decodeElement(codec, words) {
+  if (codec.bit !== null) {
+    return ((Number(words[0]) >> codec.bit) & 1) === 1;
+  }
+
+  const bytes = reorder(wordsToBytes(words), codec.byteOrder);
+  if (codec.type === 'string') {
+    // 字符串以第一个NUL字符结束
+    return bytes
+      .slice(0, codec.length)
+      .toString(codec.encoding)
+      .replace(/\0[\s\S]*$/, '');
+  }
+  return readNumber(bytes, codec.type);
+}
+
+/**
+ * 数据点的值拆分为寄存器值（有符号16位，与服务端按Int16写入一致）。
+ * 数组可以比数组长度短，只写入开头的元素；原始寄存器的值为Buffer或字节数组
+ */
+function encodeValue(codec, value) {
+  if (codec.type === 'raw') {
+    return bytesToWords(Buffer.from(value && value.type === 'Buffer' ? value.data : value));
+  }
+  if (codec.count === null) {
+    return encodeElement(codec, value);
+  }
+  if (!Array.isArray(value) || value.length > codec.count) {
+    throw new HlsError(`${codec.dataType} 的写入值应为长度不超过 ${codec.count} 的数组`, {
+      code: CONVERSION_ERROR,
+    });
+  }
+  return [].concat(...value.map(element => encodeElement(codec, element)));
+}
+
+function bytesToWords(bytes) {
+  const words = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    words.push(i + 1 < bytes.length ? bytes.readInt16BE(i) : (bytes[i] << 24) >> 16);
+  }
+  return words;
+}
+
+function encodeElement(codec, value) {
+  let bytes;
+  if (codec.type === 'string') {
+    bytes = Buffer.alloc(registersOf(codec).length * 2);
+    Buffer.from(String(value), codec.encoding).copy(bytes, 0, 0, codec.length);
+  } else {
+    bytes = Buffer.alloc(REGISTER_COUNTS[codec.type] * 2);
+    writeNumber(bytes, codec.type, value);
+  }
+
+  return bytesToWords(reorder(bytes, codec.byteOrder));
+}
+
+/**
+ * 修改寄存器值中的一位，返回有符号16位寄存器值
+ */
+function setBit(word, bit, value) {
+  const mask = 1 << bit;
+  const result = value ? Number(word) | mask : Number(word) & ~mask;
+  return (result << 16) >> 16;
+}
+
+/**
+ * 把读取地址展开为寄存器地址
+ * @param {Array} addresses - 数据点地址
+ * @param {Map} points - 按地址索引的数据点配置
+ * @returns {Object} {addresses: 实际读取的地址, codecs: 需要组合的数据点, errors: 参数错误的数据点}
+ */
+function planRegisterReads(addresses, points) {
+  const plan = { addresses: [], codecs: new Map(), errors: new Map() };
+  const add = address => {
+    if (!plan.addresses.includes(address)) {
+      plan.addresses.push(address);
+    }
+  };
+
+  addresses.forEach(address => {
+    const codec = getCodec(Object.assign({ address }, points.get(address), { address }));
+    if (!codec) {
+      add(address);
+      return;
+    }
+    const error = validateCodec(codec);
+    if (error) {
+      plan.errors.set(address, error);
+      return;
+    }
+    codec.registers = registersOf(codec);
+    plan.codecs.set(address, codec);
+    codec.registers.forEach(add);
+  });
+  return plan;
+}
+
+/**
+ * 把寄存器读取结果组合为数据点结果，顺序与展开前的地址一致；任一寄存器读取失败时数据点读取失败
+ * @param {Array} addresses - 展开前的数据点地址
+ * @param {Array} results - 服务端逐点结果
+ * @param {Object} plan - planRegisterReads的返回值
+ */
+function decodeResults(addresses, results, plan) {
+  const byAddress = new Map(results.map(result => [result.address, result]));
+  return addresses
+    .map(address => {
+      if (plan.errors.has(address)) {
+        return { address, value: null, success: false, error: plan.errors.get(address) };
+      }
+      const codec = plan.codecs.get(address);
+      if (!codec) {
+        return byAddress.get(address);
+      }
+
+      const registerResults = codec.registers.map(register => byAddress.get(register));
+      const failed = registerResults.find(result => !result || result.success === false);
+      if (failed) {
+        return Object.assign({}, failed, { address, value: null, success: false });
+      }
+      try {
+        const value = decodeValue(
+          codec,
+          registerResults.map(result => result.value)
+        );
+        const dataType = codec.dataType;
+        return Object.assign({}, registerResults[0], { address, value, dataType, success: true });
+      } catch (err) {
+        const error = { code: CONVERSION_ERROR, message: `数据转换失败: ${err.message}` };
+        return { address, value: null, success: false, error };
+      }
+    })
+    .filter(result => result !== undefined);
+}
+
+module.exports = {
+  BYTE_ORDERS,
+  STRING_ENCODINGS,
+  parseAddress,
+  getCodec,
+  validateCodec,
+  registersOf,
+  decodeValue,
+  encodeValue,
+  setBit,
+  planRegisterReads,
+  decodeResults,
+};
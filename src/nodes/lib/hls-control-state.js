@@ -0,0 +1,56 @@
+/**
+ * HLS Control State
+ * hls-read控制消息修改的暂停状态和读取间隔：保存时同时记录编辑器中配置的间隔，
+ * 配置改变（重新部署了新的间隔）后保存的状态作废，避免覆盖编辑器中的修改
+ */
+
+/**
+ * 默认读取间隔和各扫描类的间隔
+ * @param {number} interval - 默认读取间隔（毫秒）
+ * @param {Array} scanClasses - 扫描类定义（name、interval）
+ */
+function intervalsOf(interval, scanClasses = []) {
+  const intervals = {};
+  scanClasses.forEach(scanClass => {
+    intervals[scanClass.name] = parseInt(scanClass.interval);
+  });
+  return { interval, scanClasses: intervals };
+}
+
+function sameIntervals(saved, configured) {
+  if (!saved || saved.interval !== configured.interval) {
+    return false;
+  }
+  const savedNames = Object.keys(saved.scanClasses || {});
+  const names = Object.keys(configured.scanClasses);
+  return (
+    savedNames.length === names.length &&
+    names.every(name => saved.scanClasses[name] === configured.scanClasses[name])
+  );
+}
+
+/**
+ * 构造保存到节点上下文的状态
+ * @param {Object} current - 当前生效的paused、interval、scanClasses
+ * @param {Object} configured - 编辑器配置的间隔，由intervalsOf生成
+ */
+function buildControlState(current, configured) {
+  return Object.assign(
+    { paused: current.paused },
+    intervalsOf(current.interval, current.scanClasses),
+    { configured }
+  );
+}
+
+/**
+ * 保存的状态在编辑器配置未改变时返回，否则（包括没有记录配置的旧状态）返回null
+ */
+function restorableState(state, configured) {
+  return state && sameIntervals(state.configured, configured) ? state : null;
+}
+
+module.exports = {
+  intervalsOf,
+  buildControlState,
+  restorableState,
+};
@@ -0,0 +1,109 @@
+/**
+ * HLS Deadband
+ * 按数据点死区实现例外报告：只输出相对上次输出值变化超过死区的数据点
+ */
+
+// 输出模式
+const OUTPUT_MODES = {
+  ALL: 'all',
+  EXCEPTION: 'exception',
+};
+
+// 死区类型
+const DEADBAND_TYPES = {
+  ABSOLUTE: 'absolute',
+  PERCENT: 'percent',
+};
+
+function isNumeric(value) {
+  return (typeof value === 'number' && isFinite(value)) || typeof value === 'bigint';
+}
+
+// 64位整数（BigInt）按十进制字符串比较
+function serialize(value) {
+  return JSON.stringify(value, (key, element) =>
+    typeof element === 'bigint' ? element.toString() : element
+  );
+}
+
+/**
+ * 判断当前值相对上次输出值的变化是否超过死区
+ * 绝对值死区比较差值；百分比死区按上次输出值的百分比比较，上次输出值为0时任何变化都超过死区。
+ * 非数值类型不使用死区，值不同即视为变化；64位整数（BigInt）的差值精确计算。
+ * @param {*} previous - 上次输出的值
+ * @param {*} current - 当前值
+ * @param {Object} point - 数据点配置，deadband死区大小，deadbandType死区类型
+ */
+function exceedsDeadband(previous, current, point = {}) {
+  if (!isNumeric(previous) || !isNumeric(current) || typeof previous !== typeof current) {
+    return serialize(previous) !== serialize(current);
+  }
+
+  const delta = Math.abs(Number(current - previous));
+  const deadband = parseFloat(point.deadband) || 0;
+  if (deadband <= 0) {
+    return delta !== 0;
+  }
+
+  if (point.deadbandType === DEADBAND_TYPES.PERCENT) {
+    const base = Math.abs(Number(previous));
+    return base === 0 ? delta !== 0 : delta > (base * deadband) / 100;
+  }
+  return delta > deadband;
+}
+
+/**
+ * 例外报告过滤器，记录每个数据点上次输出的值和时间
+ */
+class ExceptionReporter {
+  /**
+   * @param {Array} points - 数据点配置（address、deadband、deadbandType）
+   * @param {Object} options - maxSilence最长静默时间（毫秒），数据点超过该时间未输出时强制输出，0表示不强制
+   */
+  constructor(points = [], options = {}) {
+    this.points = new Map(points.map(point => [point.address, point]));
+    this.maxSilence = options.maxSilence || 0;
+    this.lastReported = new Map();
+  }
+
+  /**
+   * 过滤读取结果，返回需要输出的数据点并记为已输出
+   * 首次读到的数据点、质量变化的数据点和超过最长静默时间的数据点总是输出
+   * @param {Array} items - 读取结果（address、value、quality）
+   * @param {number} now - 当前时间戳（毫秒）
+   */
+  filter(items, now = Date.now()) {
+    return items.filter(item => {
+      if (!this.shouldReport(item, now)) {
+        return false;
+      }
+      this.lastReported.set(item.address, { value: item.value, quality: item.quality, time: now });
+      return true;
+    });
+  }
+
+  shouldReport(item, now) {
+    const last = this.lastReported.get(item.address);
+    if (!last || last.quality !== item.quality) {
+      return true;
+    }
+    if (this.maxSilence > 0 && now - last.time >= this.maxSilence) {
+      return true;
+    }
+    return exceedsDeadband(last.value, item.value, this.points.get(item.address));
+  }
+
+  /**
+   * 清除输出记录，下次读取输出全部数据点
+   */
+  reset() {
+    this.lastReported.clear();
+  }
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  DEADBAND_TYPES,
+  exceedsDeadband,
+  ExceptionReporter,
+};
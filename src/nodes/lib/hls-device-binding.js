@@ -0,0 +1,172 @@
+/**
+ * HLS Device Binding
+ * 读写节点与共享设备连接的公共接线：选择hls-device配置节点或按旧版节点参数创建设备，
+ * 登记数据点、订阅设备连接事件、初始化连接，节点关闭时注销
+ */
+
+const HLSService = require('./hls-service');
+const HLSDevice = require('./hls-device');
+const { scalingFields } = require('./hls-scaling');
+
+/**
+ * 兼容未选择hls-device配置节点的旧流程：按hls-service配置节点或server/port共享服务连接
+ */
+function resolveLegacyService(RED, node, config) {
+  const serviceNode = RED.nodes.getNode(config.service);
+  if (serviceNode) {
+    return serviceNode.service;
+  }
+
+  const service = HLSService.acquire({
+    host: config.server || 'localhost',
+    port: parseInt(config.port) || 8888,
+  });
+  node.warn(`未选择HLS设备配置节点，使用兼容模式连接 ${service.key}`);
+  return service;
+}
+
+/**
+ * 为节点设置共享的设备连接：优先使用hls-device配置节点，旧流程按节点上的设备参数单独连接
+ * @returns {Object|null} 选择的hls-device配置节点
+ */
+function attachDevice(RED, node, config) {
+  const deviceNode = RED.nodes.getNode(config.device);
+  if (deviceNode && deviceNode.device) {
+    node.device = deviceNode.device;
+  } else {
+    node.device = new HLSDevice(resolveLegacyService(RED, node, config), {
+      protocol: config.protocol,
+      host: config.deviceId,
+      port: parseInt(config.devicePort) || 502,
+      timeout: parseInt(config.timeout) || 5000,
+    });
+  }
+  node.service = node.device.service;
+  node.hlsClient = node.service.client;
+
+  // 连接状态
+  node.connected = false;
+  node.connectionId = null;
+
+  // 设备参数（来自hls-device配置节点或旧版节点配置）
+  node.deviceId = node.device.host;
+  node.protocol = node.device.protocol;
+  node.devicePort = node.device.port;
+  node.timeout = node.device.timeout;
+  return deviceNode;
+}
+
+/**
+ * 构造节点需要在设备连接上配置的数据点
+ * @param {Array} addresses - 节点的数据点配置
+ * @param {Object} [fields] - 附加字段，如写入节点的writable
+ */
+function toDataPoints(addresses, fields) {
+  return addresses.map(addr =>
+    Object.assign(
+      {
+        address: addr.address,
+        dataType: addr.dataType || 'Int16',
+        name: addr.description || addr.address,
+      },
+      fields,
+      scalingFields(addr)
+    )
+  );
+}
+
+class DeviceBinding {
+  /**
+   * @param {Object} node - 已由attachDevice设置设备连接的读写节点
+   * @param {Object} [options]
+   * @param {Function} [options.onConnected] - 设备连接建立后调用，默认显示已连接
+   */
+  constructor(node, options = {}) {
+    this.node = node;
+    this.onConnected =
+      options.onConnected || (() => node.status({ fill: 'green', shape: 'dot', text: '已连接' }));
+    this.handlers = {
+      connected: connectionId => this.onDeviceConnected(connectionId),
+      disconnected: () => this.onDeviceDisconnected(),
+      restoreFailed: err => this.onDeviceRestoreFailed(err),
+      configureFailed: err => node.warn(`设备数据点配置失败: ${err.message}`),
+    };
+  }
+
+  /**
+   * 登记节点及其数据点（状态指示与服务连接状态同步），订阅设备连接事件；
+   * 服务断开后由客户端自动重连，设备连接随之恢复
+   */
+  bind(dataPoints) {
+    const { node } = this;
+    node.service.register(node);
+    node.device.register(node, dataPoints);
+    Object.keys(this.handlers).forEach(event => node.device.on(event, this.handlers[event]));
+  }
+
+  /**
+   * 设备连接已建立（本节点或共享设备的其他节点发起）
+   */
+  onDeviceConnected(connectionId) {
+    this.node.connectionId = connectionId;
+    this.node.connected = true;
+    this.onConnected(connectionId);
+  }
+
+  /**
+   * 设备连接失效，等待服务恢复后自动重连
+   */
+  onDeviceDisconnected() {
+    this.node.connected = false;
+    this.node.connectionId = null;
+  }
+
+  /**
+   * 服务恢复后重新连接设备失败
+   */
+  onDeviceRestoreFailed(err) {
+    this.node.status({ fill: 'red', shape: 'ring', text: `连接失败: ${err.message}` });
+    this.node.error(`设备重新连接失败: ${err.message}`);
+  }
+
+  /**
+   * 初始化设备连接，失败时只更新状态并记录错误
+   */
+  async connect() {
+    const { node } = this;
+    try {
+      node.status({ fill: 'yellow', shape: 'ring', text: '连接中...' });
+
+      // 连接设备（多个节点共享同一个connectionId）；设备已连接时不会再触发connected事件
+      this.onDeviceConnected(await node.device.connect());
+      node.log(`成功连接到设备: ${node.deviceId}`);
+    } catch (err) {
+      node.connected = false;
+      node.status({ fill: 'red', shape: 'ring', text: `连接失败: ${err.message}` });
+      node.error(`设备连接失败: ${err.message}`);
+    }
+  }
+
+  /**
+   * 取消订阅并注销节点：只注销本节点，共享连接由设备和服务按引用计数统一管理
+   */
+  async release() {
+    const { node } = this;
+    Object.keys(this.handlers).forEach(event =>
+      node.device.removeListener(event, this.handlers[event])
+    );
+    try {
+      await node.device.deregister(node);
+    } catch (err) {
+      node.error(`注销设备连接失败: ${err.message}`);
+    } finally {
+      node.service.deregister(node);
+    }
+  }
+}
+
+module.exports = {
+  attachDevice,
+  toDataPoints,
+  DeviceBinding,
+};
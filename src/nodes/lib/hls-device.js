@@ -0,0 +1,225 @@
+/**
+ * HLS Device
+ * 一个设备对应HLS服务上的一个connectionId，由引用它的读写节点共享。
+ * 按引用计数管理连接：第一个节点需要时建立连接，最后一个节点注销时断开。
+ * HLS服务重连成功后自动重新建立设备连接，节点可订阅以下事件更新状态：
+ *   connected     - 设备连接建立，参数为connectionId
+ *   disconnected  - 设备连接失效
+ *   restoreFailed - 服务恢复后重新连接设备失败，参数为错误
+ *   configureFailed - 向已连接的设备补充数据点失败，参数为错误
+ */
+
+const EventEmitter = require('events');
+
+class HLSDevice extends EventEmitter {
+  constructor(service, options) {
+    super();
+    // 每个引用设备的节点都订阅事件，节点数不设上限
+    this.setMaxListeners(0);
+    this.service = service;
+    this.protocol = options.protocol || 'ModbusTcp';
+    this.host = options.host || '';
+    this.port = options.port || 502;
+    this.timeout = options.timeout || 5000;
+    this.settings = options.settings || {};
+    this.dataPoints = options.dataPoints || [];
+
+    this.users = new Map();
+    this.connectionId = null;
+    this.connecting = null;
+    // 已配置到当前设备连接上的数据点地址
+    this.configured = new Set();
+
+    // 服务断开时失效的connectionId，重连后尝试在服务端释放
+    this.staleConnectionId = null;
+    // 是否有节点请求过连接，服务恢复时据此决定是否重新连接
+    this.requested = false;
+  }
+
+  get client() {
+    return this.service.client;
+  }
+
+  /**
+   * 登记使用此设备的节点及其数据点
+   */
+  register(node, dataPoints) {
+    this.users.set(node, dataPoints || []);
+    this.service.addDevice(this);
+    if (this.connectionId) {
+      this.configureNewPoints();
+    }
+  }
+
+  /**
+   * 注销节点；最后一个节点注销时断开设备连接
+   */
+  async deregister(node) {
+    this.users.delete(node);
+    if (this.users.size === 0) {
+      this.service.removeDevice(this);
+      await this.disconnect();
+    }
+  }
+
+  /**
+   * 获取设备连接ID，尚未连接时发送connect命令
+   * 并发调用复用同一次连接过程，保证服务端只有一个connectionId
+   */
+  async connect() {
+    if (this.connectionId) {
+      return this.connectionId;
+    }
+
+    this.requested = true;
+    if (!this.connecting) {
+      this.connecting = this.openConnection().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * 发送connect命令建立设备连接
+   */
+  async openConnection() {
+    const deviceConfig = {
+      protocol: this.protocol,
+      host: this.host,
+      port: this.port,
+      timeout: this.timeout,
+      settings: this.settings,
+    };
+
+    const dataPoints = this.getDataPoints();
+    const response = await this.client.connectDevice(deviceConfig, dataPoints);
+    if (!response.success || !response.data || !response.data.connectionId) {
+      throw new Error('设备连接失败');
+    }
+
+    this.connectionId = response.data.connectionId;
+    this.configured = new Set(dataPoints.map(point => point.address));
+    this.emit('connected', this.connectionId);
+    // 连接过程中登记的节点的数据点不在connect命令中
+    this.configureNewPoints();
+    return this.connectionId;
+  }
+
+  /**
+   * 设备已连接后登记的节点的数据点通过configure_datapoints补充到设备连接；
+   * 失败时这些数据点在下次连接时随connect命令发送
+   */
+  async configureNewPoints() {
+    const points = this.getDataPoints().filter(point => !this.configured.has(point.address));
+    if (points.length === 0) {
+      return;
+    }
+
+    points.forEach(point => this.configured.add(point.address));
+    try {
+      await this.client.configureDataPoints({
+        deviceId: this.connectionId,
+        standalonePoints: points,
+      });
+    } catch (err) {
+      points.forEach(point => this.configured.delete(point.address));
+      this.emit('configureFailed', err);
+    }
+  }
+
+  /**
+   * 重新建立设备连接：释放当前connectionId后重新发送connect命令，共享设备的节点通过事件更新状态
+   */
+  async reconnect() {
+    const connectionId = this.connectionId;
+    if (connectionId) {
+      this.connectionId = null;
+      this.emit('disconnected');
+      if (this.client.connected) {
+        try {
+          await this.client.disconnectDevice(connectionId);
+        } catch (err) {
+          // 服务端的连接可能已经失效
+        }
+      }
+    }
+    return this.connect();
+  }
+
+  /**
+   * 服务连接断开，设备连接随之失效
+   */
+  suspend() {
+    if (this.connectionId) {
+      this.staleConnectionId = this.connectionId;
+      this.connectionId = null;
+      this.emit('disconnected');
+    }
+  }
+
+  /**
+   * 服务重连成功后重新建立设备连接
+   * 服务只是网络中断而未重启时，旧connectionId可能仍然有效，先尝试释放以免占用连接数
+   */
+  async restore() {
+    if (this.users.size === 0 || !this.requested || this.connectionId) {
+      return;
+    }
+
+    const staleConnectionId = this.staleConnectionId;
+    this.staleConnectionId = null;
+    if (staleConnectionId) {
+      try {
+        await this.client.disconnectDevice(staleConnectionId);
+      } catch (err) {
+        // 服务重启后旧连接已不存在
+      }
+    }
+
+    try {
+      await this.connect();
+    } catch (err) {
+      this.emit('restoreFailed', err);
+    }
+  }
+
+  /**
+   * 断开设备连接
+   */
+  async disconnect() {
+    const connectionId = this.connectionId;
+    this.connectionId = null;
+    this.staleConnectionId = null;
+    this.requested = false;
+
+    // 服务连接已断开时，服务端的设备连接无法再被本客户端使用
+    if (!connectionId || !this.client.connected) {
+      return;
+    }
+
+    try {
+      await this.client.disconnectDevice(connectionId);
+    } catch (err) {
+      // 断开失败不影响节点关闭
+    }
+  }
+
+  /**
+   * 合并设备点位和各节点的点位，按地址去重
+   */
+  getDataPoints() {
+    const points = new Map();
+    const addPoint = point => {
+      if (point.address && !points.has(point.address)) {
+        points.set(point.address, point);
+      }
+    };
+
+    this.dataPoints.forEach(addPoint);
+    this.users.forEach(dataPoints => dataPoints.forEach(addPoint));
+    return Array.from(points.values());
+  }
+}
+
+module.exports = HLSDevice;
@@ -0,0 +1,203 @@
+/**
+ * HLS Errors
+ * HLS IPC客户端抛出的错误类型，调用方可按类型、code或category区分处理
+ */
+
+/**
+ * 客户端本地错误码，服务端错误码见HlsService/Models/ErrorModels.cs
+ */
+const CLIENT_ERROR_CODES = {
+  CONNECTION_FAILED: 'IPC_CONNECTION_FAILED',
+  CONNECTION_CLOSED: 'IPC_CONNECTION_CLOSED',
+  REQUEST_TIMEOUT: 'IPC_REQUEST_TIMEOUT',
+  // 与服务端ErrorCodes.MESSAGE_TOO_LARGE相同
+  MESSAGE_TOO_LARGE: '5002',
+  // 与服务端ErrorCodes.WRITE_LIMIT_EXCEEDED相同，由hls-write在发送写入命令前检查
+  WRITE_LIMIT_EXCEEDED: '3010',
+  // 与服务端ErrorCodes.WRITE_NOT_ARMED相同，需要两步确认的数据点未预备、预备已过期或值不一致
+  WRITE_NOT_ARMED: '3011',
+  UNKNOWN: 'IPC_UNKNOWN_ERROR',
+};
+
+/**
+ * 错误类别，与服务端错误码分段对应
+ */
+const ERROR_CATEGORIES = {
+  SYSTEM: 'system', // 1xxx 系统级错误
+  DEVICE: 'device', // 2xxx 设备连接错误
+  DATA: 'data', // 3xxx 数据操作错误
+  CONFIGURATION: 'configuration', // 4xxx 配置相关错误
+  IPC: 'ipc', // 5xxx IPC通信错误，以及客户端本地错误
+  UNKNOWN: 'unknown',
+};
+
+const CATEGORY_BY_PREFIX = {
+  1: ERROR_CATEGORIES.SYSTEM,
+  2: ERROR_CATEGORIES.DEVICE,
+  3: ERROR_CATEGORIES.DATA,
+  4: ERROR_CATEGORIES.CONFIGURATION,
+  5: ERROR_CATEGORIES.IPC,
+};
+
+// 服务端向后兼容的字符串错误码
+const LEGACY_CATEGORIES = {
+  INVALID_PARAMETER: ERROR_CATEGORIES.SYSTEM,
+  MISSING_PARAMETER: ERROR_CATEGORIES.SYSTEM,
+  INTERNAL_ERROR: ERROR_CATEGORIES.SYSTEM,
+  DEVICE_NOT_FOUND: ERROR_CATEGORIES.DEVICE,
+  DEVICE_CONNECTION_FAILED: ERROR_CATEGORIES.DEVICE,
+};
+
+// 服务端ErrorType枚举按数字序列化，按顺序映射为名称
+const ERROR_TYPES = [
+  'Unknown',
+  'Validation',
+  'Network',
+  'Timeout',
+  'Authentication',
+  'Authorization',
+  'NotFound',
+  'Conflict',
+  'Internal',
+  'Configuration',
+];
+
+/**
+ * 按错误码获取错误类别
+ */
+function getErrorCategory(code) {
+  const value = String(code || '');
+  if (/^[1-5]\d{3}$/.test(value)) {
+    return CATEGORY_BY_PREFIX[value[0]];
+  }
+  if (value.startsWith('IPC_')) {
+    return ERROR_CATEGORIES.IPC;
+  }
+  return LEGACY_CATEGORIES[value] || ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * 统一错误类型名称，兼容数字和字符串两种序列化方式
+ */
+function normalizeErrorType(type) {
+  if (typeof type === 'number') {
+    return ERROR_TYPES[type] || 'Unknown';
+  }
+  return type || 'Unknown';
+}
+
+/**
+ * 带错误码的错误描述，用于节点状态和日志，例如"[3001] 地址无效"
+ */
+function formatErrorMessage(err) {
+  return err.code ? `[${err.code}] ${err.message}` : err.message;
+}
+
+/**
+ * HLS错误基类，保留服务端error对象的全部字段
+ */
+class HlsError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || CLIENT_ERROR_CODES.UNKNOWN;
+    this.category = getErrorCategory(this.code);
+    this.type = normalizeErrorType(options.type);
+    this.retryable = options.retryable === true;
+    this.retryDelayMs = options.retryDelayMs || null;
+    this.resourceId = options.resourceId || null;
+    this.details = options.details || [];
+    this.command = options.command || null;
+    this.messageId = options.messageId || null;
+  }
+
+  /**
+   * 输出到msg.error或日志的结构化内容
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      code: this.code,
+      category: this.category,
+      type: this.type,
+      retryable: this.retryable,
+      retryDelayMs: this.retryDelayMs,
+      resourceId: this.resourceId,
+      details: this.details,
+      command: this.command,
+    };
+  }
+
+  /**
+   * 由服务端响应中的error对象创建错误
+   */
+  static fromResponse(response, command) {
+    const error = response.error || {};
+    return new HlsError(error.message || '未知错误', {
+      code: error.code,
+      type: error.type,
+      retryable: error.retryable,
+      retryDelayMs: error.retryDelayMs,
+      resourceId: error.resourceId,
+      details: error.details,
+      command,
+      messageId: response.messageId,
+    });
+  }
+}
+
+/**
+ * 无法连接到HLS服务，或请求过程中服务连接断开
+ * 重连由客户端负责，因此不在请求层面重试
+ */
+class HlsConnectionError extends HlsError {
+  constructor(message, options = {}) {
+    super(message, { code: CLIENT_ERROR_CODES.CONNECTION_FAILED, type: 'Network', ...options });
+  }
+}
+
+/**
+ * 在超时时间内未收到服务端响应
+ */
+class HlsTimeoutError extends HlsError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: CLIENT_ERROR_CODES.REQUEST_TIMEOUT,
+      type: 'Timeout',
+      retryable: true,
+      retryDelayMs: 1000,
+      ...options,
+    });
+  }
+}
+
+/**
+ * 写入值违反数据点的写入限制（见lib/hls-write-limits.js），写入命令未发送
+ * point为违反限制的数据点：address、name、value、rule、limit
+ */
+class HlsWriteLimitError extends HlsError {
+  constructor(message, point, options = {}) {
+    super(message, {
+      code: CLIENT_ERROR_CODES.WRITE_LIMIT_EXCEEDED,
+      type: 'Validation',
+      resourceId: point.address,
+      ...options,
+    });
+    this.point = point;
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { point: this.point });
+  }
+}
+
+module.exports = {
+  CLIENT_ERROR_CODES,
+  ERROR_CATEGORIES,
+  getErrorCategory,
+  formatErrorMessage,
+  HlsError,
+  HlsConnectionError,
+  HlsTimeoutError,
+  HlsWriteLimitError,
+};
@@ -0,0 +1,149 @@
+/**
+ * HLS Framing
+ * IPC消息分帧：TCP是字节流，一条响应可能分多次到达，多条响应也可能合并到达。
+ * 支持两种分帧方式，与服务端HlsService/Services/MessageFramer.cs一致：
+ *   - newline：每条JSON消息以'\n'结尾（默认）
+ *   - length：每条JSON消息前带4字节大端长度
+ * 消息不超过1MB，长度前缀的最高字节总是0，接收端据此区分两种方式。
+ */
+
+const FRAMING = {
+  NEWLINE: 'newline',
+  LENGTH: 'length',
+};
+
+// 与服务端ProtocolConstants.MAX_MESSAGE_SIZE一致
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+const LENGTH_PREFIX_SIZE = 4;
+const NEWLINE = 0x0a;
+const WHITESPACE = new Set([0x20, 0x09, 0x0d, 0x0a]);
+
+/**
+ * 消息超出最大长度
+ */
+class FrameTooLargeError extends Error {
+  constructor(size) {
+    super(`消息大小${size}字节超过上限${MAX_MESSAGE_SIZE}字节`);
+    this.name = 'FrameTooLargeError';
+    this.size = size;
+  }
+}
+
+/**
+ * 按分帧方式编码一条消息
+ */
+function encodeFrame(message, framing = FRAMING.NEWLINE) {
+  const payload = Buffer.from(message, 'utf8');
+  if (payload.length > MAX_MESSAGE_SIZE) {
+    throw new FrameTooLargeError(payload.length);
+  }
+
+  if (framing === FRAMING.LENGTH) {
+    const header = Buffer.alloc(LENGTH_PREFIX_SIZE);
+    header.writeUInt32BE(payload.length, 0);
+    return Buffer.concat([header, payload]);
+  }
+
+  return Buffer.concat([payload, Buffer.from([NEWLINE])]);
+}
+
+/**
+ * 消息重组缓冲区
+ * 按字节缓存收到的数据，避免多字节UTF-8字符被拆开后解码出错
+ */
+class FrameDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * 追加收到的数据块，返回其中所有完整的消息
+   * 消息超长时抛出FrameTooLargeError，此后缓冲区内容无法再可靠拆分，调用方应关闭连接
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+    const messages = [];
+    let message;
+    while ((message = this.next()) !== null) {
+      messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * 取出下一条完整消息，数据不足时返回null
+   */
+  next() {
+    this.skipWhitespace();
+    if (this.buffer.length === 0) {
+      return null;
+    }
+
+    return this.buffer[0] === 0 ? this.nextLengthPrefixed() : this.nextNewlineDelimited();
+  }
+
+  nextLengthPrefixed() {
+    if (this.buffer.length < LENGTH_PREFIX_SIZE) {
+      return null;
+    }
+
+    const length = this.buffer.readUInt32BE(0);
+    if (length > MAX_MESSAGE_SIZE) {
+      throw new FrameTooLargeError(length);
+    }
+
+    const end = LENGTH_PREFIX_SIZE + length;
+    if (this.buffer.length < end) {
+      return null;
+    }
+
+    const message = this.buffer.toString('utf8', LENGTH_PREFIX_SIZE, end);
+    this.buffer = this.buffer.subarray(end);
+    return message;
+  }
+
+  nextNewlineDelimited() {
+    const index = this.buffer.indexOf(NEWLINE);
+    if (index === -1) {
+      if (this.buffer.length > MAX_MESSAGE_SIZE) {
+        throw new FrameTooLargeError(this.buffer.length);
+      }
+      return null;
+    }
+
+    if (index > MAX_MESSAGE_SIZE) {
+      throw new FrameTooLargeError(index);
+    }
+
+    const message = this.buffer.toString('utf8', 0, index).replace(/\r$/, '');
+    this.buffer = this.buffer.subarray(index + 1);
+    return message;
+  }
+
+  skipWhitespace() {
+    let index = 0;
+    while (index < this.buffer.length && WHITESPACE.has(this.buffer[index])) {
+      index++;
+    }
+    if (index > 0) {
+      this.buffer = this.buffer.subarray(index);
+    }
+  }
+
+  /**
+   * 清空缓冲区，连接重建时调用
+   */
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
+
+module.exports = {
+  FRAMING,
+  MAX_MESSAGE_SIZE,
+  FrameTooLargeError,
+  FrameDecoder,
+  encodeFrame,
+};
@@ -0,0 +1,116 @@
+/**
+ * HLS Int64
+ * 64位整数的无损处理：IPC消息中以十进制字符串传输，节点输出消息中按配置为BigInt或十进制字符串。
+ * 超过2^53的值用JavaScript数值表示会丢失精度，因此不接受这样的数值写入
+ */
+
+const { HlsError } = require('./hls-errors');
+
+// 输出消息中64位整数的表示
+const INT64_FORMATS = {
+  BIGINT: 'bigint',
+  STRING: 'string',
+};
+
+// 数据类型的取值范围
+const INT64_RANGES = {
+  int64: { min: -(2n ** 63n), max: 2n ** 63n - 1n },
+  uint64: { min: 0n, max: 2n ** 64n - 1n },
+};
+
+const CONVERSION_ERROR = '3007';
+const OUT_OF_RANGE = '3009';
+
+/**
+ * 数组类型"Int64[4]"按元素类型判断
+ * @returns {string|null} 'int64'、'uint64'，不是64位整数类型时返回null
+ */
+function int64Type(dataType) {
+  const type = String(dataType || '')
+    .replace(/\[\d*\]$/, '')
+    .toLowerCase();
+  return INT64_RANGES[type] ? type : null;
+}
+
+function parseBigInt(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new HlsError(`数值 ${value} 超出JavaScript安全整数范围，请以字符串或BigInt提供`, {
+        code: CONVERSION_ERROR,
+      });
+    }
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+    return BigInt(value.trim());
+  }
+  throw new HlsError(`无法转换为64位整数: ${value}`, { code: CONVERSION_ERROR });
+}
+
+/**
+ * 转换为BigInt并检查取值范围
+ * @param {bigint|string|number} value - BigInt、十进制字符串或安全整数
+ * @param {string} dataType - Int64或UInt64
+ */
+function toBigInt(value, dataType) {
+  const type = int64Type(dataType) || 'int64';
+  const number = parseBigInt(value);
+  const range = INT64_RANGES[type];
+  if (number < range.min || number > range.max) {
+    throw new HlsError(`${value} 超出 ${dataType} 的范围 [${range.min}, ${range.max}]`, {
+      code: OUT_OF_RANGE,
+    });
+  }
+  return number;
+}
+
+/**
+ * IPC消息中的64位整数：十进制字符串
+ */
+function toWireValue(value, dataType) {
+  return toBigInt(value, dataType).toString();
+}
+
+/**
+ * 服务端返回的64位整数（字符串或数值）转换为BigInt，数组逐个元素转换，无法转换时原样返回
+ */
+function fromWireValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromWireValue);
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  return typeof value === 'number' && Number.isInteger(value) ? BigInt(value) : value;
+}
+
+/**
+ * 读取结果中64位整数数据点的值转换为BigInt，其他数据类型和读取失败的null原样返回
+ */
+function parseReadValue(value, dataType) {
+  return int64Type(dataType) && value !== null ? fromWireValue(value) : value;
+}
+
+/**
+ * 按输出格式表示BigInt，数组逐个元素转换，其他值原样返回
+ */
+function formatInt64(value, format) {
+  if (Array.isArray(value)) {
+    return value.map(element => formatInt64(element, format));
+  }
+  return typeof value === 'bigint' && format !== INT64_FORMATS.BIGINT ? value.toString() : value;
+}
+
+module.exports = {
+  INT64_FORMATS,
+  INT64_RANGES,
+  int64Type,
+  toBigInt,
+  toWireValue,
+  fromWireValue,
+  parseReadValue,
+  formatInt64,
+};
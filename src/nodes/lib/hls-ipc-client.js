@@ -0,0 +1,732 @@
+/**
+ * HLS IPC Client
+ * 与HLS-Communication服务通信的TCP客户端，多个节点可共享同一实例
+ * 也可在脚本和Function节点中直接使用，所有命令均返回Promise：
+ *
+ *   const HLSIPCClient = require('node-red-contrib-hls-communication/lib/hls-ipc-client');
+ *   const client = new HLSIPCClient({ host: 'localhost', port: 8888 });
+ *   const { data } = await client.connectDevice(deviceConfig, dataPoints);
+ *   const response = await client.readBatchData(data.connectionId, addresses);
+ *   client.disconnect();
+ *
+ * 请求失败时抛出lib/hls-errors.js中定义的错误类型
+ * 消息按换行符分帧，传入framing: 'length'时使用4字节长度前缀，见lib/hls-framing.js
+ *
+ * 连接断开或连接失败后客户端按指数退避自动重连，可通过以下事件跟踪连接状态：
+ *   connected     - 连接建立（包括重连成功）
+ *   disconnected  - 已建立的连接断开
+ *   reconnecting  - 已安排下一次重连，参数为 { attempt, delay }
+ *   reconnected   - 重连成功，参数为 { attempts }
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const {
+  CLIENT_ERROR_CODES,
+  HlsError,
+  HlsConnectionError,
+  HlsTimeoutError,
+} = require('./hls-errors');
+const { FRAMING, FrameDecoder, FrameTooLargeError, encodeFrame } = require('./hls-framing');
+
+/**
+ * HLS服务支持的命令，与HlsService/Models/ProtocolModels.cs保持一致
+ */
+const COMMANDS = {
+  // 连接管理
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  STATUS: 'status',
+  LIST_CONNECTIONS: 'listConnections',
+  VALIDATE_CONNECTION: 'validateConnection',
+
+  // 数据操作
+  READ: 'read',
+  READ_BATCH: 'readBatch',
+  WRITE: 'write',
+  WRITE_BATCH: 'writeBatch',
+  WRITE_WITH_VERIFY: 'writeWithVerify',
+
+  // 数据订阅
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe',
+
+  // 系统信息
+  PING: 'ping',
+  HEALTH_CHECK: 'health_check',
+  SERVER_STATUS: 'serverStatus',
+  PROTOCOL_INFO: 'protocolInfo',
+
+  // 设备和数据点配置
+  DEVICE_LIST: 'device_list',
+  CONFIGURE_DATAPOINTS: 'configure_datapoints',
+  VALIDATE_CONFIGURATION: 'validate_configuration',
+  GET_SCHEMAS: 'get_schemas',
+  BATCH_DATAPOINT_OPERATION: 'batch_datapoint_operation',
+};
+
+/**
+ * 服务端主动推送的通知事件
+ */
+const NOTIFICATION_EVENTS = {
+  DATA_CHANGE: 'dataChange',
+};
+
+/**
+ * 默认重连策略：延迟 = initialDelay * multiplier^(attempt-1)，上限maxDelay，
+ * 再叠加 ±jitter 比例的随机抖动，避免多个客户端在服务恢复时同时重连
+ */
+const DEFAULT_RECONNECT = {
+  enabled: true,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  multiplier: 2,
+  jitter: 0.2,
+};
+
+/**
+ * 默认心跳策略：连接空闲interval毫秒后发送一次command（ping或health_check），
+ * 连续maxMisses次未响应判定服务无响应并断开连接，由自动重连恢复
+ */
+const DEFAULT_HEARTBEAT = {
+  enabled: true,
+  interval: 10000,
+  command: COMMANDS.PING,
+  maxMisses: 3,
+};
+
+/**
+ * 服务健康状态
+ */
+const HEALTH_STATES = {
+  UP: 'up', // 心跳正常
+  DEGRADED: 'degraded', // 心跳未响应，但未达到maxMisses
+  DOWN: 'down', // 未连接，或连续maxMisses次心跳未响应
+};
+
+/**
+ * HLS IPC客户端类
+ */
+class HLSIPCClient extends EventEmitter {
+  constructor(options) {
+    super();
+    this.host = options.host || 'localhost';
+    this.port = options.port || 8888;
+    this.timeout = options.timeout || 5000;
+    this.framing = options.framing || FRAMING.NEWLINE;
+    this.decoder = new FrameDecoder();
+    this.socket = null;
+    this.connected = false;
+    this.connecting = null;
+    this.pendingRequests = new Map();
+
+    // 数据订阅：subscriptionId -> { connectionId, addresses, options, handler }
+    this.subscriptions = new Map();
+
+    // 自动重连
+    this.reconnect = { ...DEFAULT_RECONNECT, ...options.reconnect };
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.closing = false;
+
+    // 心跳检测
+    this.heartbeat = { ...DEFAULT_HEARTBEAT, ...options.heartbeat };
+    this.heartbeatTimer = null;
+    // 正在等待响应的心跳请求的messageId
+    this.heartbeatMessageId = null;
+    this.lastActivity = 0;
+    this.health = {
+      state: HEALTH_STATES.DOWN,
+      latency: null,
+      lastHeartbeat: null,
+      misses: 0,
+    };
+  }
+
+  /**
+   * 连接到HLS服务
+   * 多个节点共享客户端时，并发调用复用同一次连接过程
+   */
+  async connect() {
+    if (this.connected) {
+      return;
+    }
+
+    this.closing = false;
+    if (!this.connecting) {
+      this.connecting = this.openSocket()
+        .catch(err => {
+          this.scheduleReconnect();
+          throw err;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * 安排一次重连；同一时间最多只有一个重连在等待或进行中
+   */
+  scheduleReconnect() {
+    if (!this.reconnect.enabled || this.closing || this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectAttempt++;
+    const delay = this.getReconnectDelay(this.reconnectAttempt);
+    this.emit('reconnecting', { attempt: this.reconnectAttempt, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      const attempts = this.reconnectAttempt;
+      // 失败时connect()会安排下一次重连
+      this.connect()
+        .then(() => this.emit('reconnected', { attempts }))
+        .catch(() => {});
+    }, delay);
+
+    // 重连计时器不阻止脚本进程退出
+    if (this.reconnectTimer.unref) {
+      this.reconnectTimer.unref();
+    }
+  }
+
+  /**
+   * 计算第attempt次重连的等待时间
+   */
+  getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.reconnect;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt - 1));
+    const delay = base * (1 - jitter + Math.random() * 2 * jitter);
+    return Math.round(Math.min(maxDelay, delay));
+  }
+
+  /**
+   * 取消等待中的重连
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * 建立TCP连接
+   */
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      this.socket = new net.Socket();
+      this.socket.setTimeout(this.timeout);
+      this.decoder.reset();
+
+      this.socket.on('connect', () => {
+        // 超时只用于建立连接，已连接的空闲连接不应被断开
+        this.socket.setTimeout(0);
+        this.connected = true;
+        this.reconnectAttempt = 0;
+        this.lastActivity = Date.now();
+        this.setHealth({ state: HEALTH_STATES.UP, misses: 0 });
+        this.startHeartbeat();
+        this.emit('connected');
+        resolve();
+      });
+
+      this.socket.on('data', data => {
+        this.handleData(data);
+      });
+
+      // 错误只结束等待中的连接，清理和重连由随后的close事件处理：
+      // 在这里清除connected会使close误判为从未建立连接，连接被重置（ECONNRESET）后不再重连
+      this.socket.on('error', err => {
+        reject(
+          new HlsConnectionError(`无法连接到HLS服务 ${this.host}:${this.port}: ${err.message}`)
+        );
+      });
+
+      this.socket.on('close', () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.stopHeartbeat();
+        this.setHealth({ state: HEALTH_STATES.DOWN });
+        // 服务端的订阅随连接一起清除，由订阅方在设备连接恢复后重新订阅
+        this.subscriptions.clear();
+        this.rejectPendingRequests(
+          new HlsConnectionError('HLS服务连接已断开', {
+            code: CLIENT_ERROR_CODES.CONNECTION_CLOSED,
+          })
+        );
+        if (wasConnected) {
+          this.emit('disconnected');
+          this.scheduleReconnect();
+        }
+      });
+
+      this.socket.on('timeout', () => {
+        this.socket.destroy();
+        reject(new HlsConnectionError('连接超时'));
+      });
+
+      this.socket.connect(this.port, this.host);
+    });
+  }
+
+  /**
+   * 处理收到的数据块，重组出完整消息后逐条处理
+   */
+  handleData(chunk) {
+    this.lastActivity = Date.now();
+    let messages;
+    try {
+      messages = this.decoder.push(chunk);
+    } catch (err) {
+      // 超长消息之后的数据无法再可靠拆分，只能关闭连接
+      this.rejectPendingRequests(
+        new HlsError(err.message, { code: CLIENT_ERROR_CODES.MESSAGE_TOO_LARGE })
+      );
+      this.socket.destroy();
+      return;
+    }
+
+    messages.forEach(message => this.handleResponse(message));
+  }
+
+  /**
+   * 启动心跳定时器
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (!this.heartbeat.enabled || !(this.heartbeat.interval > 0)) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), this.heartbeat.interval);
+    // 心跳定时器不阻止脚本进程退出
+    if (this.heartbeatTimer.unref) {
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * 停止心跳定时器
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 连接空闲时发送心跳；最近收到过数据说明连接正常，无需额外请求
+   * 半开连接上的请求收不到任何数据，因此仍会触发心跳并被检测出来
+   */
+  async checkHeartbeat() {
+    if (!this.connected || this.heartbeatMessageId) {
+      return;
+    }
+    if (Date.now() - this.lastActivity < this.heartbeat.interval) {
+      return;
+    }
+
+    this.heartbeatMessageId = uuidv4();
+    const startTime = Date.now();
+    try {
+      await this.sendRequest(this.heartbeat.command, {}, this.heartbeatMessageId);
+      this.setHealth({
+        state: HEALTH_STATES.UP,
+        latency: Date.now() - startTime,
+        lastHeartbeat: new Date().toISOString(),
+        misses: 0,
+      });
+      this.emit('heartbeat', this.getHealth());
+    } catch (err) {
+      if (this.connected) {
+        this.handleHeartbeatMiss(err);
+      }
+    } finally {
+      this.heartbeatMessageId = null;
+    }
+  }
+
+  /**
+   * 记录一次心跳未响应，连续maxMisses次后断开连接
+   */
+  handleHeartbeatMiss(err) {
+    const misses = this.health.misses + 1;
+    if (misses >= this.heartbeat.maxMisses) {
+      this.setHealth({ state: HEALTH_STATES.DOWN, misses });
+      // 断开后close事件会触发自动重连
+      this.socket.destroy();
+      return;
+    }
+    this.setHealth({ state: HEALTH_STATES.DEGRADED, misses, error: err.message });
+  }
+
+  /**
+   * 更新健康状态，状态变化时触发health事件
+   */
+  setHealth(changes) {
+    const previous = this.health.state;
+    this.health = { ...this.health, error: null, ...changes };
+    if (this.health.state !== previous || this.health.state === HEALTH_STATES.DEGRADED) {
+      this.emit('health', this.getHealth());
+    }
+  }
+
+  /**
+   * 获取健康状态：state、latency（毫秒）、lastHeartbeat、misses
+   */
+  getHealth() {
+    return { ...this.health, connected: this.connected };
+  }
+
+  /**
+   * 处理服务器响应
+   */
+  handleResponse(message) {
+    let response;
+    try {
+      response = JSON.parse(message);
+    } catch (err) {
+      // 帧完整但内容不是JSON，无法对应到请求，由请求超时处理
+      return;
+    }
+
+    // 通知没有对应的请求，不能按messageId回退匹配
+    if (response.event) {
+      this.handleNotification(response);
+      return;
+    }
+
+    const messageId = this.resolveMessageId(response.messageId);
+    if (!messageId) {
+      return;
+    }
+
+    const { command, resolve, reject, timer } = this.pendingRequests.get(messageId);
+    this.pendingRequests.delete(messageId);
+    clearTimeout(timer);
+
+    if (response.success) {
+      resolve(response);
+    } else {
+      reject(HlsError.fromResponse(response, command));
+    }
+  }
+
+  /**
+   * 处理服务端推送的通知，dataChange按subscriptionId分发给订阅的处理函数
+   */
+  handleNotification(notification) {
+    if (notification.event === NOTIFICATION_EVENTS.DATA_CHANGE) {
+      const data = notification.data || {};
+      const subscription = this.subscriptions.get(data.subscriptionId);
+      if (subscription) {
+        subscription.handler(data, notification);
+      }
+    }
+    this.emit('notification', notification);
+  }
+
+  /**
+   * 查找响应对应的请求
+   * 服务端对旧版心跳命令（ping、health_check）可能返回空messageId，此时只对应正在等待的心跳请求；
+   * 其他无法对应到请求的响应被丢弃，由请求超时处理，不能猜测为最早发出的请求
+   */
+  resolveMessageId(messageId) {
+    if (messageId && this.pendingRequests.has(messageId)) {
+      return messageId;
+    }
+    if (!messageId && this.pendingRequests.has(this.heartbeatMessageId)) {
+      return this.heartbeatMessageId;
+    }
+    return null;
+  }
+
+  /**
+   * 以指定错误结束所有等待中的请求
+   */
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * 发送请求到HLS服务
+   * @param {string} messageId - 请求的messageId，默认生成新的UUID；心跳请求传入以便对应空messageId的响应
+   */
+  async sendRequest(command, data = {}, messageId = uuidv4()) {
+    if (!this.connected) {
+      // 等待重连期间直接失败，不绕过退避立即发起新连接
+      if (this.reconnectTimer) {
+        throw new HlsConnectionError('HLS服务连接已断开，正在重连', {
+          code: CLIENT_ERROR_CODES.CONNECTION_CLOSED,
+          command,
+        });
+      }
+      await this.connect();
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        version: '1.0',
+        messageId,
+        timestamp: new Date().toISOString(),
+        command,
+        data,
+      };
+
+      let frame;
+      try {
+        frame = encodeFrame(JSON.stringify(request), this.framing);
+      } catch (err) {
+        if (err instanceof FrameTooLargeError) {
+          reject(
+            new HlsError(err.message, {
+              code: CLIENT_ERROR_CODES.MESSAGE_TOO_LARGE,
+              command,
+              messageId,
+            })
+          );
+          return;
+        }
+        throw err;
+      }
+
+      // 设置请求超时，收到响应或连接断开时清除
+      const timer = setTimeout(() => {
+        if (this.pendingRequests.has(messageId)) {
+          this.pendingRequests.delete(messageId);
+          reject(new HlsTimeoutError('请求超时', { command, messageId }));
+        }
+      }, this.timeout);
+      this.pendingRequests.set(messageId, { command, resolve, reject, timer });
+
+      this.socket.write(frame);
+    });
+  }
+
+  /**
+   * 连接设备，返回的data.connectionId用于后续读写
+   */
+  async connectDevice(deviceConfig, dataPoints) {
+    return await this.sendRequest(COMMANDS.CONNECT, { deviceConfig, dataPoints });
+  }
+
+  /**
+   * 断开设备连接
+   */
+  async disconnectDevice(connectionId) {
+    return await this.sendRequest(COMMANDS.DISCONNECT, { connectionId });
+  }
+
+  /**
+   * 查询设备连接状态
+   */
+  async getStatus(connectionId) {
+    return await this.sendRequest(COMMANDS.STATUS, { connectionId });
+  }
+
+  /**
+   * 查询服务上的所有设备连接
+   */
+  async listConnections() {
+    return await this.sendRequest(COMMANDS.LIST_CONNECTIONS);
+  }
+
+  /**
+   * 验证设备连接参数，不建立连接
+   */
+  async validateConnection(deviceConfig, dataPoints) {
+    return await this.sendRequest(COMMANDS.VALIDATE_CONNECTION, { deviceConfig, dataPoints });
+  }
+
+  /**
+   * 读取单个数据点
+   */
+  async readData(connectionId, address) {
+    const data = {
+      connectionId,
+      address,
+    };
+    return await this.sendRequest(COMMANDS.READ, data);
+  }
+
+  /**
+   * 批量读取数据点
+   */
+  async readBatchData(connectionId, addresses) {
+    const data = {
+      connectionId,
+      addresses,
+    };
+    return await this.sendRequest(COMMANDS.READ_BATCH, data);
+  }
+
+  /**
+   * 写入单个数据点
+   */
+  async writeData(connectionId, address, value, dataType) {
+    const data = {
+      connectionId,
+      address,
+      value,
+      dataType,
+    };
+    return await this.sendRequest(COMMANDS.WRITE, data);
+  }
+
+  /**
+   * 批量写入数据点
+   */
+  async writeBatchData(connectionId, writeItems) {
+    const data = {
+      connectionId,
+      writeItems,
+    };
+    return await this.sendRequest(COMMANDS.WRITE_BATCH, data);
+  }
+
+  /**
+   * 写入后回读验证
+   */
+  async writeWithVerify(connectionId, address, value, dataType) {
+    const data = {
+      connectionId,
+      address,
+      value,
+      dataType,
+      verify: true,
+    };
+    return await this.sendRequest(COMMANDS.WRITE_WITH_VERIFY, data);
+  }
+
+  /**
+   * 订阅数据点变化，服务端按samplingInterval采样，值变化超过deadband时推送dataChange通知
+   * handler(data)收到 { subscriptionId, connectionId, values }，返回的data.subscriptionId用于取消订阅
+   */
+  async subscribe(connectionId, addresses, options, handler) {
+    const { samplingInterval = 1000, deadband = 0 } = options || {};
+    const response = await this.sendRequest(COMMANDS.SUBSCRIBE, {
+      connectionId,
+      addresses,
+      samplingInterval,
+      deadband,
+    });
+    this.subscriptions.set(response.data.subscriptionId, {
+      connectionId,
+      addresses,
+      options: { samplingInterval, deadband },
+      handler,
+    });
+    return response;
+  }
+
+  /**
+   * 取消订阅，此后不再分发该订阅的通知
+   */
+  async unsubscribe(subscriptionId) {
+    this.subscriptions.delete(subscriptionId);
+    return await this.sendRequest(COMMANDS.UNSUBSCRIBE, { subscriptionId });
+  }
+
+  /**
+   * 检测服务是否可用
+   */
+  async ping() {
+    return await this.sendRequest(COMMANDS.PING);
+  }
+
+  /**
+   * 查询服务健康状态（运行时长、内存、连接数）
+   */
+  async healthCheck() {
+    return await this.sendRequest(COMMANDS.HEALTH_CHECK);
+  }
+
+  /**
+   * 查询服务器运行状态
+   */
+  async getServerStatus() {
+    return await this.sendRequest(COMMANDS.SERVER_STATUS);
+  }
+
+  /**
+   * 查询协议版本和支持的特性
+   */
+  async getProtocolInfo() {
+    return await this.sendRequest(COMMANDS.PROTOCOL_INFO);
+  }
+
+  /**
+   * 查询服务管理的设备列表
+   */
+  async listDevices() {
+    return await this.sendRequest(COMMANDS.DEVICE_LIST);
+  }
+
+  /**
+   * 配置设备数据点
+   */
+  async configureDataPoints(configuration) {
+    return await this.sendRequest(COMMANDS.CONFIGURE_DATAPOINTS, configuration);
+  }
+
+  /**
+   * 验证设备或数据点配置，configurationType为device、datapoint或datapoint_group
+   */
+  async validateConfiguration(configurationType, configuration) {
+    return await this.sendRequest(COMMANDS.VALIDATE_CONFIGURATION, {
+      ...configuration,
+      configurationType,
+    });
+  }
+
+  /**
+   * 获取配置的JSON Schema
+   */
+  async getSchemas() {
+    return await this.sendRequest(COMMANDS.GET_SCHEMAS);
+  }
+
+  /**
+   * 批量数据点操作，operation为Read、Write或ReadWrite
+   */
+  async batchDataPointOperation(request) {
+    return await this.sendRequest(COMMANDS.BATCH_DATAPOINT_OPERATION, request);
+  }
+
+  /**
+   * 断开连接，不再自动重连
+   */
+  disconnect() {
+    this.closing = true;
+    this.cancelReconnect();
+    this.stopHeartbeat();
+    if (this.socket) {
+      this.socket.destroy();
+    }
+    this.connected = false;
+    this.rejectPendingRequests(
+      new HlsConnectionError('客户端已断开', { code: CLIENT_ERROR_CODES.CONNECTION_CLOSED })
+    );
+  }
+}
+
+HLSIPCClient.COMMANDS = COMMANDS;
+HLSIPCClient.DEFAULT_RECONNECT = DEFAULT_RECONNECT;
+HLSIPCClient.DEFAULT_HEARTBEAT = DEFAULT_HEARTBEAT;
+HLSIPCClient.HEALTH_STATES = HEALTH_STATES;
+HLSIPCClient.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+HLSIPCClient.HlsError = HlsError;
+HLSIPCClient.HlsConnectionError = HlsConnectionError;
+HLSIPCClient.HlsTimeoutError = HlsTimeoutError;
+
+module.exports = HLSIPCClient;
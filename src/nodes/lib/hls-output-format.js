@@ -0,0 +1,119 @@
+/**
+ * HLS Output Format
+ * 把读取结果整理为不同形状的输出消息
+ */
+
+// 输出格式
+const OUTPUT_FORMATS = {
+  // payload.data为数据点数组
+  ARRAY: 'array',
+  // 每个数据点一条消息，topic为数据点名称
+  POINTS: 'points',
+  // payload为{名称: 值}
+  OBJECT: 'object',
+  // payload按设备和名称中以"."分隔的分组嵌套
+  NESTED: 'nested',
+};
+
+/**
+ * 数据点输出名称：名称、描述或地址
+ */
+function pointName(point) {
+  return point.name || point.description || point.address;
+}
+
+// 赋值时会修改原型链的键，名称为这些键或包含这些分组的数据点不输出
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * 以名称为键输出{名称: 值}，动态读取的名称来自输入消息，"__proto__"这样的名称被忽略
+ */
+function toObject(items) {
+  const result = {};
+  items.forEach(item => {
+    const name = String(pointName(item));
+    if (!UNSAFE_SEGMENTS.includes(name)) {
+      result[name] = item.value;
+    }
+  });
+  return result;
+}
+
+/**
+ * 按设备嵌套，名称"Line1.Pump.Speed"输出为{设备: {Line1: {Pump: {Speed: 值}}}}。
+ * 动态读取的名称来自输入消息，"__proto__.x"这样的名称被忽略
+ */
+function toNested(items, device) {
+  const root = {};
+  items.forEach(item => {
+    const path = String(pointName(item)).split('.');
+    if (path.some(segment => UNSAFE_SEGMENTS.includes(segment))) {
+      return;
+    }
+    const key = path.pop();
+    let group = root;
+    path.forEach(segment => {
+      if (typeof group[segment] !== 'object' || group[segment] === null) {
+        group[segment] = {};
+      }
+      group = group[segment];
+    });
+    group[key] = item.value;
+  });
+  return { [device]: root };
+}
+
+/**
+ * 按输出格式构造消息
+ * @param {Array} items - 读取结果（address、name、value、dataType、timestamp、quality，以及subStatus、error）
+ * @param {string} format - 输出格式
+ * @param {Object} meta - connectionId、scanClass、timestamp、device（嵌套格式的顶层键）
+ * @returns {Array} 消息属性列表，points格式每个数据点一条，其他格式一条
+ */
+function formatMessages(items, format, meta = {}) {
+  const common = { timestamp: meta.timestamp };
+  if (meta.scanClass) {
+    common.scanClass = meta.scanClass;
+  }
+
+  switch (format) {
+    case OUTPUT_FORMATS.POINTS:
+      return items.map(item => {
+        const message = Object.assign({}, common, {
+          topic: pointName(item),
+          payload: item.value,
+          address: item.address,
+          dataType: item.dataType,
+          quality: item.quality,
+          timestamp: item.timestamp,
+        });
+        // 质量不为Good时附带子状态和错误
+        ['subStatus', 'error']
+          .filter(key => item[key])
+          .forEach(key => {
+            message[key] = item[key];
+          });
+        return message;
+      });
+    case OUTPUT_FORMATS.OBJECT:
+      return [Object.assign({ topic: 'hls-read', payload: toObject(items) }, common)];
+    case OUTPUT_FORMATS.NESTED:
+      return [Object.assign({ topic: 'hls-read', payload: toNested(items, meta.device) }, common)];
+    default: {
+      // 数组格式保持原有的payload结构
+      const message = { topic: 'hls-read', payload: { connectionId: meta.connectionId } };
+      if (meta.scanClass) {
+        message.payload.scanClass = meta.scanClass;
+        message.scanClass = meta.scanClass;
+      }
+      Object.assign(message.payload, { data: items, timestamp: meta.timestamp, status: 'success' });
+      return [message];
+    }
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  pointName,
+  formatMessages,
+};
@@ -0,0 +1,146 @@
+/**
+ * HLS Quality
+ * 按服务端每个数据点的读取结果给出OPC风格的质量码：Good / Uncertain / Bad 及子状态
+ */
+
+const { getErrorCategory, ERROR_CATEGORIES } = require('./hls-errors');
+
+// 质量
+const QUALITY = {
+  GOOD: 'Good',
+  UNCERTAIN: 'Uncertain',
+  BAD: 'Bad',
+};
+
+// 质量子状态
+const SUB_STATUS = {
+  NON_SPECIFIC: 'NonSpecific',
+  COMM_FAILURE: 'CommFailure',
+  CONFIG_ERROR: 'ConfigError',
+  OUT_OF_RANGE: 'OutOfRange',
+  LAST_KNOWN_VALUE: 'LastKnownValue',
+};
+
+// 数值超出范围
+const OUT_OF_RANGE_CODES = ['1006', '3009'];
+
+// 地址、数据类型、权限等配置问题
+const CONFIG_ERROR_CODES = ['1002', '1005', '3001', '3002', '3005', '3007', '3008'];
+
+/**
+ * 按错误码给出子状态：设备通信、读取超时和IPC错误为CommFailure
+ */
+function getSubStatus(code) {
+  const value = String(code || '');
+  if (OUT_OF_RANGE_CODES.includes(value)) {
+    return SUB_STATUS.OUT_OF_RANGE;
+  }
+  if (CONFIG_ERROR_CODES.includes(value)) {
+    return SUB_STATUS.CONFIG_ERROR;
+  }
+
+  switch (getErrorCategory(value)) {
+    case ERROR_CATEGORIES.CONFIGURATION:
+      return SUB_STATUS.CONFIG_ERROR;
+    case ERROR_CATEGORIES.DEVICE:
+    case ERROR_CATEGORIES.IPC:
+      return SUB_STATUS.COMM_FAILURE;
+    default:
+      return value === '3003' ? SUB_STATUS.COMM_FAILURE : SUB_STATUS.NON_SPECIFIC;
+  }
+}
+
+/**
+ * 服务端结果中的error可能是{code, message, details}对象或字符串
+ */
+function normalizeItemError(error) {
+  if (!error) {
+    return { message: '读取失败' };
+  }
+  if (typeof error === 'string') {
+    return { message: error };
+  }
+  return { code: error.code, message: error.message || '读取失败' };
+}
+
+/**
+ * 取出响应中的逐点结果：data为结果数组、{results: [...]}或单个结果
+ */
+function extractResults(response) {
+  const data = response.data;
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.results)) {
+    return data.results;
+  }
+  return data ? [data] : [];
+}
+
+/**
+ * 把服务端的单点结果转换为带质量码的输出数据点；读取失败的数据点值为null并带有error
+ * @param {Object} result - 服务端结果（address、value、dataType、success、quality、error）
+ * @param {string} timestamp - 结果没有时间戳时使用
+ */
+function toQualityItem(result, timestamp) {
+  const item = {
+    address: result.address,
+    value: result.value,
+    dataType: result.dataType,
+    timestamp: result.timestamp || timestamp,
+    quality: QUALITY.GOOD,
+  };
+
+  if (result.success === false || String(result.quality).toLowerCase() === 'bad') {
+    const error = normalizeItemError(result.error);
+    item.value = null;
+    item.quality = QUALITY.BAD;
+    item.subStatus = getSubStatus(error.code);
+    item.error = error;
+  } else if (String(result.quality).toLowerCase() === 'uncertain') {
+    item.quality = QUALITY.UNCERTAIN;
+    item.subStatus = SUB_STATUS.NON_SPECIFIC;
+  }
+  return item;
+}
+
+/**
+ * 记录每个数据点最近一次的Good值，读取失败时可用它代替，质量为Uncertain/LastKnownValue
+ */
+class LastGoodValues {
+  constructor() {
+    this.values = new Map();
+  }
+
+  /**
+   * 记录Good值并替换Bad数据点，返回新的数据点列表
+   */
+  apply(items) {
+    return items.map(item => {
+      if (item.quality === QUALITY.GOOD) {
+        this.values.set(item.address, { value: item.value, timestamp: item.timestamp });
+        return item;
+      }
+      if (item.quality !== QUALITY.BAD || !this.values.has(item.address)) {
+        return item;
+      }
+
+      const lastGood = this.values.get(item.address);
+      return Object.assign({}, item, {
+        value: lastGood.value,
+        quality: QUALITY.UNCERTAIN,
+        subStatus: SUB_STATUS.LAST_KNOWN_VALUE,
+        sourceTimestamp: lastGood.timestamp,
+      });
+    });
+  }
+}
+
+module.exports = {
+  QUALITY,
+  SUB_STATUS,
+  getSubStatus,
+  extractResults,
+  toQualityItem,
+  LastGoodValues,
+};
@@ -0,0 +1,47 @@
+/**
+ * HLS Retry
+ * 按服务端错误中的retryable和retryDelayMs重试请求
+ */
+
+const { HlsError } = require('./hls-errors');
+
+// 服务端未给出建议延迟时使用
+const DEFAULT_RETRY_DELAY = 1000;
+
+/**
+ * 只重试服务端标记为可重试、且调用方允许重试的错误
+ */
+function canRetry(err, shouldRetry) {
+  return err instanceof HlsError && err.retryable && (!shouldRetry || shouldRetry(err));
+}
+
+/**
+ * 执行操作，遇到可重试错误时按建议延迟重试，不可重试的错误立即抛出
+ * @param {Function} operation - 返回Promise的操作
+ * @param {Object} options - maxRetries最大重试次数；onRetry(err, attempt, delay)在每次重试前调用；
+ *   shouldRetry(err)返回false时即使错误可重试也不重试
+ */
+async function withRetry(operation, options = {}) {
+  const maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (!canRetry(err, options.shouldRetry) || attempt > maxRetries) {
+        throw err;
+      }
+
+      const delay = err.retryDelayMs || DEFAULT_RETRY_DELAY;
+      if (options.onRetry) {
+        options.onRetry(err, attempt, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_DELAY,
+  withRetry,
+};
@@ -0,0 +1,167 @@
+/**
+ * HLS Scaling
+ * 数据点的工程量换算：工程值 = 原始值 × 系数 + 偏移，原始值和工程值可分别限制在最小/最大值之间。
+ * 读取时把设备原始值换算为工程值，写入时按相反方向换算为原始值
+ */
+
+const { QUALITY, SUB_STATUS } = require('./hls-quality');
+
+// 写入前需要取整的整数类型
+const INTEGER_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64'];
+
+// 随connect命令发送给服务端的换算字段
+const SCALING_FIELDS = ['unit', 'scale', 'offset', 'rawMin', 'rawMax', 'engMin', 'engMax'];
+
+/**
+ * 表格中未填写的字段为空字符串，按未配置处理
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 数据点的换算参数，没有配置系数、偏移、范围和单位时返回null
+ * @param {Object} point - 数据点配置（unit、scale、offset、rawMin、rawMax、engMin、engMax）
+ */
+function getScaling(point) {
+  if (!point) {
+    return null;
+  }
+  const scale = toNumber(point.scale);
+  const scaling = {
+    unit: point.unit || '',
+    // 系数为0时无法反向换算，按1处理
+    scale: scale === null || scale === 0 ? 1 : scale,
+    offset: toNumber(point.offset) || 0,
+    rawMin: toNumber(point.rawMin),
+    rawMax: toNumber(point.rawMax),
+    engMin: toNumber(point.engMin),
+    engMax: toNumber(point.engMax),
+  };
+
+  const configured =
+    scaling.unit ||
+    scaling.scale !== 1 ||
+    scaling.offset !== 0 ||
+    ['rawMin', 'rawMax', 'engMin', 'engMax'].some(key => scaling[key] !== null);
+  return configured ? scaling : null;
+}
+
+/**
+ * 限制在[min, max]之间，未配置的一侧不限制
+ */
+function clamp(value, min, max) {
+  if (min !== null && value < min) {
+    return { value: min, clamped: true };
+  }
+  if (max !== null && value > max) {
+    return { value: max, clamped: true };
+  }
+  return { value, clamped: false };
+}
+
+/**
+ * 数组逐个元素换算，任一元素被限制时clamped为true
+ */
+function mapArray(values, convert) {
+  const results = values.map(convert);
+  return {
+    value: results.map(result => result.value),
+    clamped: results.some(result => result.clamped),
+  };
+}
+
+/**
+ * 原始值换算为工程值，数组逐个元素换算，64位整数（BigInt）换算后为数值，非数值原样返回
+ * @returns {Object} {value, clamped}，clamped表示原始值或工程值超出范围被限制
+ */
+function toEngineering(raw, scaling) {
+  if (scaling && Array.isArray(raw)) {
+    return mapArray(raw, element => toEngineering(element, scaling));
+  }
+  const number = typeof raw === 'bigint' ? Number(raw) : raw;
+  if (!scaling || typeof number !== 'number') {
+    return { value: raw, clamped: false };
+  }
+  const input = clamp(number, scaling.rawMin, scaling.rawMax);
+  const output = clamp(
+    input.value * scaling.scale + scaling.offset,
+    scaling.engMin,
+    scaling.engMax
+  );
+  return { value: output.value, clamped: input.clamped || output.clamped };
+}
+
+/**
+ * 工程值换算为原始值，整数类型（包括整数数组）四舍五入；非数值原样返回
+ * @returns {Object} {value, clamped}
+ */
+function toRaw(value, scaling, dataType) {
+  if (scaling && Array.isArray(value)) {
+    return mapArray(value, element => toRaw(element, scaling, dataType));
+  }
+  const number = ['string', 'bigint'].includes(typeof value) ? toNumber(value) : value;
+  if (!scaling || typeof number !== 'number') {
+    return { value, clamped: false };
+  }
+  const input = clamp(number, scaling.engMin, scaling.engMax);
+  let raw = (input.value - scaling.offset) / scaling.scale;
+  const elementType = String(dataType || '').replace(/\[\d*\]$/, '');
+  if (INTEGER_TYPES.includes(elementType.toLowerCase())) {
+    raw = Math.round(raw);
+  }
+  const output = clamp(raw, scaling.rawMin, scaling.rawMax);
+  return { value: output.value, clamped: input.clamped || output.clamped };
+}
+
+/**
+ * 读取结果换算为工程值并附带单位；超出范围被限制的数据点质量为Uncertain/OutOfRange
+ * @param {Object} item - 带质量码的数据点（见lib/hls-quality.js）
+ * @param {Object} point - 数据点配置
+ */
+function scaleReadItem(item, point) {
+  const scaling = getScaling(point);
+  if (!scaling) {
+    return item;
+  }
+  if (scaling.unit) {
+    item.unit = scaling.unit;
+  }
+  if (item.quality === QUALITY.BAD) {
+    return item;
+  }
+
+  const result = toEngineering(item.value, scaling);
+  item.value = result.value;
+  if (result.clamped) {
+    item.quality = QUALITY.UNCERTAIN;
+    item.subStatus = SUB_STATUS.OUT_OF_RANGE;
+  }
+  return item;
+}
+
+/**
+ * connect命令中数据点的换算字段，只包含已配置的字段
+ */
+function scalingFields(point) {
+  const fields = {};
+  SCALING_FIELDS.forEach(key => {
+    const value = key === 'unit' ? point[key] : toNumber(point[key]);
+    if (value !== undefined && value !== null && value !== '') {
+      fields[key] = value;
+    }
+  });
+  return fields;
+}
+
+module.exports = {
+  getScaling,
+  toEngineering,
+  toRaw,
+  scaleReadItem,
+  scalingFields,
+};
@@ -0,0 +1,85 @@
+/**
+ * HLS Scan Classes
+ * 按扫描类分组数据点：每个扫描类有独立的读取间隔，同一时刻到期的扫描类合并为一次批量读取
+ */
+
+// 未指定扫描类的数据点使用节点的读取间隔
+const DEFAULT_SCAN_CLASS = 'default';
+
+// 扫描间隔的最小粒度（毫秒）：间隔按该粒度取整，基准间隔（最大公约数）不会小于该值
+const SCAN_GRANULARITY = 50;
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * 取整到SCAN_GRANULARITY的倍数，例如333取整为350，避免与1000的最大公约数为1毫秒
+ */
+function roundInterval(interval) {
+  return Math.max(SCAN_GRANULARITY, Math.round(interval / SCAN_GRANULARITY) * SCAN_GRANULARITY);
+}
+
+/**
+ * 按数据点的scanClass字段分组
+ * @param {Array} points - 数据点配置（address、scanClass）
+ * @param {Array} scanClasses - 扫描类定义（name、interval毫秒）
+ * @param {number} defaultInterval - 默认扫描类的读取间隔
+ * 所有间隔按SCAN_GRANULARITY取整
+ * @returns {{classes: Array, unknown: Array}} classes为{name, interval, addresses}列表，unknown为未定义的扫描类
+ */
+function buildScanClasses(points, scanClasses = [], defaultInterval = 1000) {
+  const intervals = new Map([[DEFAULT_SCAN_CLASS, roundInterval(defaultInterval)]]);
+  scanClasses.forEach(scanClass => {
+    if (scanClass && scanClass.name) {
+      intervals.set(scanClass.name, roundInterval(parseInt(scanClass.interval) || defaultInterval));
+    }
+  });
+
+  const groups = new Map();
+  const unknown = new Set();
+  points.forEach(point => {
+    let name = point.scanClass || DEFAULT_SCAN_CLASS;
+    if (!intervals.has(name)) {
+      // 引用了未定义的扫描类，按默认扫描类读取
+      unknown.add(name);
+      name = DEFAULT_SCAN_CLASS;
+    }
+    if (!groups.has(name)) {
+      groups.set(name, { name, interval: intervals.get(name), addresses: [] });
+    }
+    groups.get(name).addresses.push(point.address);
+  });
+
+  return { classes: Array.from(groups.values()), unknown: Array.from(unknown) };
+}
+
+/**
+ * 基准间隔：所有扫描类间隔的最大公约数，每个基准周期检查一次到期的扫描类
+ */
+function getBaseInterval(classes) {
+  return classes.reduce((base, scanClass) => gcd(scanClass.interval, base), 0);
+}
+
+/**
+ * 在启动后elapsed毫秒时到期的扫描类
+ */
+function getDueClasses(classes, elapsed) {
+  return classes.filter(scanClass => elapsed % scanClass.interval === 0);
+}
+
+/**
+ * 合并多个扫描类的地址并去重，用于一次批量读取
+ */
+function mergeAddresses(classes) {
+  return Array.from(new Set([].concat(...classes.map(scanClass => scanClass.addresses))));
+}
+
+module.exports = {
+  DEFAULT_SCAN_CLASS,
+  SCAN_GRANULARITY,
+  buildScanClasses,
+  getBaseInterval,
+  getDueClasses,
+  mergeAddresses,
+};
@@ -0,0 +1,198 @@
+/**
+ * HLS Poll Scheduler
+ * 无漂移、不重叠的周期调度：按起始时间计算每个周期的计划时刻，上一次读取未完成时按策略跳过或排队
+ */
+
+// 读取未完成时到期周期的处理策略：skip在下一个按时执行的周期一并处理，queue在读取完成后立即补读。
+// 两种策略都不丢弃周期，任务收到的周期列表包含被跳过的周期，多个扫描类的到期时刻不会因此漏掉
+const SCHEDULE_POLICIES = {
+  SKIP: 'skip',
+  QUEUE: 'queue',
+};
+
+class PollScheduler {
+  /**
+   * @param {Function} task - 周期任务，参数为本次执行覆盖的周期时刻列表（毫秒），返回Promise
+   * @param {Object} options - interval周期（毫秒）；policy为skip或queue；align为true时对齐到时钟整周期；
+   *   onCycle(stats)在每次任务完成后调用；onError(err)在任务失败时调用
+   */
+  constructor(task, options = {}) {
+    this.task = task;
+    this.interval = options.interval || 1000;
+    this.policy =
+      options.policy === SCHEDULE_POLICIES.QUEUE ? SCHEDULE_POLICIES.QUEUE : SCHEDULE_POLICIES.SKIP;
+    this.align = !!options.align;
+    this.onCycle = options.onCycle;
+    this.onError = options.onError;
+
+    this.timer = null;
+    this.busy = false;
+    this.pending = [];
+    this.skipped = [];
+    this.waiters = [];
+    this.origin = 0;
+    this.nextTime = 0;
+    this.lastStart = null;
+    this.stats = { cycles: 0, overruns: 0, lastDuration: 0, cycleTime: 0 };
+  }
+
+  /**
+   * 开始调度，对齐时钟时第一个周期在下一个整周期时刻执行
+   */
+  start() {
+    this.stop();
+    const now = Date.now();
+    if (this.align) {
+      // 周期时刻取自纪元起的毫秒数，按分钟等整周期判断到期的扫描类时与时钟一致
+      this.origin = 0;
+      this.nextTime = Math.floor(now / this.interval) * this.interval + this.interval;
+    } else {
+      this.origin = now;
+      this.nextTime = now + this.interval;
+    }
+    this.scheduleNext();
+  }
+
+  /**
+   * 停止调度，正在执行的任务不受影响，排队和跳过的周期被丢弃
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = [];
+    this.skipped = [];
+  }
+
+  /**
+   * 修改周期：正在调度时从当前时刻按新周期重新开始，正在执行的任务和统计不受影响
+   */
+  setInterval(interval) {
+    this.interval = interval || this.interval;
+    if (this.running) {
+      this.start();
+    }
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  scheduleNext() {
+    this.timer = setTimeout(() => this.tick(), Math.max(0, this.nextTime - Date.now()));
+  }
+
+  /**
+   * 计划时刻到达：先安排下一个周期再触发任务，下一个计划时刻只取决于起始时间，不受任务耗时影响
+   */
+  tick() {
+    const cycle = this.nextTime - this.origin;
+    const now = Date.now();
+
+    this.nextTime += this.interval;
+    if (this.nextTime <= now) {
+      // 事件循环阻塞错过的周期不再单独触发，计为超限，与本周期一起交给任务
+      const missed = Math.floor((now - this.nextTime) / this.interval) + 1;
+      for (let index = 0; index < missed; index++) {
+        this.skipped.push(this.nextTime - this.origin);
+        this.nextTime += this.interval;
+      }
+      this.stats.overruns += missed;
+    }
+    this.scheduleNext();
+    this.trigger(cycle);
+  }
+
+  /**
+   * 触发一个周期：空闲时执行本周期和之前跳过的周期；忙时计为超限，
+   * queue策略下合并到读取完成后的一次补读中，skip策略下留到下一个执行的周期
+   */
+  trigger(cycle) {
+    if (this.busy) {
+      this.stats.overruns++;
+      if (this.policy === SCHEDULE_POLICIES.QUEUE) {
+        this.pending.push(cycle);
+      } else {
+        this.skipped.push(cycle);
+      }
+      return;
+    }
+    const cycles = this.skipped.concat(cycle);
+    this.skipped = [];
+    this.run(cycles);
+  }
+
+  async run(cycles) {
+    this.busy = true;
+    const start = Date.now();
+    if (this.lastStart !== null) {
+      this.stats.cycleTime = start - this.lastStart;
+    }
+    this.lastStart = start;
+
+    try {
+      await this.task(cycles);
+    } catch (err) {
+      if (this.onError) {
+        this.onError(err);
+      }
+    }
+
+    this.stats.cycles++;
+    this.stats.lastDuration = Date.now() - start;
+    if (this.onCycle) {
+      this.onCycle(this.getStats());
+    }
+    this.release();
+  }
+
+  /**
+   * 在周期之外执行一次任务（如输入消息触发的读取），与周期任务互斥：
+   * 有任务正在执行时等待其完成；执行期间到期的周期按策略跳过或排队
+   * @param {Function} task - 返回Promise的任务，其结果或错误原样返回给调用方
+   */
+  async exclusive(task) {
+    while (this.busy) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+    this.busy = true;
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * 任务完成：唤醒等待的单次任务，queue策略下先执行排队的周期
+   */
+  release() {
+    this.busy = false;
+    const waiters = this.waiters;
+    this.waiters = [];
+    if (this.pending.length > 0 && this.running) {
+      const queued = this.pending;
+      this.pending = [];
+      this.run(queued);
+    }
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * 调度统计：执行次数、超限次数、最近一次任务耗时和实际周期（毫秒）
+   */
+  getStats() {
+    return {
+      interval: this.interval,
+      policy: this.policy,
+      cycles: this.stats.cycles,
+      overruns: this.stats.overruns,
+      lastDuration: this.stats.lastDuration,
+      cycleTime: this.stats.cycleTime,
+    };
+  }
+}
+
+module.exports = {
+  SCHEDULE_POLICIES,
+  PollScheduler,
+};
@@ -0,0 +1,179 @@
+/**
+ * HLS Service
+ * 一个HLS服务地址对应一个共享的IPC客户端和一个连接状态。
+ * 由hls-service配置节点持有；未迁移的旧流程按 host:port 共享同一实例。
+ */
+
+const HLSIPCClient = require('./hls-ipc-client');
+
+/**
+ * 心跳时间显示为本地时间 HH:MM:SS
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('zh-CN', { hour12: false });
+}
+
+const SERVICE_STATUS = {
+  // 收到过心跳响应时显示最近一次心跳的延迟和时间
+  connected: ({ latency, lastHeartbeat }) => ({
+    fill: 'green',
+    shape: 'dot',
+    text: lastHeartbeat
+      ? `服务已连接 (延迟${latency}ms, 心跳${formatTime(lastHeartbeat)})`
+      : '服务已连接',
+  }),
+  disconnected: { fill: 'red', shape: 'ring', text: '服务未连接' },
+  degraded: ({ misses }) => ({
+    fill: 'yellow',
+    shape: 'dot',
+    text: `服务响应缓慢 (心跳未响应${misses}次)`,
+  }),
+  unresponsive: { fill: 'red', shape: 'ring', text: '服务无响应' },
+  reconnecting: ({ attempt, delay }) => ({
+    fill: 'yellow',
+    shape: 'ring',
+    text: `服务重连中 (第${attempt}次, ${Math.round(delay / 1000)}秒后)`,
+  }),
+};
+
+// 旧版流程（节点上直接配置server/port）使用的共享实例，按 host:port 索引
+const sharedServices = new Map();
+
+class HLSService {
+  constructor(options) {
+    this.host = options.host || 'localhost';
+    this.port = options.port || 8888;
+    this.timeout = options.timeout || 5000;
+    this.framing = options.framing || 'newline';
+    this.shared = false;
+    this.users = new Set();
+    this.devices = new Set();
+    this.status = SERVICE_STATUS.disconnected;
+
+    this.client = new HLSIPCClient({
+      host: this.host,
+      port: this.port,
+      timeout: this.timeout,
+      framing: this.framing,
+      reconnect: options.reconnect,
+      heartbeat: options.heartbeat,
+    });
+    this.client.on('connected', () => {
+      this.setStatus(SERVICE_STATUS.connected(this.client.getHealth()));
+      // 服务恢复后为所有在用的设备重新发送connect命令
+      this.devices.forEach(device => device.restore());
+    });
+    this.client.on('disconnected', () => {
+      this.setStatus(SERVICE_STATUS.disconnected);
+      this.devices.forEach(device => device.suspend());
+    });
+    this.client.on('reconnecting', info => this.setStatus(SERVICE_STATUS.reconnecting(info)));
+    this.client.on('health', health => this.onHealth(health));
+    this.client.on('heartbeat', health => this.onHeartbeat(health));
+  }
+
+  get key() {
+    return `${this.host}:${this.port}`;
+  }
+
+  /**
+   * 登记使用此服务的节点，服务状态变化时同步更新这些节点的状态
+   */
+  register(node) {
+    this.users.add(node);
+    node.status(this.status);
+  }
+
+  /**
+   * 注销节点；共享实例在最后一个节点注销时关闭
+   */
+  deregister(node) {
+    this.users.delete(node);
+    if (this.shared && this.users.size === 0) {
+      sharedServices.delete(this.key);
+      this.close();
+    }
+  }
+
+  /**
+   * 登记有节点在用的设备，服务断开和恢复时统一处理其设备连接
+   */
+  addDevice(device) {
+    this.devices.add(device);
+  }
+
+  /**
+   * 注销不再使用的设备
+   */
+  removeDevice(device) {
+    this.devices.delete(device);
+  }
+
+  /**
+   * 心跳状态变化：未响应时提示；连续未响应时连接随后断开并重连。
+   * 恢复响应后由随之而来的heartbeat事件还原为已连接
+   */
+  onHealth(health) {
+    if (health.state === HLSIPCClient.HEALTH_STATES.DEGRADED) {
+      this.setStatus(SERVICE_STATUS.degraded(health));
+    } else if (health.state === HLSIPCClient.HEALTH_STATES.DOWN && health.connected) {
+      this.setStatus(SERVICE_STATUS.unresponsive);
+    }
+  }
+
+  /**
+   * 心跳响应成功：更新已连接状态中的延迟和心跳时间
+   */
+  onHeartbeat(health) {
+    if (health.connected) {
+      this.setStatus(SERVICE_STATUS.connected(health));
+    }
+  }
+
+  /**
+   * 获取服务健康状态，供运行时API和调试使用
+   */
+  getHealth() {
+    return {
+      host: this.host,
+      port: this.port,
+      status: this.status.text,
+      ...this.client.getHealth(),
+    };
+  }
+
+  /**
+   * 更新服务状态并广播给所有登记的节点
+   */
+  setStatus(status) {
+    this.status = status;
+    this.users.forEach(user => user.status(status));
+  }
+
+  /**
+   * 关闭IPC连接
+   */
+  close() {
+    this.users.clear();
+    this.devices.clear();
+    this.client.disconnect();
+  }
+
+  /**
+   * 获取指定地址的共享实例（兼容未配置hls-service节点的旧流程）
+   */
+  static acquire(options) {
+    const key = `${options.host || 'localhost'}:${options.port || 8888}`;
+    let service = sharedServices.get(key);
+    if (!service) {
+      service = new HLSService(options);
+      service.shared = true;
+      sharedServices.set(key, service);
+    }
+    return service;
+  }
+}
+
+HLSService.STATUS = SERVICE_STATUS;
+
+module.exports = HLSService;
@@ -0,0 +1,177 @@
+/**
+ * HLS Write Arming
+ * 安全相关写入的两步确认：先发送预备(arm)消息，在确认窗口内发送值相同的执行(execute)消息才写入。
+ * 未预备、预备已过期或值不一致的执行被拒绝，每次预备只能执行一次
+ */
+
+const { HlsError, CLIENT_ERROR_CODES } = require('./hls-errors');
+const { pointName } = require('./hls-output-format');
+
+// 消息中msg.action的取值
+const ARM_ACTIONS = {
+  ARM: 'arm',
+  EXECUTE: 'execute',
+};
+
+// 拒绝原因
+const ARM_REASONS = {
+  NOT_ARMED: 'notArmed',
+  EXPIRED: 'expired',
+  VALUE_MISMATCH: 'valueMismatch',
+};
+
+const REASON_TEXT = {
+  notArmed: '未预备',
+  expired: '预备已过期',
+  valueMismatch: '执行值与预备值不一致',
+};
+
+/**
+ * 比较用的值：数组、Buffer和BigInt按内容比较，不做类型转换，65与"65"不相同
+ */
+function valueKey(value) {
+  return JSON.stringify(value, (key, element) =>
+    typeof element === 'bigint' ? `${element}n` : element
+  );
+}
+
+/**
+ * 数据点配置中的需确认标记，编辑器保存为布尔值，导入的配置可能为字符串
+ */
+function requiresArm(point) {
+  return point.requireArm === true || point.requireArm === 'true';
+}
+
+/**
+ * 数据点按字符串地址索引，消息中的数值地址（如40001）与配置的"40001"相同
+ */
+function keyOf(item) {
+  return String(item.address);
+}
+
+function armError(message, rejected) {
+  return new HlsError(message, {
+    code: CLIENT_ERROR_CODES.WRITE_NOT_ARMED,
+    type: 'Validation',
+    resourceId: rejected.length > 0 ? rejected[0].address : null,
+    details: rejected,
+  });
+}
+
+/**
+ * 两步确认状态：记录每个数据点预备的值和过期时间
+ */
+class WriteArming {
+  /**
+   * @param {Array} points - 数据点配置（address、name、requireArm）
+   * @param {Object} options - all: 全部数据点都需要确认；windowMs: 确认窗口（毫秒）
+   */
+  constructor(points = [], options = {}) {
+    this.all = options.all === true;
+    this.windowMs = options.windowMs || 10000;
+    this.required = new Set(points.filter(requiresArm).map(keyOf));
+    this.names = new Map(points.map(point => [keyOf(point), pointName(point)]));
+    this.pending = new Map();
+  }
+
+  requires(item) {
+    return this.all || this.required.has(keyOf(item));
+  }
+
+  /**
+   * 预备写入项中需要确认的数据点，同一数据点重新预备时覆盖之前的值
+   * @returns {Object} armed: 预备的数据点（address、name、value），expiresAt: 过期时间戳
+   */
+  arm(items, now = Date.now()) {
+    const armed = items.filter(item => this.requires(item));
+    if (armed.length === 0) {
+      throw armError('预备消息中没有需要两步确认的数据点', []);
+    }
+    const expiresAt = now + this.windowMs;
+    armed.forEach(item => this.pending.set(keyOf(item), { key: valueKey(item.value), expiresAt }));
+    return {
+      armed: armed.map(item => ({
+        address: keyOf(item),
+        name: this.names.get(keyOf(item)) || item.name,
+        value: typeof item.value === 'bigint' ? item.value.toString() : item.value,
+      })),
+      expiresAt,
+    };
+  }
+
+  rejectionOf(item, now) {
+    const pending = this.pending.get(keyOf(item));
+    if (!pending) {
+      return ARM_REASONS.NOT_ARMED;
+    }
+    if (pending.expiresAt < now) {
+      return ARM_REASONS.EXPIRED;
+    }
+    return pending.key === valueKey(item.value) ? null : ARM_REASONS.VALUE_MISMATCH;
+  }
+
+  /**
+   * 检查执行的写入项，需要确认的数据点都已预备且值相同时通过，通过时预备保留到写入发送时由consume消耗。
+   * 拒绝时这些数据点的预备被消耗，需要重新预备
+   */
+  check(items, now = Date.now()) {
+    const guarded = items.filter(item => this.requires(item));
+    const rejected = guarded
+      .map(item => ({ item, reason: this.rejectionOf(item, now) }))
+      .filter(entry => entry.reason !== null)
+      .map(({ item, reason }) => ({
+        address: keyOf(item),
+        name: this.names.get(keyOf(item)) || item.name,
+        reason,
+      }));
+    if (rejected.length > 0) {
+      guarded.forEach(item => this.pending.delete(keyOf(item)));
+      const first = rejected[0];
+      throw armError(
+        `数据点 ${first.name} (${first.address}) ${REASON_TEXT[first.reason]}，未写入`,
+        rejected
+      );
+    }
+  }
+
+  /**
+   * 写入发送前消耗预备，每次预备只能执行一次：预备在连接设备期间过期，
+   * 或已被并发的执行消息消耗时拒绝
+   */
+  consume(items, now = Date.now()) {
+    this.check(items, now);
+    items.filter(item => this.requires(item)).forEach(item => this.pending.delete(keyOf(item)));
+  }
+
+  /**
+   * 仍在确认窗口内的预备数量
+   */
+  armedCount(now = Date.now()) {
+    return this.expiryTimes().filter(expiresAt => expiresAt >= now).length;
+  }
+
+  /**
+   * 已过期但尚未执行的预备数量，过期的预备保留到下次执行时以拒绝原因expired报告
+   */
+  expiredCount(now = Date.now()) {
+    return this.expiryTimes().filter(expiresAt => expiresAt < now).length;
+  }
+
+  /**
+   * 最早的过期时间戳，没有有效的预备时返回null
+   */
+  nextExpiry(now = Date.now()) {
+    const times = this.expiryTimes().filter(expiresAt => expiresAt >= now);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  expiryTimes() {
+    return [...this.pending.values()].map(pending => pending.expiresAt);
+  }
+}
+
+module.exports = {
+  ARM_ACTIONS,
+  ARM_REASONS,
+  WriteArming,
+};
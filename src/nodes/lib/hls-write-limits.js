@@ -0,0 +1,206 @@
+/**
+ * HLS Write Limits
+ * 数据点的写入限制：最小/最大值、允许值列表和单次最大变化量，在发送写入命令前检查。
+ * 限制按写入的工程值比较，数组逐个元素检查
+ */
+
+const { HlsWriteLimitError } = require('./hls-errors');
+const { pointName } = require('./hls-output-format');
+
+/**
+ * 限制配置：表格中未填写的字段为空字符串，按未配置处理
+ */
+function parseLimit(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 写入值转换为数值比较，空字符串和对象为NaN，不满足任何数值限制
+ */
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() === '') {
+    return NaN;
+  }
+  return ['number', 'string', 'bigint', 'boolean'].includes(typeof value) ? Number(value) : NaN;
+}
+
+/**
+ * 允许值可以是数组或逗号分隔的字符串，如"0,1,2"
+ */
+function parseAllowedValues(value) {
+  const list = Array.isArray(value)
+    ? value
+    : String(value === undefined || value === null ? '' : value).split(',');
+  return list.map(element => String(element).trim()).filter(element => element !== '');
+}
+
+/**
+ * 允许值按字符串相同或数值相等匹配，"1.0"与1相等
+ */
+function isAllowed(allowed, value) {
+  const number = toNumber(value);
+  return allowed === String(value).trim() || (!Number.isNaN(number) && number === Number(allowed));
+}
+
+/**
+ * 数据点的写入限制，没有配置时返回null
+ * @param {Object} point - 数据点配置（writeMin、writeMax、allowedValues、maxStep）
+ */
+function getWriteLimits(point) {
+  if (!point) {
+    return null;
+  }
+  const limits = {
+    min: parseLimit(point.writeMin),
+    max: parseLimit(point.writeMax),
+    allowedValues: parseAllowedValues(point.allowedValues),
+    maxStep: parseLimit(point.maxStep),
+  };
+  const configured =
+    limits.min !== null ||
+    limits.max !== null ||
+    limits.maxStep !== null ||
+    limits.allowedValues.length > 0;
+  return configured ? limits : null;
+}
+
+// 按顺序检查的限制：rule为错误中的限制名称，limit为限制值
+const LIMIT_RULES = [
+  {
+    rule: 'allowedValues',
+    applies: limits => limits.allowedValues.length > 0,
+    violated: (value, limits) => !limits.allowedValues.some(allowed => isAllowed(allowed, value)),
+    limit: limits => limits.allowedValues,
+    describe: limits => `不在允许值 [${limits.allowedValues.join(', ')}] 中`,
+  },
+  {
+    rule: 'min',
+    applies: limits => limits.min !== null,
+    violated: (value, limits) => !(toNumber(value) >= limits.min),
+    limit: limits => limits.min,
+    describe: limits => `小于最小值 ${limits.min}`,
+  },
+  {
+    rule: 'max',
+    applies: limits => limits.max !== null,
+    violated: (value, limits) => !(toNumber(value) <= limits.max),
+    limit: limits => limits.max,
+    describe: limits => `大于最大值 ${limits.max}`,
+  },
+];
+
+// 最大变化量相对写入前从设备读取的当前值，没有当前值时无法确认变化量，拒绝写入
+const STEP_RULE = {
+  rule: 'maxStep',
+  applies: limits => limits.maxStep !== null,
+  violated: (value, limits, current) =>
+    current === undefined || !(Math.abs(toNumber(value) - toNumber(current)) <= limits.maxStep),
+  limit: limits => limits.maxStep,
+  describe: (limits, current) =>
+    current === undefined
+      ? `无法读取当前值，不能检查最大变化量 ${limits.maxStep}`
+      : `相对当前值 ${current} 的变化超过 ${limits.maxStep}`,
+};
+
+/**
+ * 检查单个值，返回违反的限制，没有违反时返回null
+ */
+function findViolation(rules, value, limits, current) {
+  const rule = rules.find(
+    candidate => candidate.applies(limits) && candidate.violated(value, limits, current)
+  );
+  return rule
+    ? { rule: rule.rule, limit: rule.limit(limits), reason: rule.describe(limits, current) }
+    : null;
+}
+
+/**
+ * 写入限制检查：范围和允许值在连接设备前检查，最大变化量在写入前按设备当前值检查
+ */
+class WriteLimiter {
+  /**
+   * @param {Array} points - 数据点配置（address、name、writeMin、writeMax、allowedValues、maxStep）
+   */
+  constructor(points = []) {
+    this.limits = new Map();
+    this.names = new Map();
+    points.forEach(point => {
+      const limits = getWriteLimits(point);
+      if (limits) {
+        this.limits.set(String(point.address), limits);
+        this.names.set(String(point.address), pointName(point));
+      }
+    });
+  }
+
+  /**
+   * 检查范围和允许值，任一写入项违反限制时抛出HlsWriteLimitError，不写入任何数据点
+   * @param {Array} items - 写入项（address、value），数值地址按字符串匹配
+   */
+  check(items) {
+    this.checkRules(LIMIT_RULES, items, new Map());
+  }
+
+  /**
+   * 配置了最大变化量的写入项，写入前需要读取这些数据点的当前值
+   */
+  stepItems(items) {
+    return items.filter(item => {
+      const limits = this.limits.get(String(item.address));
+      return !!limits && limits.maxStep !== null;
+    });
+  }
+
+  /**
+   * 检查最大变化量，未能读取当前值的数据点同样被拒绝
+   * @param {Map} current - 按字符串地址索引的设备当前值（工程值），数组按元素对应
+   */
+  checkSteps(items, current) {
+    this.checkRules([STEP_RULE], items, current);
+  }
+
+  checkRules(rules, items, current) {
+    items.forEach(item => {
+      const limits = this.limits.get(String(item.address));
+      if (!limits) {
+        return;
+      }
+      const values = Array.isArray(item.value) ? item.value : [item.value];
+      const base = current.get(String(item.address));
+      values.forEach((value, index) => {
+        const violation = findViolation(
+          rules,
+          value,
+          limits,
+          Array.isArray(base) ? base[index] : base
+        );
+        if (violation) {
+          this.reject(item, value, violation);
+        }
+      });
+    });
+  }
+
+  reject(item, value, violation) {
+    const name = this.names.get(String(item.address));
+    throw new HlsWriteLimitError(
+      `数据点 ${name} (${item.address}) 的写入值 ${value} ${violation.reason}`,
+      {
+        address: String(item.address),
+        name,
+        value: typeof value === 'bigint' ? value.toString() : value,
+        rule: violation.rule,
+        limit: violation.limit,
+      }
+    );
+  }
+}
+
+module.exports = {
+  getWriteLimits,
+  WriteLimiter,
+};
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for HLS write audit log
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, filterRecords, toCsv, toJsonLines } = require('../hls-audit');
+
+describe('HLS Audit', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-audit-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const records = [
+    {
+      timestamp: '2024-01-01T00:00:00.000Z',
+      nodeId: 'w1',
+      address: '40001',
+      value: 1,
+      result: 'success',
+    },
+    {
+      timestamp: '2024-01-01T00:01:00.000Z',
+      nodeId: 'w2',
+      address: '40002',
+      name: 'Mode',
+      value: 2,
+      result: 'failed',
+    },
+    {
+      timestamp: '2024-01-01T00:02:00.000Z',
+      nodeId: 'w1',
+      address: '40001',
+      value: 3,
+      result: 'success',
+    },
+  ];
+
+  it('should append records in order and share one log per file', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const log = AuditLog.acquire(file);
+    assert.strictEqual(AuditLog.acquire(file), log);
+    assert.deepEqual(await log.query(), []);
+
+    log.append(records.slice(0, 2));
+    log.append([Object.assign({}, records[2], { value: 10n ** 20n })]);
+    const stored = await log.query();
+    assert.deepEqual(
+      stored.map(record => record.value),
+      [1, 2, '100000000000000000000']
+    );
+
+    // 中断写入的行被跳过，已有记录不变
+    fs.appendFileSync(file, '{"timestamp":');
+    assert.equal((await log.query()).length, 3);
+  });
+
+  it('should filter by node, point, result and time and keep the latest records', () => {
+    assert.deepEqual(
+      filterRecords(records, { nodeId: 'w1' }).map(record => record.value),
+      [1, 3]
+    );
+    assert.deepEqual(
+      filterRecords(records, { point: 'Mode' }).map(record => record.value),
+      [2]
+    );
+    assert.deepEqual(
+      filterRecords(records, { result: 'success', limit: '1' }).map(record => record.value),
+      [3]
+    );
+    assert.deepEqual(
+      filterRecords(records, { from: '2024-01-01T00:00:30Z', to: '2024-01-01T00:01:30Z' }).map(
+        record => record.value
+      ),
+      [2]
+    );
+  });
+
+  it('should export CSV with escaped cells and JSON Lines', () => {
+    const csv = toCsv([{ address: '40001', value: [1, 2], errorMessage: 'a "b", c' }]).split(
+      '\r\n'
+    );
+    assert.ok(csv[0].startsWith('timestamp,flowId,nodeId'));
+    assert.equal(csv[1], ',,,,,,,,40001,,,"[1,2]",,,"a ""b"", c"');
+    assert.equal(toJsonLines(records.slice(0, 1)), `${JSON.stringify(records[0])}\n`);
+  });
+
+  it('should neutralize formulas in exported text', () => {
+    const csv = toCsv([{ topic: '=HYPERLINK("x")', name: '@SUM(A1)', source: '-1+1', value: -5 }]);
+    const row = csv.split('\r\n')[1].split(',');
+    assert.equal(row[5], `"'=HYPERLINK(""x"")"`);
+    assert.equal(row[6], "'-1+1");
+    assert.equal(row[9], "'@SUM(A1)");
+    assert.equal(row[11], '-5');
+  });
+
+  it('should return only the latest matching records when reading the file', async () => {
+    const log = new AuditLog(path.join(dir, 'large.jsonl'));
+    const many = Array.from({ length: 50 }, (unused, index) => ({
+      nodeId: index % 2 === 0 ? 'w1' : 'w2',
+      value: index,
+    }));
+    await log.append(many);
+    const latest = await log.query({ nodeId: 'w1', limit: '3' });
+    assert.deepEqual(
+      latest.map(record => record.value),
+      [44, 46, 48]
+    );
+    assert.equal((await log.query()).length, 50);
+  });
+});
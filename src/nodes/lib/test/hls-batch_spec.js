@@ -0,0 +1,114 @@
+/**
+ * Unit tests for HLS batch splitting
+ */
+
+const assert = require('assert');
+const { MAX_BATCH_SIZE, planBatches, runWithConcurrency, readInBatches } = require('../hls-batch');
+
+function registers(start, count) {
+  return Array.from({ length: count }, (_, i) => String(start + i));
+}
+
+describe('HLS Batch', () => {
+  it('should split point lists into batches of at most 100 points', () => {
+    const batches = planBatches(
+      registers(40001, 250).map(a => `ns=2;s=${a}`),
+      { protocol: 'OpcUa' }
+    );
+    assert.deepEqual(
+      batches.map(batch => batch.length),
+      [100, 100, 50]
+    );
+    assert.equal(planBatches(registers(1, 30), { maxBatchSize: 500 })[0].length, 30);
+    assert.equal(MAX_BATCH_SIZE, 100);
+  });
+
+  it('should keep contiguous Modbus registers in the same batch', () => {
+    const addresses = [].concat(registers(40001, 60), registers(30001, 60), ['40070']);
+    const batches = planBatches(addresses, { protocol: 'ModbusTcp' });
+    assert.deepEqual(batches[0], registers(30001, 60));
+    assert.deepEqual(batches[1], registers(40001, 60).concat(['40070']));
+  });
+
+  it('should cut ranges longer than the batch limit', () => {
+    const batches = planBatches(registers(1, 150), { protocol: 'ModbusTcp', maxBatchSize: 100 });
+    assert.deepEqual(batches, [registers(1, 100), registers(101, 50)]);
+  });
+
+  it('should not run more tasks at once than the concurrency limit', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const tasks = [1, 2, 3, 4, 5].map(value => async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return value;
+    });
+
+    assert.deepEqual(await runWithConcurrency(tasks, 2), [1, 2, 3, 4, 5]);
+    assert.equal(maxActive, 2);
+  });
+
+  it('should reassemble batch results in configured order', async () => {
+    const addresses = ['40003', '40001', 'x=3;100', '40002'];
+    const requested = [];
+    const response = await readInBatches(
+      batch => {
+        requested.push(batch);
+        return Promise.resolve({
+          success: true,
+          data: batch.map(address => ({ address, value: address.length })),
+          timestamp: '2025-08-26T10:00:00Z',
+        });
+      },
+      addresses,
+      { protocol: 'ModbusTcp', maxBatchSize: 2 }
+    );
+
+    assert.deepEqual(requested, [
+      ['40001', '40002'],
+      ['40003', 'x=3;100'],
+    ]);
+    assert.deepEqual(
+      response.data.map(item => item.address),
+      addresses
+    );
+    assert.equal(response.timestamp, '2025-08-26T10:00:00Z');
+  });
+
+  it('should flag points of failed batches and keep the other results', async () => {
+    const response = await readInBatches(
+      batch =>
+        batch[0] === '3'
+          ? Promise.reject(Object.assign(new Error('连接超时'), { code: '2003' }))
+          : Promise.resolve({ success: true, data: batch.map(address => ({ address, value: 1 })) }),
+      registers(1, 5),
+      { maxBatchSize: 2 }
+    );
+
+    assert.deepEqual(
+      response.data.map(item => item.success !== false),
+      [true, true, false, false, true]
+    );
+    assert.deepEqual(response.data[2].error, { code: '2003', message: '连接超时' });
+  });
+
+  it('should accept results nested in response.data.results', async () => {
+    const response = await readInBatches(
+      batch =>
+        Promise.resolve({ success: true, data: { results: batch.map(address => ({ address })) } }),
+      registers(1, 3)
+    );
+    assert.equal(response.data.length, 3);
+  });
+
+  it('should fail when every batch fails', async () => {
+    await assert.rejects(
+      readInBatches(() => Promise.resolve({ success: false, data: [] }), registers(1, 5), {
+        maxBatchSize: 2,
+      }),
+      /数据读取失败/
+    );
+  });
+});
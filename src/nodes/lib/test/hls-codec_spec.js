@@ -0,0 +1,165 @@
+/**
+ * Unit tests for HLS register codec
+ */
+
+const assert = require('assert');
+const {
+  parseAddress,
+  getCodec,
+  validateCodec,
+  registersOf,
+  decodeValue,
+  encodeValue,
+  setBit,
+  planRegisterReads,
+  decodeResults,
+} = require('../hls-codec');
+
+describe('HLS Codec', () => {
+  // 12.5 = 0x41480000
+  const float = order => getCodec({ address: '40001', dataType: 'Float', byteOrder: order });
+
+  it('should parse register addresses with a bit index', () => {
+    assert.deepEqual(parseAddress('40010.3'), { register: '40010', bit: 3 });
+    assert.deepEqual(parseAddress('40010'), { register: '40010', bit: null });
+    assert.strictEqual(parseAddress('ns=2;s=Tag'), null);
+  });
+
+  it('should leave points without codec settings alone', () => {
+    assert.strictEqual(getCodec({ address: '40001', dataType: 'Float' }), null);
+    assert.strictEqual(getCodec({ address: 'DB1.DBW0', byteOrder: 'CDAB' }), null);
+  });
+
+  it('should decode and encode all byte orders', () => {
+    const words = {
+      ABCD: [0x4148, 0],
+      CDAB: [0, 0x4148],
+      BADC: [0x4841, 0],
+      DCBA: [0, 0x4841],
+    };
+    Object.keys(words).forEach(order => {
+      assert.equal(decodeValue(float(order), words[order]), 12.5, order);
+      assert.deepEqual(encodeValue(float(order), 12.5), words[order], order);
+    });
+  });
+
+  it('should handle signed register values and 64-bit word order', () => {
+    const int32 = getCodec({ address: '40001', dataType: 'Int32', byteOrder: 'CDAB' });
+    assert.equal(decodeValue(int32, [-2, -1]), -2);
+    assert.deepEqual(encodeValue(int32, -2), [-2, -1]);
+
+    const double = getCodec({ address: '40001', dataType: 'Double', byteOrder: 'CDAB' });
+    assert.deepEqual(registersOf(double), ['40001', '40002', '40003', '40004']);
+    assert.equal(decodeValue(double, encodeValue(double, 1.25)), 1.25);
+
+    const uint64 = getCodec({ address: '40001', dataType: 'UInt64', byteOrder: 'ABCD' });
+    assert.equal(decodeValue(uint64, [-1, -1, -1, -1]), 18446744073709551615n);
+    assert.deepEqual(encodeValue(uint64, '9007199254740993'), [0x20, 0, 0, 1]);
+  });
+
+  it('should extract and set single bits', () => {
+    const codec = getCodec({ address: '40010.3', dataType: 'Int16' });
+    assert.equal(codec.dataType, 'Bool');
+    assert.deepEqual(registersOf(codec), ['40010']);
+    assert.equal(decodeValue(codec, [0b1000]), true);
+    assert.equal(decodeValue(codec, [0b0111]), false);
+    assert.equal(setBit(0b0001, 3, true), 0b1001);
+    assert.equal(setBit(-1, 15, false), 0x7fff);
+    assert.equal(getCodec({ address: '40010', bit: '15' }).bit, 15);
+  });
+
+  it('should decode fixed-length strings', () => {
+    const codec = getCodec({ address: '40020', dataType: 'String', stringLength: 6 });
+    assert.deepEqual(registersOf(codec), ['40020', '40021', '40022']);
+    // "AB" "C\0" "xx"
+    assert.equal(decodeValue(codec, [0x4142, 0x4300, 0x7878]), 'ABC');
+    assert.deepEqual(encodeValue(codec, 'ABC'), [0x4142, 0x4300, 0]);
+
+    const swapped = getCodec({
+      address: '40020',
+      dataType: 'String',
+      stringLength: 2,
+      byteOrder: 'BADC',
+    });
+    assert.equal(decodeValue(swapped, [0x4241]), 'AB');
+  });
+
+  it('should decode and encode arrays element by element', () => {
+    const codec = getCodec({ address: '40001', dataType: 'Float[2]', byteOrder: 'CDAB' });
+    assert.equal(codec.count, 2);
+    assert.deepEqual(registersOf(codec), ['40001', '40002', '40003', '40004']);
+    assert.deepEqual(decodeValue(codec, [0, 0x4148, 0, 0]), [12.5, 0]);
+    // 只写入开头的元素
+    assert.deepEqual(encodeValue(codec, [12.5]), [0, 0x4148]);
+    assert.throws(() => encodeValue(codec, [1, 2, 3]), /Float\[2\]/);
+
+    const int16 = getCodec({ address: '40001', dataType: 'Int16', arrayLength: '3' });
+    assert.equal(int16.dataType, 'Int16[3]');
+    assert.deepEqual(decodeValue(int16, [1, -2, 3]), [1, -2, 3]);
+  });
+
+  it('should pass raw registers through as a Buffer', () => {
+    const codec = getCodec({ address: '40001', dataType: 'Raw[2]', byteOrder: 'DCBA' });
+    assert.deepEqual(decodeValue(codec, [0x0102, -1]), Buffer.from([1, 2, 0xff, 0xff]));
+    assert.deepEqual(encodeValue(codec, Buffer.from([1, 2, 3])), [0x0102, 0x0300]);
+    assert.deepEqual(encodeValue(codec, { type: 'Buffer', data: [1, 2] }), [0x0102]);
+  });
+
+  it('should reject invalid settings', () => {
+    assert.equal(validateCodec(getCodec({ address: '40010.16' })).code, '3001');
+    assert.equal(validateCodec(getCodec({ address: '1', byteOrder: 'ABDC' })).code, '3007');
+    assert.equal(
+      validateCodec(getCodec({ address: '1', dataType: 'String', byteOrder: 'ABCD' })).code,
+      '3007'
+    );
+    assert.equal(validateCodec(getCodec({ address: '1', dataType: 'String[2]' })).code, '3007');
+    assert.equal(validateCodec(getCodec({ address: '1.3', dataType: 'Int16[2]' })).code, '3007');
+    assert.strictEqual(validateCodec(float('DCBA')), null);
+  });
+
+  it('should expand reads into registers and recombine the results', () => {
+    const points = new Map([
+      ['40001', { address: '40001', dataType: 'Float', byteOrder: 'CDAB' }],
+      ['40010.3', { address: '40010.3' }],
+      ['40010.16', { address: '40010.16' }],
+    ]);
+    const addresses = ['40001', '40010', '40010.3', '40010.16'];
+    const plan = planRegisterReads(addresses, points);
+    assert.deepEqual(plan.addresses, ['40001', '40002', '40010']);
+
+    const results = decodeResults(
+      addresses,
+      [
+        { address: '40001', value: 0, success: true },
+        { address: '40002', value: 0x4148, success: true },
+        { address: '40010', value: 8, success: true },
+      ],
+      plan
+    );
+    assert.deepEqual(
+      results.map(result => [result.address, result.value, result.success]),
+      [
+        ['40001', 12.5, true],
+        ['40010', 8, true],
+        ['40010.3', true, true],
+        ['40010.16', null, false],
+      ]
+    );
+    assert.equal(results[0].dataType, 'Float');
+  });
+
+  it('should fail a point when one of its registers fails', () => {
+    const points = new Map([['40001', { address: '40001', dataType: 'Int32', byteOrder: 'ABCD' }]]);
+    const plan = planRegisterReads(['40001'], points);
+    const [result] = decodeResults(
+      ['40001'],
+      [
+        { address: '40001', value: 1, success: true },
+        { address: '40002', value: null, success: false, error: { code: '2003' } },
+      ],
+      plan
+    );
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, '2003');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for HLS read control state
+ */
+
+const assert = require('assert');
+const { intervalsOf, buildControlState, restorableState } = require('../hls-control-state');
+
+describe('HLS Control State', () => {
+  const scanClasses = [
+    { name: 'alarm', interval: '200' },
+    { name: 'process', interval: 2000 },
+  ];
+  const configured = intervalsOf(1000, scanClasses);
+
+  it('should save the current intervals with the configured ones', () => {
+    const state = buildControlState(
+      {
+        paused: true,
+        interval: 5000,
+        scanClasses: [{ name: 'alarm', interval: 500 }, scanClasses[1]],
+      },
+      configured
+    );
+    assert.deepEqual(state, {
+      paused: true,
+      interval: 5000,
+      scanClasses: { alarm: 500, process: 2000 },
+      configured: { interval: 1000, scanClasses: { alarm: 200, process: 2000 } },
+    });
+  });
+
+  it('should restore the saved state while the configuration is unchanged', () => {
+    const state = buildControlState({ paused: true, interval: 5000, scanClasses }, configured);
+    const reordered = intervalsOf(1000, [scanClasses[1], scanClasses[0]]);
+    assert.strictEqual(restorableState(state, reordered), state);
+  });
+
+  it('should discard the saved state once the configured intervals change', () => {
+    const state = buildControlState({ paused: false, interval: 5000, scanClasses }, configured);
+    assert.strictEqual(restorableState(state, intervalsOf(3000, scanClasses)), null);
+    assert.strictEqual(
+      restorableState(state, intervalsOf(1000, [{ name: 'alarm', interval: 300 }, scanClasses[1]])),
+      null
+    );
+    assert.strictEqual(restorableState(state, intervalsOf(1000, scanClasses.slice(0, 1))), null);
+    // 没有记录配置的旧状态同样丢弃
+    assert.strictEqual(restorableState({ paused: true, interval: 5000 }, configured), null);
+    assert.strictEqual(restorableState(undefined, configured), null);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for HLS deadband and report-by-exception
+ */
+
+const assert = require('assert');
+const { DEADBAND_TYPES, exceedsDeadband, ExceptionReporter } = require('../hls-deadband');
+
+describe('HLS Deadband', () => {
+  it('should compare absolute deadband against the value delta', () => {
+    const point = { deadband: 0.5, deadbandType: DEADBAND_TYPES.ABSOLUTE };
+    assert.equal(exceedsDeadband(10, 10.5, point), false);
+    assert.equal(exceedsDeadband(10, 10.6, point), true);
+    assert.equal(exceedsDeadband(10, 9.4, point), true);
+  });
+
+  it('should compare percent deadband against the last reported value', () => {
+    const point = { deadband: 10, deadbandType: DEADBAND_TYPES.PERCENT };
+    assert.equal(exceedsDeadband(200, 219, point), false);
+    assert.equal(exceedsDeadband(200, 221, point), true);
+    assert.equal(exceedsDeadband(-200, -179, point), true);
+    assert.equal(exceedsDeadband(0, 0.001, point), true);
+  });
+
+  it('should report any change without deadband or for non-numeric values', () => {
+    assert.equal(exceedsDeadband(1, 1, {}), false);
+    assert.equal(exceedsDeadband(1, 1.0001, {}), true);
+    assert.equal(exceedsDeadband(true, false, { deadband: 5 }), true);
+    assert.equal(exceedsDeadband('run', 'run', { deadband: 5 }), false);
+  });
+
+  it('should compare 64-bit integers exactly', () => {
+    assert.equal(exceedsDeadband(9007199254740993n, 9007199254740992n, {}), true);
+    assert.equal(exceedsDeadband(9007199254740993n, 9007199254740993n, {}), false);
+    assert.equal(exceedsDeadband(100n, 104n, { deadband: 5 }), false);
+    assert.equal(exceedsDeadband([1n], [2n], {}), true);
+  });
+
+  describe('ExceptionReporter', () => {
+    const points = [
+      { address: '40001', deadband: '1' },
+      { address: '40002', deadband: '5', deadbandType: 'percent' },
+    ];
+
+    function read(v1, v2, quality = 'Good') {
+      return [
+        { address: '40001', value: v1, quality },
+        { address: '40002', value: v2, quality: 'Good' },
+      ];
+    }
+
+    it('should report every point on first read and only changes afterwards', () => {
+      const reporter = new ExceptionReporter(points);
+      assert.equal(reporter.filter(read(10, 100), 0).length, 2);
+      assert.deepEqual(reporter.filter(read(10.5, 104), 1000), []);
+
+      const changed = reporter.filter(read(11.5, 104), 2000);
+      assert.deepEqual(
+        changed.map(item => item.address),
+        ['40001']
+      );
+    });
+
+    it('should compare against the last reported value rather than the last read', () => {
+      const reporter = new ExceptionReporter(points);
+      reporter.filter(read(10, 100), 0);
+      reporter.filter(read(10.6, 100), 1000);
+      const changed = reporter.filter(read(11.2, 100), 2000);
+      assert.deepEqual(
+        changed.map(item => item.address),
+        ['40001']
+      );
+    });
+
+    it('should report quality changes regardless of deadband', () => {
+      const reporter = new ExceptionReporter(points);
+      reporter.filter(read(10, 100), 0);
+      const changed = reporter.filter(read(10, 100, 'Bad'), 1000);
+      assert.deepEqual(
+        changed.map(item => item.address),
+        ['40001']
+      );
+    });
+
+    it('should force a refresh after max silence', () => {
+      const reporter = new ExceptionReporter(points, { maxSilence: 5000 });
+      reporter.filter(read(10, 100), 0);
+      assert.equal(reporter.filter(read(10, 100), 4999).length, 0);
+      assert.equal(reporter.filter(read(10, 100), 5000).length, 2);
+      assert.equal(reporter.filter(read(10, 100), 6000).length, 0);
+    });
+
+    it('should report everything again after reset', () => {
+      const reporter = new ExceptionReporter(points);
+      reporter.filter(read(10, 100), 0);
+      reporter.reset();
+      assert.equal(reporter.filter(read(10, 100), 1000).length, 2);
+    });
+  });
+});
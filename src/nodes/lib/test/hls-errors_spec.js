@@ -0,0 +1,135 @@
+/**
+ * Unit tests for HLS errors and retry
+ */
+
+const assert = require('assert');
+const {
+  ERROR_CATEGORIES,
+  getErrorCategory,
+  formatErrorMessage,
+  HlsError,
+  HlsConnectionError,
+  HlsTimeoutError,
+} = require('../hls-errors');
+const { withRetry } = require('../hls-retry');
+
+describe('HLS Errors', () => {
+  it('should map service error codes to categories', () => {
+    assert.equal(getErrorCategory('1001'), ERROR_CATEGORIES.SYSTEM);
+    assert.equal(getErrorCategory('2003'), ERROR_CATEGORIES.DEVICE);
+    assert.equal(getErrorCategory('3001'), ERROR_CATEGORIES.DATA);
+    assert.equal(getErrorCategory('4002'), ERROR_CATEGORIES.CONFIGURATION);
+    assert.equal(getErrorCategory('5002'), ERROR_CATEGORIES.IPC);
+    assert.equal(getErrorCategory('IPC_REQUEST_TIMEOUT'), ERROR_CATEGORIES.IPC);
+    assert.equal(getErrorCategory('DEVICE_NOT_FOUND'), ERROR_CATEGORIES.DEVICE);
+    assert.equal(getErrorCategory('9001'), ERROR_CATEGORIES.UNKNOWN);
+  });
+
+  it('should preserve every field of the service error object', () => {
+    const err = HlsError.fromResponse(
+      {
+        messageId: 'm-1',
+        success: false,
+        error: {
+          code: '2004',
+          message: '设备忙',
+          details: 'busy',
+          type: 2,
+          retryable: true,
+          retryDelayMs: 3000,
+          resourceId: 'conn-1',
+        },
+      },
+      'read'
+    );
+
+    assert.equal(err.code, '2004');
+    assert.equal(err.category, 'device');
+    assert.equal(err.type, 'Network');
+    assert.equal(err.retryable, true);
+    assert.equal(err.retryDelayMs, 3000);
+    assert.equal(err.resourceId, 'conn-1');
+    assert.equal(err.details, 'busy');
+    assert.equal(err.messageId, 'm-1');
+    assert.deepEqual(JSON.parse(JSON.stringify(err)).code, '2004');
+    assert.equal(formatErrorMessage(err), '[2004] 设备忙');
+  });
+
+  it('should mark timeouts retryable and connection errors not', () => {
+    assert.equal(new HlsTimeoutError('超时').retryable, true);
+    assert.equal(new HlsConnectionError('断开').retryable, false);
+  });
+});
+
+describe('HLS Retry', () => {
+  function retryableError() {
+    return new HlsError('设备忙', { code: '2004', retryable: true, retryDelayMs: 10 });
+  }
+
+  it('should retry retryable errors after the suggested delay', async () => {
+    let calls = 0;
+    const retries = [];
+
+    const result = await withRetry(
+      async () => {
+        calls++;
+        if (calls < 3) {
+          throw retryableError();
+        }
+        return 'ok';
+      },
+      { onRetry: (err, attempt, delay) => retries.push([err.code, attempt, delay]) }
+    );
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(retries, [
+      ['2004', 1, 10],
+      ['2004', 2, 10],
+    ]);
+  });
+
+  it('should surface non-retryable errors immediately', async () => {
+    let calls = 0;
+
+    await assert.rejects(
+      withRetry(async () => {
+        calls++;
+        throw new HlsError('地址无效', { code: '3001' });
+      }),
+      err => err.code === '3001'
+    );
+    assert.equal(calls, 1);
+  });
+
+  it('should give up after maxRetries', async () => {
+    let calls = 0;
+
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw retryableError();
+        },
+        { maxRetries: 2 }
+      ),
+      HlsError
+    );
+    assert.equal(calls, 3);
+  });
+
+  it('should not retry errors rejected by shouldRetry', async () => {
+    let calls = 0;
+
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw new HlsTimeoutError('请求超时');
+        },
+        { shouldRetry: err => !(err instanceof HlsTimeoutError) }
+      ),
+      HlsTimeoutError
+    );
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for HLS IPC message framing
+ */
+
+const assert = require('assert');
+const {
+  FrameDecoder,
+  FrameTooLargeError,
+  MAX_MESSAGE_SIZE,
+  encodeFrame,
+} = require('../hls-framing');
+
+describe('HLS Framing', () => {
+  it('should terminate newline frames with a single newline', () => {
+    const frame = encodeFrame('{"a":1}');
+    assert.equal(frame.toString(), '{"a":1}\n');
+  });
+
+  it('should prefix length frames with a 4-byte big-endian length', () => {
+    const frame = encodeFrame('{"a":"温度"}', 'length');
+    assert.equal(frame.readUInt32BE(0), Buffer.byteLength('{"a":"温度"}'));
+    assert.equal(frame.subarray(4).toString(), '{"a":"温度"}');
+  });
+
+  it('should reassemble a message split across chunks', () => {
+    const decoder = new FrameDecoder();
+    const frame = encodeFrame('{"name":"温度传感器"}');
+
+    // 逐字节推入，覆盖多字节字符被拆开的情况
+    const messages = [];
+    for (let i = 0; i < frame.length; i++) {
+      messages.push(...decoder.push(frame.subarray(i, i + 1)));
+    }
+    assert.deepEqual(messages, ['{"name":"温度传感器"}']);
+  });
+
+  it('should split coalesced messages and keep the incomplete tail', () => {
+    const decoder = new FrameDecoder();
+
+    assert.deepEqual(decoder.push(Buffer.from('{"a":1}\n{"b":2}\r\n{"c"')), ['{"a":1}', '{"b":2}']);
+    assert.deepEqual(decoder.push(Buffer.from(':3}\n')), ['{"c":3}']);
+  });
+
+  it('should decode mixed length-prefixed and newline frames', () => {
+    const decoder = new FrameDecoder();
+    const chunk = Buffer.concat([encodeFrame('{"a":1}', 'length'), encodeFrame('{"b":2}')]);
+
+    assert.deepEqual(decoder.push(chunk.subarray(0, 3)), []);
+    assert.deepEqual(decoder.push(chunk.subarray(3)), ['{"a":1}', '{"b":2}']);
+  });
+
+  it('should reject messages larger than the maximum size', () => {
+    assert.throws(() => encodeFrame('x'.repeat(MAX_MESSAGE_SIZE + 1)), FrameTooLargeError);
+
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(MAX_MESSAGE_SIZE + 1, 0);
+    assert.throws(() => new FrameDecoder().push(header), FrameTooLargeError);
+
+    assert.throws(
+      () => new FrameDecoder().push(Buffer.alloc(MAX_MESSAGE_SIZE + 1, 'x')),
+      FrameTooLargeError
+    );
+  });
+});
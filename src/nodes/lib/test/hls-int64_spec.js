@@ -0,0 +1,56 @@
+/**
+ * Unit tests for HLS 64-bit integer handling
+ */
+
+const assert = require('assert');
+const {
+  INT64_FORMATS,
+  int64Type,
+  toBigInt,
+  toWireValue,
+  parseReadValue,
+  formatInt64,
+} = require('../hls-int64');
+
+describe('HLS Int64', () => {
+  it('should recognise 64-bit types and arrays', () => {
+    assert.equal(int64Type('Int64'), 'int64');
+    assert.equal(int64Type('UInt64[4]'), 'uint64');
+    assert.strictEqual(int64Type('Int32'), null);
+  });
+
+  it('should convert values without losing precision', () => {
+    assert.equal(toBigInt('9007199254740993', 'Int64'), 9007199254740993n);
+    assert.equal(toBigInt(-5, 'Int64'), -5n);
+    assert.equal(toWireValue(18446744073709551615n, 'UInt64'), '18446744073709551615');
+  });
+
+  it('should reject unsafe numbers and out-of-range values', () => {
+    assert.throws(
+      () => toBigInt(2 ** 60, 'Int64'),
+      err => err.code === '3007'
+    );
+    assert.throws(
+      () => toBigInt('1.5', 'Int64'),
+      err => err.code === '3007'
+    );
+    assert.throws(
+      () => toBigInt('9223372036854775808', 'Int64'),
+      err => err.code === '3009'
+    );
+    assert.throws(
+      () => toBigInt(-1, 'UInt64'),
+      err => err.code === '3009'
+    );
+  });
+
+  it('should parse read values and format them for output', () => {
+    const value = parseReadValue('9007199254740993', 'Int64');
+    assert.equal(value, 9007199254740993n);
+    assert.equal(formatInt64(value, INT64_FORMATS.STRING), '9007199254740993');
+    assert.equal(formatInt64(value, INT64_FORMATS.BIGINT), 9007199254740993n);
+    assert.deepEqual(parseReadValue(['1', 2], 'Int64[2]'), [1n, 2n]);
+    assert.strictEqual(parseReadValue(null, 'Int64'), null);
+    assert.equal(parseReadValue('12', 'Int16'), '12');
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Unit tests for HLS IPC Client
+ */
+
+const assert = require('assert');
+const net = require('net');
+const HLSIPCClient = require('../hls-ipc-client');
+const { HlsError, HlsConnectionError, HlsTimeoutError } = require('../hls-errors');
+const { FrameDecoder, MAX_MESSAGE_SIZE, encodeFrame } = require('../hls-framing');
+
+describe('HLS IPC Client Library', () => {
+  let server;
+  let client;
+  let received;
+  let reply;
+  let send;
+  let sockets;
+
+  // 模拟HLS服务：记录收到的请求，按reply生成响应，send可改写响应的发送方式
+  beforeEach(done => {
+    received = [];
+    sockets = [];
+    reply = request => ({ messageId: request.messageId, success: true, data: {} });
+    send = (socket, response) => socket.write(`${JSON.stringify(response)}\n`);
+    server = net.createServer(socket => {
+      sockets.push(socket);
+      const decoder = new FrameDecoder();
+      socket.on('data', data => {
+        decoder.push(data).forEach(message => {
+          const request = JSON.parse(message);
+          received.push(request);
+          const response = reply(request);
+          if (response) {
+            send(socket, response);
+          }
+        });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      client = new HLSIPCClient({ host: '127.0.0.1', port: server.address().port, timeout: 500 });
+      done();
+    });
+  });
+
+  afterEach(done => {
+    client.disconnect();
+    server.close(() => done());
+  });
+
+  it('should send commands in the standard request envelope', async () => {
+    await client.readBatchData('conn-1', ['40001', '40002']);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].version, '1.0');
+    assert.equal(received[0].command, 'readBatch');
+    assert.ok(received[0].messageId);
+    assert.deepEqual(received[0].data, { connectionId: 'conn-1', addresses: ['40001', '40002'] });
+  });
+
+  it('should map every public method to a service command', async () => {
+    await client.connectDevice({ protocol: 'ModbusTcp' }, []);
+    await client.disconnectDevice('conn-1');
+    await client.getStatus('conn-1');
+    await client.listConnections();
+    await client.readData('conn-1', '40001');
+    await client.writeData('conn-1', '40001', 1, 'Int16');
+    await client.writeBatchData('conn-1', []);
+    await client.getServerStatus();
+    await client.getProtocolInfo();
+    await client.listDevices();
+    await client.configureDataPoints({ deviceId: 'plc-1' });
+    await client.validateConfiguration('device', { deviceId: 'plc-1' });
+    await client.getSchemas();
+    await client.batchDataPointOperation({ operation: 'Read' });
+
+    assert.deepEqual(
+      received.map(request => request.command),
+      [
+        'connect',
+        'disconnect',
+        'status',
+        'listConnections',
+        'read',
+        'write',
+        'writeBatch',
+        'serverStatus',
+        'protocolInfo',
+        'device_list',
+        'configure_datapoints',
+        'validate_configuration',
+        'get_schemas',
+        'batch_datapoint_operation',
+      ]
+    );
+    assert.equal(received[11].data.configurationType, 'device');
+  });
+
+  it('should drop responses without messageId that do not answer a heartbeat', async () => {
+    reply = () => ({ messageId: '', success: true, data: { value: 1 } });
+
+    await assert.rejects(client.readData('conn-1', '40001'), HlsTimeoutError);
+  });
+
+  it('should clear the request timeout when the response arrives', async () => {
+    await client.connect();
+    const timers = () =>
+      process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+    const before = timers();
+
+    await client.readData('conn-1', '40001');
+    assert.equal(timers(), before);
+    assert.equal(client.pendingRequests.size, 0);
+  });
+
+  it('should reject with HlsError carrying the service error code', async () => {
+    reply = request => ({
+      messageId: request.messageId,
+      success: false,
+      error: { code: '3001', message: '地址无效', details: ['address: 99999'] },
+    });
+
+    await assert.rejects(client.readData('conn-1', '99999'), err => {
+      assert.ok(err instanceof HlsError);
+      assert.equal(err.code, '3001');
+      assert.equal(err.message, '地址无效');
+      assert.deepEqual(err.details, ['address: 99999']);
+      assert.equal(err.command, 'read');
+      return true;
+    });
+  });
+
+  it('should reject with HlsTimeoutError when no response arrives', async () => {
+    reply = () => null;
+
+    await assert.rejects(client.ping(), err => {
+      assert.ok(err instanceof HlsTimeoutError);
+      assert.equal(err.code, 'IPC_REQUEST_TIMEOUT');
+      return true;
+    });
+  });
+
+  it('should reject with HlsConnectionError when the service is unreachable', async () => {
+    const unreachable = new HLSIPCClient({ host: '127.0.0.1', port: 1, timeout: 500 });
+
+    await assert.rejects(unreachable.ping(), HlsConnectionError);
+    unreachable.disconnect();
+  });
+
+  it('should reassemble a response split across TCP segments', async () => {
+    const values = Array.from({ length: 100 }, (_, i) => ({
+      address: `${40001 + i}`,
+      value: '温度',
+    }));
+    send = (socket, response) => {
+      const frame = encodeFrame(JSON.stringify(response));
+      // 在多字节字符中间拆开
+      const middle = frame.indexOf('温') + 1;
+      socket.write(frame.subarray(0, middle));
+      setTimeout(() => socket.write(frame.subarray(middle)), 20);
+    };
+    reply = request => ({ messageId: request.messageId, success: true, data: { values } });
+
+    const response = await client.readBatchData('conn-1', []);
+    assert.deepEqual(response.data.values, values);
+  });
+
+  it('should handle several responses coalesced in one TCP segment', async () => {
+    const pending = [];
+    reply = request => {
+      pending.push({
+        messageId: request.messageId,
+        success: true,
+        data: { command: request.command },
+      });
+      if (pending.length === 2) {
+        return pending;
+      }
+      return null;
+    };
+    send = (socket, responses) =>
+      socket.write(responses.map(response => `${JSON.stringify(response)}\n`).join(''));
+
+    const [status, info] = await Promise.all([client.getServerStatus(), client.getProtocolInfo()]);
+    assert.equal(status.data.command, 'serverStatus');
+    assert.equal(info.data.command, 'protocolInfo');
+  });
+
+  it('should support length-prefixed framing', async () => {
+    client.framing = 'length';
+    send = (socket, response) => socket.write(encodeFrame(JSON.stringify(response), 'length'));
+
+    const response = await client.ping();
+    assert.ok(response.success);
+    assert.equal(received[0].command, 'ping');
+  });
+
+  it('should reject requests larger than the maximum message size', async () => {
+    const writeItems = [{ address: '40001', value: 'x'.repeat(MAX_MESSAGE_SIZE) }];
+
+    await assert.rejects(client.writeBatchData('conn-1', writeItems), err => {
+      assert.ok(err instanceof HlsError);
+      assert.equal(err.code, '5002');
+      return true;
+    });
+    assert.equal(received.length, 0);
+  });
+
+  it('should route dataChange notifications by subscription id', async () => {
+    reply = request => {
+      if (request.command === 'subscribe') {
+        return { messageId: request.messageId, success: true, data: { subscriptionId: 'sub-1' } };
+      }
+      return null;
+    };
+    const changes = [];
+    await client.subscribe('conn-1', ['40001'], { samplingInterval: 200, deadband: 1 }, data =>
+      changes.push(data)
+    );
+    assert.deepEqual(received[0].data, {
+      connectionId: 'conn-1',
+      addresses: ['40001'],
+      samplingInterval: 200,
+      deadband: 1,
+    });
+
+    // 通知不能被当作旧版命令的空messageId响应匹配给等待中的请求
+    reply = () => null;
+    const pending = client.ping();
+    sockets[0].write(
+      `${JSON.stringify({ event: 'dataChange', data: { subscriptionId: 'sub-1', values: [{ address: '40001', value: 7 }] } })}\n`
+    );
+    sockets[0].write(
+      `${JSON.stringify({ event: 'dataChange', data: { subscriptionId: 'sub-2', values: [] } })}\n`
+    );
+    await assert.rejects(pending, HlsTimeoutError);
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].values[0].value, 7);
+  });
+
+  describe('heartbeat', () => {
+    it('should ping an idle connection and record the latency', done => {
+      client.heartbeat = { ...client.heartbeat, interval: 20 };
+      client.on('heartbeat', health => {
+        assert.equal(received[0].command, 'ping');
+        assert.equal(health.state, 'up');
+        assert.ok(health.latency >= 0);
+        assert.ok(health.lastHeartbeat);
+        assert.equal(client.getHealth().misses, 0);
+        done();
+      });
+
+      client.connect();
+    });
+
+    it('should match a response without messageId to the pending heartbeat', done => {
+      client.heartbeat = { ...client.heartbeat, interval: 20 };
+      reply = () => ({ messageId: '', success: true, data: { message: 'pong' } });
+      client.on('heartbeat', health => {
+        assert.equal(health.state, 'up');
+        assert.equal(client.getHealth().misses, 0);
+        done();
+      });
+
+      client.connect();
+    });
+
+    it('should use health_check when configured', done => {
+      client.heartbeat = { ...client.heartbeat, interval: 20, command: 'health_check' };
+      client.on('heartbeat', () => {
+        assert.equal(received[0].command, 'health_check');
+        done();
+      });
+
+      client.connect();
+    });
+
+    it('should mark the service degraded and then drop the connection after missed heartbeats', done => {
+      client.timeout = 30;
+      client.heartbeat = { ...client.heartbeat, interval: 20, maxMisses: 2 };
+      client.reconnect = { ...client.reconnect, enabled: false };
+      reply = () => null;
+      const states = [];
+      client.on('health', health => states.push(health.state));
+      client.on('disconnected', () => {
+        assert.deepEqual(states, ['up', 'degraded', 'down']);
+        assert.equal(client.getHealth().misses, 2);
+        done();
+      });
+
+      client.connect();
+    });
+  });
+
+  describe('reconnection', () => {
+    it('should grow the backoff delay exponentially up to the maximum', () => {
+      client.reconnect = { ...client.reconnect, initialDelay: 100, maxDelay: 1000, jitter: 0 };
+
+      assert.deepEqual(
+        [1, 2, 3, 4, 5, 6].map(attempt => client.getReconnectDelay(attempt)),
+        [100, 200, 400, 800, 1000, 1000]
+      );
+    });
+
+    it('should keep jittered delays within the configured ratio', () => {
+      client.reconnect = { ...client.reconnect, initialDelay: 1000, jitter: 0.2 };
+
+      for (let i = 0; i < 50; i++) {
+        const delay = client.getReconnectDelay(1);
+        assert.ok(delay >= 800 && delay <= 1200, `delay ${delay}`);
+      }
+    });
+
+    it('should reconnect after the service drops the connection', done => {
+      client.reconnect = { ...client.reconnect, initialDelay: 20 };
+      const events = [];
+      ['disconnected', 'reconnecting', 'connected'].forEach(event =>
+        client.on(event, () => events.push(event))
+      );
+      client.on('reconnected', ({ attempts }) => {
+        assert.equal(attempts, 1);
+        assert.deepEqual(events, ['connected', 'disconnected', 'reconnecting', 'connected']);
+        assert.equal(sockets.length, 2);
+        done();
+      });
+
+      client.connect().then(() => sockets[0].destroy());
+    });
+
+    it('should reconnect after the service resets the connection', done => {
+      client.reconnect = { ...client.reconnect, initialDelay: 20 };
+      const events = [];
+      ['disconnected', 'reconnecting'].forEach(event => client.on(event, () => events.push(event)));
+      client.on('reconnected', () => {
+        assert.deepEqual(events, ['disconnected', 'reconnecting']);
+        assert.equal(client.connected, true);
+        done();
+      });
+
+      client.connect().then(() => sockets[0].resetAndDestroy());
+    });
+
+    it('should schedule only one reconnect at a time and fail requests while waiting', async () => {
+      client.reconnect = { ...client.reconnect, initialDelay: 1000 };
+      let scheduled = 0;
+      client.on('reconnecting', () => scheduled++);
+
+      client.scheduleReconnect();
+      client.scheduleReconnect();
+      assert.equal(scheduled, 1);
+
+      await assert.rejects(client.ping(), err => {
+        assert.ok(err instanceof HlsConnectionError);
+        assert.equal(err.code, 'IPC_CONNECTION_CLOSED');
+        return true;
+      });
+      assert.equal(sockets.length, 0);
+    });
+
+    it('should stop reconnecting after disconnect()', done => {
+      client.reconnect = { ...client.reconnect, initialDelay: 20 };
+      client.on('reconnecting', () => done(new Error('不应重连')));
+
+      client.connect().then(() => {
+        client.disconnect();
+        setTimeout(done, 100);
+      });
+    });
+  });
+});
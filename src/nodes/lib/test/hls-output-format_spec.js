@@ -0,0 +1,48 @@
+/**
+ * Unit tests for HLS output formats
+ */
+
+const assert = require('assert');
+const { OUTPUT_FORMATS, formatMessages } = require('../hls-output-format');
+
+describe('HLS Output Format', () => {
+  it('should nest values by the dotted point name', () => {
+    const [message] = formatMessages(
+      [
+        { address: '40001', name: 'Line1.Pump.Speed', value: 12 },
+        { address: '40002', name: 'Line1.Pump.On', value: true },
+      ],
+      OUTPUT_FORMATS.NESTED,
+      { device: 'PLC1' }
+    );
+    assert.deepEqual(message.payload, { PLC1: { Line1: { Pump: { Speed: 12, On: true } } } });
+  });
+
+  it('should ignore names that would modify prototypes', () => {
+    const [message] = formatMessages(
+      [
+        { address: '40001', name: '__proto__.polluted', value: 42 },
+        { address: '40002', name: 'Line1.constructor.prototype.polluted', value: 42 },
+        { address: '40003', name: 'Line1.Speed', value: 1 },
+      ],
+      OUTPUT_FORMATS.NESTED,
+      { device: 'PLC1' }
+    );
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepEqual(message.payload, { PLC1: { Line1: { Speed: 1 } } });
+  });
+
+  it('should ignore prototype keys in the object format', () => {
+    const [message] = formatMessages(
+      [
+        { address: '40001', name: '__proto__', value: { polluted: 42 } },
+        { address: '40002', name: 'constructor', value: 42 },
+        { address: '40003', name: 'Speed', value: 1 },
+      ],
+      OUTPUT_FORMATS.OBJECT
+    );
+    assert.strictEqual(Object.getPrototypeOf(message.payload), Object.prototype);
+    assert.strictEqual(message.payload.polluted, undefined);
+    assert.deepEqual(Object.keys(message.payload), ['Speed']);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for HLS quality codes
+ */
+
+const assert = require('assert');
+const {
+  QUALITY,
+  SUB_STATUS,
+  getSubStatus,
+  extractResults,
+  toQualityItem,
+  LastGoodValues,
+} = require('../hls-quality');
+
+describe('HLS Quality', () => {
+  it('should map error codes to sub-status', () => {
+    assert.equal(getSubStatus('2003'), SUB_STATUS.COMM_FAILURE);
+    assert.equal(getSubStatus('3003'), SUB_STATUS.COMM_FAILURE);
+    assert.equal(getSubStatus('IPC_TIMEOUT'), SUB_STATUS.COMM_FAILURE);
+    assert.equal(getSubStatus('3001'), SUB_STATUS.CONFIG_ERROR);
+    assert.equal(getSubStatus('4001'), SUB_STATUS.CONFIG_ERROR);
+    assert.equal(getSubStatus('3009'), SUB_STATUS.OUT_OF_RANGE);
+    assert.equal(getSubStatus(undefined), SUB_STATUS.NON_SPECIFIC);
+  });
+
+  it('should extract results from the supported response shapes', () => {
+    const item = { address: '40001', value: 1 };
+    assert.deepEqual(extractResults({ data: [item] }), [item]);
+    assert.deepEqual(extractResults({ data: { results: [item] } }), [item]);
+    assert.deepEqual(extractResults({ data: item }), [item]);
+    assert.deepEqual(extractResults({}), []);
+  });
+
+  it('should derive quality from per-item results', () => {
+    const good = toQualityItem({ address: '40001', value: 5, success: true }, 't0');
+    assert.equal(good.quality, QUALITY.GOOD);
+    assert.equal(good.timestamp, 't0');
+    assert.equal(good.subStatus, undefined);
+
+    const bad = toQualityItem({
+      address: '40002',
+      value: 0,
+      success: false,
+      error: { code: '3001', message: '地址无效' },
+    });
+    assert.equal(bad.quality, QUALITY.BAD);
+    assert.equal(bad.subStatus, SUB_STATUS.CONFIG_ERROR);
+    assert.strictEqual(bad.value, null);
+    assert.deepEqual(bad.error, { code: '3001', message: '地址无效' });
+
+    const uncertain = toQualityItem({ address: '40003', value: 1, quality: 'uncertain' });
+    assert.equal(uncertain.quality, QUALITY.UNCERTAIN);
+  });
+
+  it('should substitute the last good value with uncertain quality', () => {
+    const lastGood = new LastGoodValues();
+    lastGood.apply([{ address: '40001', value: 7, quality: QUALITY.GOOD, timestamp: 't0' }]);
+
+    const [item, unknown] = lastGood.apply([
+      { address: '40001', value: null, quality: QUALITY.BAD, subStatus: SUB_STATUS.COMM_FAILURE },
+      { address: '40002', value: null, quality: QUALITY.BAD, subStatus: SUB_STATUS.COMM_FAILURE },
+    ]);
+    assert.equal(item.value, 7);
+    assert.equal(item.quality, QUALITY.UNCERTAIN);
+    assert.equal(item.subStatus, SUB_STATUS.LAST_KNOWN_VALUE);
+    assert.equal(item.sourceTimestamp, 't0');
+    assert.equal(unknown.quality, QUALITY.BAD);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for HLS engineering-unit scaling
+ */
+
+const assert = require('assert');
+const {
+  getScaling,
+  toEngineering,
+  toRaw,
+  scaleReadItem,
+  scalingFields,
+} = require('../hls-scaling');
+
+describe('HLS Scaling', () => {
+  // 4-20mA模拟量：原始值0-27648对应0-100%
+  const analog = {
+    scale: 100 / 27648,
+    rawMin: 0,
+    rawMax: 27648,
+    engMin: 0,
+    engMax: 100,
+    unit: '%',
+  };
+
+  it('should ignore points without scaling', () => {
+    assert.strictEqual(getScaling({ address: '40001', scale: '', offset: '' }), null);
+    assert.strictEqual(getScaling(undefined), null);
+    assert.deepEqual(toEngineering(12, null), { value: 12, clamped: false });
+  });
+
+  it('should apply scale and offset', () => {
+    const scaling = getScaling({ scale: '0.1', offset: '-40' });
+    assert.equal(toEngineering(650, scaling).value, 25);
+    assert.equal(toRaw(25, scaling, 'Int16').value, 650);
+    assert.equal(toEngineering(true, scaling).value, true);
+  });
+
+  it('should clamp raw and engineering values', () => {
+    const scaling = getScaling(analog);
+    assert.deepEqual(toEngineering(30000, scaling), { value: 100, clamped: true });
+    assert.deepEqual(toEngineering(-5, scaling), { value: 0, clamped: true });
+    assert.deepEqual(toRaw(150, scaling, 'Int16'), { value: 27648, clamped: true });
+    assert.deepEqual(toRaw('50', scaling, 'Int16'), { value: 13824, clamped: false });
+  });
+
+  it('should round the inverse for integer types only', () => {
+    const scaling = getScaling({ scale: 0.3 });
+    assert.equal(toRaw(1, scaling, 'UInt16').value, 3);
+    assert.ok(Math.abs(toRaw(1, scaling, 'Float').value - 3.3333) < 0.001);
+  });
+
+  it('should scale arrays element by element', () => {
+    const scaling = getScaling({ scale: '0.1', engMax: 50 });
+    assert.deepEqual(toEngineering([100, 650], scaling), { value: [10, 50], clamped: true });
+    assert.deepEqual(toRaw([10, 25], scaling, 'Int16[2]'), { value: [100, 250], clamped: false });
+  });
+
+  it('should flag clamped reads as uncertain and add the unit', () => {
+    const item = scaleReadItem({ address: '40001', value: 30000, quality: 'Good' }, analog);
+    assert.deepEqual(
+      [item.value, item.quality, item.subStatus, item.unit],
+      [100, 'Uncertain', 'OutOfRange', '%']
+    );
+
+    const bad = scaleReadItem({ address: '40001', value: null, quality: 'Bad' }, analog);
+    assert.strictEqual(bad.value, null);
+    assert.equal(bad.quality, 'Bad');
+  });
+
+  it('should send only configured fields on connect', () => {
+    assert.deepEqual(scalingFields({ unit: '°C', scale: '0.1', offset: '', rawMin: 0 }), {
+      unit: '°C',
+      scale: 0.1,
+      rawMin: 0,
+    });
+  });
+});
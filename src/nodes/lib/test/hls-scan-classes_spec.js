@@ -0,0 +1,130 @@
+/**
+ * Unit tests for HLS scan classes
+ */
+
+const assert = require('assert');
+const {
+  DEFAULT_SCAN_CLASS,
+  SCAN_GRANULARITY,
+  buildScanClasses,
+  getBaseInterval,
+  getDueClasses,
+  mergeAddresses,
+} = require('../hls-scan-classes');
+const { SCHEDULE_POLICIES, PollScheduler } = require('../hls-scheduler');
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('HLS Scan Classes', () => {
+  const scanClasses = [
+    { name: 'alarm', interval: 200 },
+    { name: 'process', interval: '2000' },
+    { name: 'counter', interval: 60000 },
+  ];
+  const points = [
+    { address: '10001', scanClass: 'alarm' },
+    { address: '40001', scanClass: 'process' },
+    { address: '40002', scanClass: 'process' },
+    { address: '40100', scanClass: 'counter' },
+    { address: '40200' },
+  ];
+
+  it('should group points by scan class and put unassigned points in the default class', () => {
+    const { classes, unknown } = buildScanClasses(points, scanClasses, 1000);
+    assert.deepEqual(unknown, []);
+    assert.deepEqual(classes, [
+      { name: 'alarm', interval: 200, addresses: ['10001'] },
+      { name: 'process', interval: 2000, addresses: ['40001', '40002'] },
+      { name: 'counter', interval: 60000, addresses: ['40100'] },
+      { name: DEFAULT_SCAN_CLASS, interval: 1000, addresses: ['40200'] },
+    ]);
+  });
+
+  it('should read points of undefined scan classes with the default interval', () => {
+    const { classes, unknown } = buildScanClasses(
+      [{ address: '40001', scanClass: 'slow' }],
+      [],
+      500
+    );
+    assert.deepEqual(unknown, ['slow']);
+    assert.deepEqual(classes, [{ name: DEFAULT_SCAN_CLASS, interval: 500, addresses: ['40001'] }]);
+  });
+
+  it('should tick at the greatest common divisor of the intervals', () => {
+    const { classes } = buildScanClasses(points, scanClasses, 1000);
+    assert.equal(getBaseInterval(classes), 200);
+    assert.equal(getBaseInterval([{ interval: 250 }, { interval: 1000 }]), 250);
+  });
+
+  it('should round intervals so the base interval stays above the granularity', () => {
+    const { classes } = buildScanClasses(
+      [{ address: '10001', scanClass: 'fast' }, { address: '40001' }],
+      [{ name: 'fast', interval: 333 }],
+      1000
+    );
+    assert.deepEqual(
+      classes.map(scanClass => scanClass.interval),
+      [350, 1000]
+    );
+    assert.equal(getBaseInterval(classes), SCAN_GRANULARITY);
+
+    const tiny = buildScanClasses([{ address: '40001' }], [], 1).classes;
+    assert.equal(tiny[0].interval, SCAN_GRANULARITY);
+  });
+
+  it('should coalesce classes that fall due at the same time', () => {
+    const { classes } = buildScanClasses(points, scanClasses, 1000);
+    const names = elapsed => getDueClasses(classes, elapsed).map(scanClass => scanClass.name);
+
+    assert.deepEqual(names(200), ['alarm']);
+    assert.deepEqual(names(1000), ['alarm', DEFAULT_SCAN_CLASS]);
+    assert.deepEqual(names(2000), ['alarm', 'process', DEFAULT_SCAN_CLASS]);
+    assert.deepEqual(names(60000), ['alarm', 'process', 'counter', DEFAULT_SCAN_CLASS]);
+    assert.deepEqual(mergeAddresses(getDueClasses(classes, 2000)), [
+      '10001',
+      '40001',
+      '40002',
+      '40200',
+    ]);
+  });
+
+  it('should read each class at about its own interval when reads overrun the base tick', async () => {
+    const { classes } = buildScanClasses(
+      [{ address: '10001', scanClass: 'alarm' }, { address: '40001' }],
+      [{ name: 'alarm', interval: 100 }],
+      300
+    );
+    assert.equal(getBaseInterval(classes), 100);
+
+    const reads = { alarm: [], [DEFAULT_SCAN_CLASS]: [] };
+    const scheduler = new PollScheduler(
+      async cycles => {
+        const now = Date.now();
+        const due = new Set();
+        cycles.forEach(cycle =>
+          getDueClasses(classes, cycle).forEach(scanClass => due.add(scanClass))
+        );
+        due.forEach(scanClass => reads[scanClass.name].push(now));
+        // 每次读取超过基准间隔
+        await wait(130);
+      },
+      { interval: 100, policy: SCHEDULE_POLICIES.SKIP }
+    );
+    scheduler.start();
+    await wait(1550);
+    scheduler.stop();
+
+    const gaps = times => times.slice(1).map((time, index) => time - times[index]);
+    assert.ok(
+      reads[DEFAULT_SCAN_CLASS].length >= 4,
+      `default read ${reads[DEFAULT_SCAN_CLASS].length} times`
+    );
+    // 到期时正在读取的扫描类最多推迟一个基准周期
+    gaps(reads[DEFAULT_SCAN_CLASS]).forEach(gap =>
+      assert.ok(gap >= 150 && gap <= 450, `gap ${gap}`)
+    );
+    gaps(reads.alarm).forEach(gap => assert.ok(gap <= 250, `gap ${gap}`));
+  });
+});
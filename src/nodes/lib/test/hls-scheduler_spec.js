@@ -0,0 +1,206 @@
+/**
+ * Unit tests for HLS poll scheduler
+ */
+
+const assert = require('assert');
+const { SCHEDULE_POLICIES, PollScheduler } = require('../hls-scheduler');
+const { getDueClasses } = require('../hls-scan-classes');
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('HLS Poll Scheduler', () => {
+  let scheduler;
+
+  afterEach(() => {
+    if (scheduler) {
+      scheduler.stop();
+    }
+  });
+
+  it('should run on fixed multiples of the interval', async () => {
+    const cycles = [];
+    scheduler = new PollScheduler(
+      async times => {
+        cycles.push(...times);
+        await wait(15);
+      },
+      { interval: 50 }
+    );
+    scheduler.start();
+    await wait(230);
+    scheduler.stop();
+
+    assert.deepEqual(cycles.slice(0, 4), [50, 100, 150, 200]);
+    assert.equal(scheduler.getStats().overruns, 0);
+  });
+
+  it('should never overlap and pass skipped cycles to the next run', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const cycles = [];
+    scheduler = new PollScheduler(
+      async times => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        cycles.push(times);
+        await wait(120);
+        active--;
+      },
+      { interval: 50, policy: SCHEDULE_POLICIES.SKIP }
+    );
+    scheduler.start();
+    await wait(330);
+    scheduler.stop();
+
+    assert.equal(maxActive, 1);
+    assert.ok(scheduler.getStats().overruns >= 2);
+    // 读取期间到期的100、150在200的周期一并交给任务
+    assert.deepEqual(cycles.slice(0, 2), [[50], [100, 150, 200]]);
+  });
+
+  it('should run queued cycles together after the current read', async () => {
+    const cycles = [];
+    scheduler = new PollScheduler(
+      async times => {
+        cycles.push(times);
+        await wait(cycles.length === 1 ? 120 : 5);
+      },
+      { interval: 50, policy: SCHEDULE_POLICIES.QUEUE }
+    );
+    scheduler.start();
+    await wait(190);
+    scheduler.stop();
+
+    assert.deepEqual(cycles[0], [50]);
+    assert.deepEqual(cycles[1], [100, 150]);
+    assert.equal(scheduler.getStats().overruns, 2);
+  });
+
+  it('should align cycles to wall-clock boundaries', async () => {
+    const starts = [];
+    const cycles = [];
+    scheduler = new PollScheduler(
+      async times => {
+        starts.push(Date.now());
+        cycles.push(...times);
+      },
+      { interval: 100, align: true }
+    );
+    scheduler.start();
+    await wait(250);
+    scheduler.stop();
+
+    assert.ok(starts.length >= 2);
+    cycles.forEach(cycle => assert.equal(cycle % 100, 0));
+    starts.forEach(start => assert.ok(start % 100 < 40, `started at ${start}`));
+  });
+
+  it('should report cycle statistics', async () => {
+    const reports = [];
+    scheduler = new PollScheduler(() => wait(5), {
+      interval: 50,
+      onCycle: stats => reports.push(stats),
+    });
+    scheduler.start();
+    await wait(130);
+    scheduler.stop();
+
+    assert.equal(reports.length, 2);
+    assert.equal(reports[1].cycles, 2);
+    assert.ok(reports[1].cycleTime >= 40 && reports[1].cycleTime < 80);
+    assert.ok(reports[1].lastDuration >= 4);
+    assert.equal(reports[1].policy, SCHEDULE_POLICIES.SKIP);
+  });
+
+  it('should not starve slower scan classes while reads overrun the base interval', async () => {
+    const classes = [
+      { name: 'fast', interval: 50 },
+      { name: 'slow', interval: 200 },
+    ];
+    const reads = { fast: 0, slow: 0 };
+    scheduler = new PollScheduler(
+      async times => {
+        const due = new Set();
+        times.forEach(time =>
+          getDueClasses(classes, time).forEach(scanClass => due.add(scanClass))
+        );
+        due.forEach(scanClass => reads[scanClass.name]++);
+        await wait(60);
+      },
+      { interval: 50, policy: SCHEDULE_POLICIES.SKIP }
+    );
+    scheduler.start();
+    await wait(1030);
+    scheduler.stop();
+
+    // 读取总在跳过的周期上到期的slow扫描类同样按时读取
+    assert.ok(reads.slow >= 4, `slow read ${reads.slow} times`);
+    assert.ok(reads.fast >= 8, `fast read ${reads.fast} times`);
+  });
+
+  it('should change the interval in place without overlapping the running read', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const cycles = [];
+    scheduler = new PollScheduler(
+      async times => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        cycles.push(...times);
+        await wait(60);
+        active--;
+      },
+      { interval: 50 }
+    );
+    scheduler.start();
+    await wait(70);
+    scheduler.setInterval(100);
+    await wait(240);
+    scheduler.stop();
+
+    assert.equal(maxActive, 1);
+    assert.equal(scheduler.interval, 100);
+    assert.deepEqual(cycles, [50, 100, 200]);
+  });
+
+  it('should run one-off tasks exclusively with the scheduled reads', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const task = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await wait(40);
+      active--;
+    };
+    scheduler = new PollScheduler(task, { interval: 50 });
+    scheduler.start();
+    await wait(60);
+
+    const results = await Promise.all([
+      scheduler.exclusive(async () => {
+        await task();
+        return 'a';
+      }),
+      scheduler.exclusive(async () => {
+        await task();
+        return 'b';
+      }),
+    ]);
+    scheduler.stop();
+
+    assert.deepEqual(results, ['a', 'b']);
+    assert.equal(maxActive, 1);
+    assert.equal(scheduler.busy, false);
+  });
+
+  it('should pass errors of one-off tasks to the caller and release the scheduler', async () => {
+    scheduler = new PollScheduler(() => wait(1), { interval: 1000 });
+    await assert.rejects(
+      scheduler.exclusive(() => Promise.reject(new Error('read failed'))),
+      /read failed/
+    );
+    assert.equal(scheduler.busy, false);
+  });
+});
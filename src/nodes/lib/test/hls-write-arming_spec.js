@@ -0,0 +1,132 @@
+/**
+ * Unit tests for HLS two-step write confirmation
+ */
+
+const assert = require('assert');
+const { WriteArming } = require('../hls-write-arming');
+
+describe('HLS Write Arming', () => {
+  const points = [
+    { address: '40001', name: 'MotorStart', requireArm: true },
+    { address: '40002', name: 'SetPoint' },
+  ];
+
+  function rejection(arming, items, now) {
+    try {
+      arming.check(items, now);
+      return null;
+    } catch (err) {
+      return err;
+    }
+  }
+
+  it('should only guard points that require arming', () => {
+    const arming = new WriteArming(points, { windowMs: 1000 });
+    assert.strictEqual(rejection(arming, [{ address: '40002', value: 5 }], 0), null);
+
+    const err = rejection(arming, [{ address: '40001', value: 1 }], 0);
+    assert.equal(err.code, '3011');
+    assert.deepEqual(err.details, [{ address: '40001', name: 'MotorStart', reason: 'notArmed' }]);
+    assert.throws(() => arming.arm([{ address: '40002', value: 5 }], 0), /没有需要两步确认/);
+  });
+
+  it('should execute once within the window with the armed value', () => {
+    const arming = new WriteArming(points, { windowMs: 1000 });
+    const result = arming.arm([{ address: '40001', value: 1 }], 0);
+    assert.deepEqual(result, {
+      armed: [{ address: '40001', name: 'MotorStart', value: 1 }],
+      expiresAt: 1000,
+    });
+    assert.equal(arming.nextExpiry(0), 1000);
+    assert.strictEqual(rejection(arming, [{ address: '40001', value: 1 }], 500), null);
+    // 检查通过时预备保留，写入发送时才消耗
+    assert.equal(arming.armedCount(500), 1);
+    arming.consume([{ address: '40001', value: 1 }], 500);
+    assert.equal(arming.armedCount(500), 0);
+    assert.equal(
+      rejection(arming, [{ address: '40001', value: 1 }], 600).details[0].reason,
+      'notArmed'
+    );
+  });
+
+  it('should reject expired and mismatching executes and consume the arm', () => {
+    const arming = new WriteArming(points, { all: true, windowMs: 1000 });
+    arming.arm(
+      [
+        { address: '40001', value: 1 },
+        { address: '40002', value: [1, 2] },
+      ],
+      0
+    );
+    const err = rejection(
+      arming,
+      [
+        { address: '40001', value: 1 },
+        { address: '40002', value: [1, 3] },
+      ],
+      10
+    );
+    assert.deepEqual(err.details, [
+      { address: '40002', name: 'SetPoint', reason: 'valueMismatch' },
+    ]);
+    assert.equal(arming.armedCount(10), 0);
+
+    arming.arm([{ address: '40001', value: '65' }], 0);
+    assert.equal(
+      rejection(arming, [{ address: '40001', value: 65 }], 10).details[0].reason,
+      'valueMismatch'
+    );
+    arming.arm([{ address: '40001', value: 1 }], 0);
+    assert.equal(
+      rejection(arming, [{ address: '40001', value: 1 }], 1001).details[0].reason,
+      'expired'
+    );
+  });
+
+  it('should let only one of two concurrent executes consume the arm', () => {
+    const arming = new WriteArming(points, { windowMs: 1000 });
+    const items = [{ address: '40001', value: 1 }];
+    arming.arm(items, 0);
+    assert.strictEqual(rejection(arming, items, 10), null);
+    assert.strictEqual(rejection(arming, items, 10), null);
+
+    arming.consume(items, 20);
+    assert.throws(
+      () => arming.consume(items, 20),
+      err => err.code === '3011' && err.details[0].reason === 'notArmed'
+    );
+  });
+
+  it('should reject the write when the arm expires before it is sent', () => {
+    const arming = new WriteArming(points, { windowMs: 1000 });
+    const items = [{ address: '40001', value: 1 }];
+    arming.arm(items, 0);
+    assert.strictEqual(rejection(arming, items, 900), null);
+    assert.throws(
+      () => arming.consume(items, 1100),
+      err => err.details[0].reason === 'expired'
+    );
+    assert.equal(arming.expiredCount(1100), 0);
+  });
+
+  it('should match numeric addresses to configured string addresses', () => {
+    const arming = new WriteArming(points, { windowMs: 1000 });
+    assert.equal(
+      rejection(arming, [{ address: 40001, value: 1 }], 0).details[0].reason,
+      'notArmed'
+    );
+    arming.arm([{ address: 40001, value: 1 }], 0);
+    assert.strictEqual(rejection(arming, [{ address: '40001', value: 1 }], 10), null);
+  });
+
+  it('should count armed and expired points', () => {
+    const arming = new WriteArming(points, { all: true, windowMs: 1000 });
+    arming.arm([{ address: '40001', value: 1 }], 0);
+    arming.arm([{ address: '40002', value: 1 }], 500);
+    assert.deepEqual([arming.armedCount(800), arming.expiredCount(800)], [2, 0]);
+    assert.equal(arming.nextExpiry(800), 1000);
+    assert.deepEqual([arming.armedCount(1200), arming.expiredCount(1200)], [1, 1]);
+    assert.equal(arming.nextExpiry(1200), 1500);
+    assert.strictEqual(arming.nextExpiry(1600), null);
+  });
+});
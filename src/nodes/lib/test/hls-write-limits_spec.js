@@ -0,0 +1,81 @@
+/**
+ * Unit tests for HLS write limits
+ */
+
+const assert = require('assert');
+const { getWriteLimits, WriteLimiter } = require('../hls-write-limits');
+
+describe('HLS Write Limits', () => {
+  const points = [
+    { address: '40001', name: 'SetPoint', writeMin: '10', writeMax: '80', maxStep: '5' },
+    { address: '40002', name: 'Mode', allowedValues: '0, 1, 2' },
+    { address: '40003', name: 'Free', writeMin: '' },
+  ];
+
+  function violation(limiter, items) {
+    try {
+      limiter.check(items);
+      return null;
+    } catch (err) {
+      return err;
+    }
+  }
+
+  it('should ignore points without limits', () => {
+    assert.strictEqual(getWriteLimits({ address: '40003', writeMin: '', allowedValues: '' }), null);
+    assert.deepEqual(getWriteLimits({ allowedValues: [1, 'on'] }).allowedValues, ['1', 'on']);
+  });
+
+  it('should reject values outside min/max with the offending point', () => {
+    const limiter = new WriteLimiter(points);
+    assert.strictEqual(violation(limiter, [{ address: '40001', value: '80' }]), null);
+
+    const err = violation(limiter, [
+      { address: '40003', value: 65535 },
+      { address: '40001', value: 65535 },
+    ]);
+    assert.equal(err.code, '3010');
+    assert.equal(err.category, 'data');
+    assert.deepEqual(err.toJSON().point, {
+      address: '40001',
+      name: 'SetPoint',
+      value: 65535,
+      rule: 'max',
+      limit: 80,
+    });
+    assert.equal(violation(limiter, [{ address: '40001', value: 'abc' }]).point.rule, 'min');
+  });
+
+  it('should accept only allowed values', () => {
+    const limiter = new WriteLimiter(points);
+    assert.strictEqual(violation(limiter, [{ address: '40002', value: 2 }]), null);
+    assert.strictEqual(violation(limiter, [{ address: '40002', value: '1.0' }]), null);
+    const err = violation(limiter, [{ address: '40002', value: 3 }]);
+    assert.equal(err.point.rule, 'allowedValues');
+    assert.deepEqual(err.point.limit, ['0', '1', '2']);
+  });
+
+  it('should limit the step from the current device value', () => {
+    const limiter = new WriteLimiter(points);
+    const items = [
+      { address: '40002', value: 1 },
+      { address: 40001, value: 55 },
+    ];
+    assert.deepEqual(limiter.stepItems(items), [items[1]]);
+
+    limiter.checkSteps(items, new Map([['40001', 50]]));
+    assert.throws(
+      () => limiter.checkSteps([{ address: '40001', value: 56 }], new Map([['40001', 50]])),
+      err => err.point.rule === 'maxStep' && err.point.limit === 5
+    );
+  });
+
+  it('should reject step-limited writes without a current value', () => {
+    const limiter = new WriteLimiter(points);
+    assert.strictEqual(violation(limiter, [{ address: '40001', value: 50 }]), null);
+    assert.throws(
+      () => limiter.checkSteps([{ address: '40001', value: 50 }], new Map()),
+      err => err.point.rule === 'maxStep' && /无法读取当前值/.test(err.message)
+    );
+  });
+});
@@ -1,4 +1,4 @@
-const net = require('net');
+const HLSIPCClient = require('../src/nodes/lib/hls-ipc-client');
 
 /**
  * 测试IPC通信的Node.js客户端
@@ -10,70 +10,43 @@ const SERVER_PORT = 8888;
 
 class IPCTestClient {
   constructor() {
-    this.client = null;
-    this.connected = false;
+    this.client = new HLSIPCClient({ host: SERVER_HOST, port: SERVER_PORT });
+  }
+
+  get connected() {
+    return this.client.connected;
   }
 
   /**
    * 连接到HLS-Communication服务
    */
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.client = new net.Socket();
-
-      this.client.connect(SERVER_PORT, SERVER_HOST, () => {
-        console.log('✓ 已连接到HLS-Communication服务');
-        this.connected = true;
-        resolve();
-      });
-
-      this.client.on('data', data => {
-        const response = data.toString();
-        console.log('收到响应:', response);
-      });
-
-      this.client.on('error', err => {
-        console.error('连接错误:', err.message);
-        this.connected = false;
-        reject(err);
-      });
-
-      this.client.on('close', () => {
-        console.log('连接已关闭');
-        this.connected = false;
-      });
-    });
+    await this.client.connect();
+    console.log('✓ 已连接到HLS-Communication服务');
   }
 
   /**
-   * 发送JSON消息
+   * 发送命令并打印响应，错误响应同样打印而不中断测试
    */
   async sendMessage(command, data = {}) {
-    if (!this.connected) {
-      throw new Error('未连接到服务器');
-    }
-
-    const message = {
-      messageId: `test-${Date.now()}`,
-      command,
-      timestamp: new Date().toISOString(),
-      ...data,
-    };
-
-    const jsonMessage = JSON.stringify(message);
     console.log(`发送命令: ${command}`);
-    console.log(`消息内容: ${jsonMessage}`);
 
-    this.client.write(jsonMessage);
+    try {
+      const response = await this.client.sendRequest(command, data);
+      console.log('收到响应:', JSON.stringify(response));
+      return response;
+    } catch (error) {
+      console.log(`收到错误响应: [${error.code}] ${error.message}`);
+      return null;
+    }
   }
 
   /**
    * 断开连接
    */
   disconnect() {
-    if (this.client) {
-      this.client.end();
-    }
+    this.client.disconnect();
+    console.log('连接已关闭');
   }
 
   /**